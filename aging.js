@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Aging and escalation of chronically rolled-over tasks.
+ * Next to its Rollover Count, a rolled-over task records the day it was first rolled over
+ * ("First Rollover: yyyy-MM-dd"), so that its age in days is known to the Inbox rules and the
+ * digest. Three thresholds act on the Rollover Count, each disabled by 0:
+ * - AGING_TAG_AFTER: the task's title gets the AGING_TAG_PREFIX;
+ * - AGING_SOMEDAY_AFTER: the task rolls over to the SOMEDAY_LIST_NAME list instead;
+ * - AGING_ESCALATE_AFTER: the task is listed in an email asking to decide on it.
+ * Every action is logged in the "Events" tab and counted in the "Aging" column of "Runs".
+ * @see /@documentation/design.md#52-rolloverprocesstodaytitle-starttime-stats
+ */
+
+/**
+ * A utility object for the first-rollover date and the aging thresholds.
+ */
+const TaskAging = {
+  FIRST_ROLLOVER_PATTERN: /First Rollover: (\d{4}-\d{2}-\d{2})/,
+
+  /**
+   * Reads the day a task was first rolled over from its notes.
+   * @param {string} notes The task notes.
+   * @returns {string|null} The day as yyyy-MM-dd, or null if the notes carry none.
+   */
+  getFirstRolloverKey(notes) {
+    const match = (notes || '').match(this.FIRST_ROLLOVER_PATTERN);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Computes how many days ago a task was first rolled over.
+   * @param {string} notes The task notes.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {number} The age in days, or 0 if the task was never rolled over.
+   */
+  getAgeDays(notes, todayKey) {
+    const firstKey = this.getFirstRolloverKey(notes);
+    if (!firstKey) return 0;
+    const days = Math.round((ListNaming.toUtcNoon(todayKey) - ListNaming.toUtcNoon(firstKey)) / 86400000);
+    return Math.max(0, days);
+  },
+
+  /**
+   * Adds the first-rollover date below the Rollover Count, unless the notes already carry one.
+   * Tasks counted before the date was recorded get the day of their next rollover.
+   * @param {string} notes The task notes, with their Rollover Count.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {string} The new notes.
+   */
+  stampFirstRollover(notes, todayKey) {
+    if (this.getFirstRolloverKey(notes)) return notes;
+    return notes.replace(/Rollover Count: \d+/, match => `${match}\nFirst Rollover: ${todayKey}`);
+  },
+
+  /**
+   * Reads the aging thresholds.
+   * @returns {{tagAfter: number, tagPrefix: string, somedayAfter: number, somedayListName: string, escalateAfter: number}}
+   */
+  getSettings() {
+    return {
+      tagAfter: getAgingTagAfter(),
+      tagPrefix: getAgingTagPrefix(),
+      somedayAfter: getAgingSomedayAfter(),
+      somedayListName: getSomedayListName(),
+      escalateAfter: getAgingEscalateAfter(),
+    };
+  },
+
+  /**
+   * Decides the aging actions for a task that is being rolled over.
+   * @param {object} settings The thresholds, from getSettings().
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The task.
+   * @param {number} count The task's Rollover Count after this rollover.
+   * @returns {{tag: boolean, someday: boolean, escalate: boolean}}
+   */
+  decide(settings, task, count) {
+    return {
+      tag: Boolean(settings.tagAfter && count >= settings.tagAfter && settings.tagPrefix &&
+        !(task.title || '').startsWith(settings.tagPrefix)),
+      someday: Boolean(settings.somedayAfter && count >= settings.somedayAfter),
+      escalate: Boolean(settings.escalateAfter && count >= settings.escalateAfter),
+    };
+  },
+
+  /**
+   * Finds the Someday list, creating it if needed.
+   * @param {object} settings The thresholds, from getSettings().
+   * @param {object} stats The statistics object; a created list is counted.
+   * @returns {string} The ID of the list.
+   */
+  getSomedayListId(settings, stats) {
+    const existing = ListService.getListByTitle(settings.somedayListName);
+    if (existing) return existing.id;
+    const list = ListService.createList(settings.somedayListName);
+    stats.listCreated++;
+    return list.id;
+  },
+
+  /**
+   * Returns the aging statistics of the run, creating them on first use.
+   * They are logged as JSON in the "Aging" column of the "Runs" sheet.
+   * @param {object} stats The statistics object of the run.
+   * @returns {{tagged: number, someday: number, escalated: number}}
+   */
+  getStats(stats) {
+    if (!stats.aging) {
+      stats.aging = { tagged: 0, someday: 0, escalated: 0 };
+    }
+    return stats.aging;
+  },
+
+  /**
+   * Emails the owner the tasks that reached AGING_ESCALATE_AFTER in this run, so they can decide
+   * to do, reschedule or delete them (see Notifier.report). Each task is logged as "escalated"
+   * once a channel delivered it. A channel that fails is noted, but does not fail the run.
+   * @param {object} stats The statistics object of the run, with the tasks in `stats.escalations`.
+   */
+  sendEscalation(stats) {
+    const tasks = stats.escalations || [];
+    if (!tasks.length) return;
+    const subject = `GTaskManager - ${tasks.length} task(s) to decide on`;
+    if (DryRunRecorder.isActive()) {
+      DryRunRecorder.record('escalate', `Would email "${subject}" listing ${tasks.map(task => `"${task.title}"`).join(', ')}`);
+      return;
+    }
+
+    const lines = [
+      'These tasks keep rolling over. Do them, give them a date, or delete them:',
+      '',
+      ...tasks.map(task => `- ${task.title} (rolled over ${task.count} times` +
+        `${task.ageDays ? `, for ${task.ageDays} days` : ''}, now in "${task.list}")`),
+      '',
+      'This is an automated message from your GTaskManager script.',
+    ];
+    const sent = Notifier.report({ source: 'aging', subject: subject, text: lines.join('\n'), recipient: getReportRecipient() });
+    if (sent.failed.length) {
+      addRunNote(stats, `Could not send the escalation through the ${sent.failed.join(', ')} channel(s).`);
+    }
+    if (!sent.delivered.length) return;
+    tasks.forEach(task => {
+      EventLog.record(stats, 'escalated', { task: { id: task.id, title: task.title }, destListId: task.listId, rolloverCount: task.count });
+    });
+    this.getStats(stats).escalated += tasks.length;
+  },
+};
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Snapshots of stale lists, taken right before the rollover moves their tasks out
+ * and deletes them.
+ * Each snapshot is the JSON of the list and every task left in it (including completed and
+ * hidden ones) and is written to the "Archive" tab of the log sheet, split over several rows if
+ * it does not fit in one cell. Snapshots older than ARCHIVE_RETENTION_DAYS are pruned, and
+ * `restoreList(snapshotId)` recreates a list and its task tree from a snapshot.
+ * @see /@documentation/design.md#4-logging-sheet-schema
+ */
+
+/**
+ * Recreates a deleted list from its snapshot in the "Archive" tab, with its tasks in their
+ * original order and hierarchy. Run it from the Apps Script editor or with `clasp run`, e.g.
+ * `restoreList('0b7f…')`.
+ * @param {string} snapshotId The SnapshotId of the snapshot, as shown in the "Archive" tab.
+ * @returns {string} The ID of the new list.
+ * @throws {Error} If there is no such snapshot.
+ */
+function restoreList(snapshotId) {
+  const snapshot = ListArchive.read(snapshotId);
+  const list = ListArchive.restore(snapshot);
+  console.log(`Restored list "${snapshot.listTitle}" with ${snapshot.tasks.length} task(s) as list ${list.id}.`);
+  return list.id;
+}
+
+/**
+ * A utility object for writing, pruning and restoring list snapshots.
+ */
+const ListArchive = {
+  SHEET_NAME: 'Archive',
+  HEADER_ROW: ['SnapshotId', 'Timestamp', 'RunId', 'ListId', 'ListTitle', 'TaskCount', 'Part', 'Data'],
+  CHUNK_SIZE: 40000, // Characters of JSON per row; a sheet cell holds at most 50,000.
+  TASK_FIELDS: ['id', 'title', 'notes', 'status', 'due', 'completed', 'parent', 'position', 'hidden', 'links'],
+
+  /**
+   * Writes a snapshot of a list that is about to be rolled over and deleted. If the snapshot
+   * cannot be written, the list must be kept as it is, so that nothing is lost; the run's notes
+   * say why.
+   * @param {GoogleAppsScript.Tasks.Schema.TaskList} list The list.
+   * @param {object} stats The statistics object of the run.
+   * @returns {boolean} True if the list may be rolled over and deleted.
+   */
+  snapshot(list, stats) {
+    if (!getArchiveDeletedLists()) return true;
+    if (!getLogSheetId()) {
+      console.warn(`LOG_SHEET_ID is not configured. Deleting list "${list.title}" without a snapshot.`);
+      return true;
+    }
+    if (DryRunRecorder.isActive()) {
+      DryRunRecorder.record('snapshot', `Would snapshot list "${list.title}" to the "${this.SHEET_NAME}" sheet`);
+      return true;
+    }
+
+    try {
+      const tasks = this.readTasks(list.id);
+      const snapshotId = Utilities.getUuid();
+      const timestamp = new Date();
+      const data = JSON.stringify({ listId: list.id, listTitle: list.title, takenAt: timestamp.toISOString(), tasks: tasks });
+
+      const rows = [];
+      for (let offset = 0; offset < data.length; offset += this.CHUNK_SIZE) {
+        rows.push([snapshotId, timestamp, stats.runId || '', list.id, list.title, tasks.length, rows.length + 1, data.slice(offset, offset + this.CHUNK_SIZE)]);
+      }
+      const sheet = this.getSheet(SpreadsheetApp.openById(getLogSheetId()));
+      const firstRow = sheet.getLastRow() + 1;
+      // Plain text, so that Sheets does not read a chunk starting with "=" or "-" or looking like
+      // a number or a date as a formula or a value.
+      sheet.getRange(firstRow, this.HEADER_ROW.indexOf('Data') + 1, rows.length, 1).setNumberFormat('@');
+      sheet.getRange(firstRow, 1, rows.length, this.HEADER_ROW.length).setValues(rows);
+      console.log(`Saved snapshot ${snapshotId} of list "${list.title}" (${tasks.length} task(s)).`);
+      return true;
+    } catch (e) {
+      console.error(`Failed to snapshot list "${list.title}". Error: ${e.message}`);
+      addRunNote(stats, `Kept list "${list.title}" because its snapshot could not be written: ${e.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Reads every task of a list, including completed and hidden ones, with the fields a snapshot
+   * keeps (TASK_FIELDS). Exports use the same fields (see TaskTransfer).
+   * @param {string} listId The ID of the list.
+   * @returns {Array<object>} The tasks in list order, each parent before its subtasks.
+   */
+  readTasks(listId) {
+    const allTasks = TaskService.listAllTasks(listId, { showHidden: true });
+    return TaskService.sortByPosition(allTasks, allTasks).map(task => {
+      const fields = {};
+      for (const field of this.TASK_FIELDS) {
+        if (task[field] !== undefined) fields[field] = task[field];
+      }
+      return fields;
+    });
+  },
+
+  /**
+   * Deletes the snapshots older than ARCHIVE_RETENTION_DAYS. A failure is noted in the run's
+   * notes, but does not fail the run.
+   * @param {object} stats The statistics object of the run.
+   */
+  prune(stats) {
+    const retentionDays = getArchiveRetentionDays();
+    const sheetId = getLogSheetId();
+    if (!retentionDays || !sheetId || DryRunRecorder.isActive()) return;
+
+    try {
+      const sheet = SpreadsheetApp.openById(sheetId).getSheetByName(this.SHEET_NAME);
+      if (!sheet || sheet.getLastRow() < 2) return;
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - retentionDays);
+      // Snapshots are appended in time order, so the expired ones are the rows at the top.
+      const timestamps = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues();
+      const expired = timestamps.findIndex(row => new Date(row[0]) >= cutoff);
+      const count = expired === -1 ? timestamps.length : expired;
+      if (count > 0) {
+        sheet.deleteRows(2, count);
+        console.log(`Pruned ${count} snapshot row(s) older than ${retentionDays} day(s).`);
+      }
+    } catch (e) {
+      console.error(`Failed to prune the "${this.SHEET_NAME}" sheet. Error: ${e.message}`);
+      addRunNote(stats, `Could not prune old snapshots: ${e.message}`);
+    }
+  },
+
+  /**
+   * Reads a snapshot back from the "Archive" tab.
+   * @param {string} snapshotId The SnapshotId of the snapshot.
+   * @returns {{listId: string, listTitle: string, takenAt: string, tasks: Array<object>}} The snapshot.
+   * @throws {Error} If there is no such snapshot.
+   */
+  read(snapshotId) {
+    const parts = LoggingSheetUtil.readRows(this.SHEET_NAME)
+      .filter(row => row.SnapshotId === snapshotId)
+      .sort((a, b) => a.Part - b.Part);
+    if (!parts.length) {
+      throw new Error(`There is no snapshot "${snapshotId}" in the "${this.SHEET_NAME}" sheet. It may have been pruned.`);
+    }
+    return JSON.parse(parts.map(part => part.Data).join(''));
+  },
+
+  /**
+   * Creates a new list from a snapshot, inserting every task below its restored parent and after
+   * its restored previous sibling. Fields the API cannot write (links, hidden) are handled like
+   * a copied task (see TaskService.copyFields).
+   * @param {object} snapshot The snapshot, as returned by read().
+   * @returns {GoogleAppsScript.Tasks.Schema.TaskList} The new list.
+   */
+  restore(snapshot) {
+    const list = ListService.createList(snapshot.listTitle);
+    const newIds = {};
+    const lastChildIds = {}; // The last restored task under each restored parent ('' for the top level).
+    const issues = [];
+
+    for (const task of snapshot.tasks) {
+      const parentId = (task.parent && newIds[task.parent]) || '';
+      const options = {};
+      if (parentId) options.parent = parentId;
+      if (lastChildIds[parentId]) options.previous = lastChildIds[parentId];
+      const newTask = TaskService.insert(list.id, TaskService.copyFields(task, issues), options);
+      newIds[task.id] = newTask.id;
+      lastChildIds[parentId] = newTask.id;
+    }
+    if (issues.length) {
+      console.warn(`Restored list "${snapshot.listTitle}", but ${issues.join('; ')}.`);
+    }
+    return list;
+  },
+
+  /**
+   * Returns the "Archive" tab, creating it with its header if needed.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The log spreadsheet.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+   */
+  getSheet(ss) {
+    let sheet = ss.getSheetByName(this.SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(this.SHEET_NAME);
+      sheet.appendRow(this.HEADER_ROW);
+      console.log(`Created archive sheet: "${this.SHEET_NAME}"`);
+    }
+    return sheet;
+  },
+};
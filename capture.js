@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Email-to-task capture.
+ * Each run turns the Gmail threads found by CAPTURE_GMAIL_LABEL and/or CAPTURE_GMAIL_QUERY into
+ * Inbox tasks: the subject becomes the title, and the start of the first message, its sender and
+ * a link to the thread go into the notes. A due date in the subject ("due Friday", "due 7/15",
+ * "due July 15", "due tomorrow") becomes the task's due date, so that the Inbox rules route it
+ * like any other task. Captured threads get the CAPTURED_GMAIL_LABEL and lose the capture label,
+ * and the search always leaves labeled threads out, so each thread is captured exactly once. A
+ * thread that could not be relabeled is recorded until it is, wherever its task has gone since.
+ * @see /@documentation/design.md#53-processinboxtaskstodaylistid-inboxid-stats
+ */
+
+/**
+ * A utility object for capturing Gmail threads as Inbox tasks.
+ */
+const EmailCapture = {
+  SNIPPET_LENGTH: 200, // The number of characters of the message kept in the notes.
+  WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  MONTHS: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+  LINK_PATTERN: /Original Email: (\S+)/,
+  PROPERTY_KEY: 'CAPTURE_PENDING_THREADS', // The threads whose task was created but that were not relabeled.
+
+  /**
+   * Reads the capture settings.
+   * @returns {{label: string, query: string, capturedLabel: string, maxThreads: number}}
+   * @throws {Error} If the capture label and the captured label are the same.
+   */
+  getSettings() {
+    const settings = {
+      label: getCaptureGmailLabel(),
+      query: getCaptureGmailQuery(),
+      capturedLabel: getCapturedGmailLabel(),
+      maxThreads: getCaptureMaxThreads(),
+    };
+    if (settings.label && settings.label === settings.capturedLabel) {
+      throw new Error(`CAPTURE_GMAIL_LABEL and CAPTURED_GMAIL_LABEL are both "${settings.label}". Use two different labels.`);
+    }
+    return settings;
+  },
+
+  /**
+   * Builds the Gmail search for the threads to capture. Threads that already carry the captured
+   * label are always left out.
+   * @param {object} settings The settings, from getSettings().
+   * @returns {string} The query, or an empty string if capture is disabled.
+   */
+  buildQuery(settings) {
+    const terms = [];
+    if (settings.label) terms.push(`label:${this.toSearchName(settings.label)}`);
+    if (settings.query) terms.push(`(${settings.query})`);
+    if (!terms.length) return '';
+    terms.push(`-label:${this.toSearchName(settings.capturedLabel)}`);
+    return terms.join(' ');
+  },
+
+  /**
+   * Writes a label name the way Gmail search expects it, with spaces and slashes as hyphens.
+   * @param {string} name The label name, e.g. "GTaskManager/Captured".
+   * @returns {string} E.g. "gtaskmanager-captured".
+   */
+  toSearchName(name) {
+    return name.trim().toLowerCase().replace(/[\s/]+/g, '-');
+  },
+
+  /**
+   * Builds the pattern of a due phrase in a subject, e.g. "due Friday" or "(due by 7/15)".
+   * @returns {RegExp}
+   */
+  getDuePattern() {
+    const weekdays = this.WEEKDAYS.map(day => `${day.substring(0, 3)}(?:${day.substring(3)})?`).join('|');
+    const months = this.MONTHS.map(month => `${month.substring(0, 3)}(?:${month.substring(3)})?`).join('|');
+    const day = [
+      'today',
+      'tomorrow',
+      `(?:${weekdays})`,
+      '\\d{4}-\\d{2}-\\d{2}',
+      '\\d{1,2}/\\d{1,2}(?:/\\d{2,4})?',
+      `(?:${months})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?`,
+    ].join('|');
+    return new RegExp(`[\\s,;:([-]*\\bdue(?:\\s+(?:by|on))?\\s+(${day})\\b[)\\]]?`, 'i');
+  },
+
+  /**
+   * Splits a subject into the task title and its due date, if it names one.
+   * @param {string} subject The subject of the thread.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {{title: string, dueKey: (string|null)}} The title without the due phrase, and the
+   *     due date as yyyy-MM-dd. A phrase that is not a valid date is kept in the title.
+   */
+  parseSubject(subject, todayKey) {
+    const title = (subject || '').trim() || '(no subject)';
+    const match = title.match(this.getDuePattern());
+    const dueKey = match ? this.resolveDay(match[1], todayKey) : null;
+    if (!dueKey) return { title: title, dueKey: null };
+    const rest = title.replace(match[0], ' ').replace(/\s+/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+    return { title: rest || title, dueKey: dueKey };
+  },
+
+  /**
+   * Resolves a day named in a subject. Weekdays and dates without a year mean the next such day,
+   * today included.
+   * @param {string} phrase The day, e.g. "tomorrow", "Fri", "2025-07-15", "7/15" or "July 15th".
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {string|null} The day as yyyy-MM-dd, or null if it is not a valid date.
+   */
+  resolveDay(phrase, todayKey) {
+    const text = phrase.toLowerCase().replace(/\s+/g, ' ');
+    if (text === 'today') return todayKey;
+    if (text === 'tomorrow') return ListNaming.addDays(todayKey, 1);
+
+    const weekday = /^[a-z]+$/.test(text) ? this.WEEKDAYS.findIndex(day => day.startsWith(text.substring(0, 3))) : -1;
+    if (weekday >= 0) {
+      const todayWeekday = ListNaming.toUtcNoon(todayKey).getUTCDay();
+      return ListNaming.addDays(todayKey, (weekday - todayWeekday + 7) % 7);
+    }
+
+    const [todayYear] = todayKey.split('-').map(Number);
+    let year = null;
+    let month = null;
+    let day = null;
+    let match;
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+      [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+      [month, day] = [Number(match[1]), Number(match[2])];
+      year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : null;
+    } else if ((match = text.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/))) {
+      month = this.MONTHS.findIndex(name => name.startsWith(match[1].substring(0, 3))) + 1;
+      day = Number(match[2]);
+      year = match[3] ? Number(match[3]) : null;
+    }
+    if (!month || !day) return null;
+
+    const toKey = (y) => `${y}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    let key = toKey(year || todayYear);
+    if (!year && key < todayKey) key = toKey(todayYear + 1);
+    // Catches days that do not exist, such as 2/30.
+    return Utilities.formatDate(ListNaming.toUtcNoon(key), 'UTC', 'yyyy-MM-dd') === key ? key : null;
+  },
+
+  /**
+   * Builds the Inbox task for a thread.
+   * @param {GoogleAppsScript.Gmail.GmailThread} thread The thread.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {{title: string, notes: string, due: (string|undefined)}} The fields of the new task.
+   */
+  buildTask(thread, todayKey) {
+    const { title, dueKey } = this.parseSubject(thread.getFirstMessageSubject(), todayKey);
+    const message = thread.getMessages()[0];
+    const body = message.getPlainBody().replace(/\s+/g, ' ').trim();
+    const snippet = body.length > this.SNIPPET_LENGTH ? `${body.substring(0, this.SNIPPET_LENGTH).trim()}…` : body;
+    const lines = [];
+    if (snippet) lines.push(snippet, '');
+    lines.push(`From: ${message.getFrom()}`, '', '---', `Original Email: ${thread.getPermalink()}`);
+    const fields = { title: title, notes: lines.join('\n') };
+    if (dueKey) {
+      fields.due = `${dueKey}T00:00:00.000Z`; // The Tasks API stores due dates as midnight UTC.
+    }
+    return fields;
+  },
+
+  /**
+   * Collects the thread links already in the Inbox, so that a thread whose task is there but that
+   * was never relabeled, and is not recorded in CAPTURE_PENDING_THREADS, is not captured twice.
+   * @param {string} inboxId The ID of the Inbox list.
+   * @returns {Set<string>}
+   */
+  getCapturedLinks(inboxId) {
+    const links = new Set();
+    for (const task of TaskService.listAllTasks(inboxId, { showHidden: true })) {
+      const match = (task.notes || '').match(this.LINK_PATTERN);
+      if (match) links.add(match[1]);
+    }
+    return links;
+  },
+
+  /**
+   * Reads the IDs of the threads whose task was created by an earlier run that then failed to
+   * relabel them. Their task may have left the Inbox since, so the Inbox links do not cover them.
+   * @returns {Set<string>}
+   */
+  getPendingThreadIds() {
+    try {
+      return new Set(JSON.parse(getProperty(this.PROPERTY_KEY) || '[]'));
+    } catch (e) {
+      console.warn(`Ignoring the unreadable ${this.PROPERTY_KEY} property. Error: ${e.message}`);
+      return new Set();
+    }
+  },
+
+  /**
+   * Stores the IDs of the threads that have a task but not the captured label yet. Nothing is
+   * stored in a dry run.
+   * @param {Set<string>} threadIds The thread IDs.
+   */
+  savePendingThreadIds(threadIds) {
+    if (DryRunRecorder.isActive()) {
+      return;
+    }
+    if (threadIds.size) {
+      setProperty(this.PROPERTY_KEY, JSON.stringify([...threadIds]));
+    } else {
+      deleteProperty(this.PROPERTY_KEY);
+    }
+  },
+
+  /**
+   * Marks a thread as captured: it gets the captured label and loses the capture label.
+   * @param {GoogleAppsScript.Gmail.GmailThread} thread The thread.
+   * @param {object} settings The settings, from getSettings().
+   */
+  markCaptured(thread, settings) {
+    if (DryRunRecorder.isActive()) {
+      DryRunRecorder.record('label-email', `Would label the email "${thread.getFirstMessageSubject()}" as "${settings.capturedLabel}"`);
+      return;
+    }
+    const capturedLabel = GmailApp.getUserLabelByName(settings.capturedLabel) || GmailApp.createLabel(settings.capturedLabel);
+    thread.addLabel(capturedLabel);
+    const label = settings.label && GmailApp.getUserLabelByName(settings.label);
+    if (label) {
+      thread.removeLabel(label);
+    }
+  },
+
+  /**
+   * Creates an Inbox task for each thread to capture, oldest first so that the newest email ends
+   * up on top, and counts them in `stats.captured`. A Gmail failure is noted, but does not fail
+   * the run; the threads that were not captured are picked up by the next run.
+   * @param {string} inboxId The ID of the Inbox list.
+   * @param {object} stats The statistics object to be updated.
+   */
+  capture(inboxId, stats) {
+    const settings = this.getSettings();
+    const query = this.buildQuery(settings);
+    if (!query) return;
+
+    let threads;
+    try {
+      threads = RetryUtil.call('GmailApp.search', () => GmailApp.search(query, 0, settings.maxThreads));
+    } catch (e) {
+      console.error(`Failed to search Gmail for "${query}". Error: ${e.message}`);
+      addRunNote(stats, `Could not search Gmail for emails to capture: ${e.message}`);
+      return;
+    }
+    if (!threads.length) return;
+
+    const capturedLinks = this.getCapturedLinks(inboxId);
+    const pendingIds = this.getPendingThreadIds();
+    const todayKey = ListNaming.getDateKey(new Date());
+    for (const thread of threads.slice().reverse()) {
+      const threadId = thread.getId();
+      let created = false;
+      try {
+        if (!capturedLinks.has(thread.getPermalink()) && !pendingIds.has(threadId)) {
+          const task = TaskService.insert(inboxId, this.buildTask(thread, todayKey));
+          created = true;
+          EventLog.record(stats, 'captured', { task: task, destListId: inboxId });
+          stats.captured++;
+        }
+        this.markCaptured(thread, settings);
+        if (pendingIds.delete(threadId)) {
+          this.savePendingThreadIds(pendingIds);
+        }
+      } catch (e) {
+        if (created) {
+          // The Inbox rules may move its task today, so the next run cannot rely on the Inbox links.
+          pendingIds.add(threadId);
+          this.savePendingThreadIds(pendingIds);
+        }
+        console.error(`Failed to capture the email "${thread.getFirstMessageSubject()}". Error: ${e.message}`);
+        addRunNote(stats, `Could not capture the email "${thread.getFirstMessageSubject()}": ${e.message}`);
+        return;
+      }
+    }
+    console.log(`Captured ${stats.captured} email(s) as Inbox tasks.`);
+  },
+};
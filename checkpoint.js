@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Checkpoints for runs that pause on the execution timeout.
+ * When rolloverProcess runs out of time, the remaining stale lists, the task cursor inside the
+ * current list and the partial stats are stored in a script property, and a one-shot trigger
+ * continues the run a few minutes later. All parts of the run are logged as a single row.
+ * @see /@documentation/design.md#7-error-handling--idempotency
+ */
+
+/**
+ * A utility object for saving, resuming and cleaning up paused runs.
+ */
+const RunCheckpoint = {
+  PROPERTY_KEY: 'ROLLOVER_CHECKPOINT',
+  CONTINUATION_HANDLER: 'resumeDailyRunner',
+  MAX_PROPERTY_LENGTH: 8500, // Script property values are limited to 9 KB.
+  MAX_NOTES_LENGTH: 2000, // The characters of the run notes kept in a checkpoint.
+  // The lists of the partial stats that grow with the run, trimmed in this order (oldest entries
+  // first) when the checkpoint does not fit, and the note that records each omission.
+  TRIMMED_LISTS: {
+    lossyMoves: 'lossy move(s) were left out of the notes',
+    escalations: 'escalated task(s) were left out of the escalation email',
+    procrastinated: 'task(s) were left out of the most-procrastinated list',
+  },
+  // The partial stats a checkpoint keeps when it does not fit even after trimming.
+  MINIMAL_STATS: ['runId', 'timestamp', 'inboxAdds', 'rolledOver', 'inboxMoves', 'listDeleted', 'listCreated', 'captured', 'completedTasks', 'retries', 'logRow'],
+
+  /**
+   * Reads the stored checkpoint.
+   * @returns {object|null} The checkpoint, or null if no run is paused.
+   */
+  load() {
+    const value = getProperty(this.PROPERTY_KEY);
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.error(`Ignoring an unreadable checkpoint. Error: ${e.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Starts or resumes a run. If the stored checkpoint belongs to the same day, its partial stats
+   * are merged into `stats` and the checkpoint is returned; a checkpoint from another day is
+   * discarded, because its remaining lists are found again as stale lists.
+   * @param {string} todayTitle The formatted title for today's list.
+   * @param {object} stats The statistics object of the new run, updated in place.
+   * @returns {object} The checkpoint for this run.
+   */
+  begin(todayTitle, stats) {
+    this.deleteContinuationTriggers();
+    const saved = this.load();
+
+    if (saved && saved.todayTitle === todayTitle) {
+      Object.assign(stats, saved.stats, { timestamp: new Date(saved.stats.timestamp) });
+      RetryUtil.resetStats(saved.stats.retries || 0, saved.stats.apiCalls);
+      saved.continuations++;
+      console.log(`Resuming the paused run for "${todayTitle}" (continuation ${saved.continuations}).`);
+      return saved;
+    }
+
+    if (saved) {
+      console.warn(`Discarding the checkpoint of the unfinished run for "${saved.todayTitle}".`);
+      deleteProperty(this.PROPERTY_KEY);
+    }
+    return { todayTitle: todayTitle, continuations: 0, pendingListIds: null, cursor: null, stats: null };
+  },
+
+  /**
+   * Stores the checkpoint and schedules the continuation trigger.
+   * @param {object} checkpoint The checkpoint, with the remaining lists and the cursor filled in.
+   * @param {object} stats The partial statistics of the run.
+   * @returns {string} "scheduled" if a continuation was scheduled, "stored" if the run already
+   *     used up MAX_CONTINUATIONS and resumes with the next daily run, or "failed" if the
+   *     checkpoint could not be stored, in which case the next daily run finds the remaining
+   *     lists again as stale lists.
+   */
+  pause(checkpoint, stats) {
+    checkpoint.stats = stats;
+    if (!this.save(checkpoint)) {
+      return 'failed';
+    }
+
+    if (checkpoint.continuations >= getMaxContinuations()) {
+      console.warn(`The run was already continued ${checkpoint.continuations} times. It will resume with the next daily run.`);
+      return 'stored';
+    }
+    const delayMinutes = getContinuationDelayMinutes();
+    ScriptApp.newTrigger(this.CONTINUATION_HANDLER)
+      .timeBased()
+      .after(delayMinutes * 60 * 1000)
+      .create();
+    console.log(`Scheduled a continuation of the run in ${delayMinutes} minute(s).`);
+    return 'scheduled';
+  },
+
+  /**
+   * Removes the checkpoint and any continuation trigger once the run has finished.
+   * @param {object} checkpoint The checkpoint of the finished run.
+   * @param {object} stats The statistics object; a note is added if the run was continued.
+   */
+  complete(checkpoint, stats) {
+    deleteProperty(this.PROPERTY_KEY);
+    this.deleteContinuationTriggers();
+    if (checkpoint.continuations > 0) {
+      addRunNote(stats, `Completed after ${checkpoint.continuations} continuation(s).`);
+    }
+  },
+
+  /**
+   * Serializes the checkpoint into its script property. Long notes are shortened, and if the
+   * checkpoint would not fit, the oldest entries of TRIMMED_LISTS are dropped, each omission
+   * recorded in the notes. A checkpoint that still does not fit keeps only the remaining lists,
+   * the cursor and the counts of MINIMAL_STATS. A failed write is logged, and any older
+   * checkpoint of the run is deleted, so that the next run does not resume from it.
+   * @param {object} checkpoint The checkpoint to store.
+   * @returns {boolean} Whether the checkpoint was stored.
+   */
+  save(checkpoint) {
+    const stats = checkpoint.stats;
+    if (stats.notes && stats.notes.length > this.MAX_NOTES_LENGTH) {
+      stats.notes = `${stats.notes.substring(0, this.MAX_NOTES_LENGTH - 1)}…`;
+    }
+    const notes = stats.notes;
+    const dropped = {};
+    // Serialized with the omissions noted so far, so that the notes count towards the limit.
+    const serialize = () => {
+      stats.notes = notes;
+      Object.keys(dropped).forEach(key => addRunNote(stats, `${dropped[key]} ${this.TRIMMED_LISTS[key]} to fit the checkpoint.`));
+      return JSON.stringify(checkpoint);
+    };
+    let value = serialize();
+    for (const key of Object.keys(this.TRIMMED_LISTS)) {
+      const list = stats[key] || [];
+      while (value.length > this.MAX_PROPERTY_LENGTH && list.length) {
+        list.shift();
+        dropped[key] = (dropped[key] || 0) + 1;
+        value = serialize();
+      }
+    }
+
+    if (value.length > this.MAX_PROPERTY_LENGTH) {
+      const minimal = {};
+      this.MINIMAL_STATS.forEach(key => {
+        minimal[key] = stats[key];
+      });
+      minimal.notes = 'The details of the run before it paused were left out to fit the checkpoint.';
+      checkpoint.stats = minimal;
+      value = JSON.stringify(checkpoint);
+    }
+
+    try {
+      setProperty(this.PROPERTY_KEY, value);
+      return true;
+    } catch (e) {
+      console.error(`Failed to store the checkpoint. Error: ${e.message}`);
+      try {
+        deleteProperty(this.PROPERTY_KEY);
+      } catch (deleteError) {
+        console.error(`Failed to delete the older checkpoint. Error: ${deleteError.message}`);
+      }
+      return false;
+    }
+  },
+
+  /**
+   * Deletes the one-shot continuation triggers, which stay listed after they have fired.
+   */
+  deleteContinuationTriggers() {
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getHandlerFunction() === this.CONTINUATION_HANDLER) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+  },
+};
@@ -1,14 +1,23 @@
 /**
  * @fileoverview Configuration file for the script.
  * This file provides getter functions for all script properties, allowing for centralized
- * management and default values.
+ * management and default values. Every value is resolved through the active configuration
+ * profile, if any (see ConfigProfiles).
  * @see /@documentation/design.md#3-configuration-script-properties
  */
 
 // --- Script Property Getters ---
 
 function getProperty(key) {
-  return PropertiesService.getScriptProperties().getProperty(key);
+  return ConfigProfiles.get(key);
+}
+
+function setProperty(key, value) {
+  ConfigProfiles.set(key, value);
+}
+
+function deleteProperty(key) {
+  ConfigProfiles.remove(key);
 }
 
 function getInboxListName() {
@@ -23,6 +32,127 @@ function getDailyListPrefix() {
   return getProperty('DAILY_LIST_PREFIX') || '[Daily]';
 }
 
+/**
+ * Gets the SimpleDateFormat pattern for the date part of daily list titles.
+ * Only year, month, day and weekday fields are allowed, so that titles can be parsed back.
+ */
+function getDailyListDateFormat() {
+  return getProperty('DAILY_LIST_DATE_FORMAT') || 'MMMM d, yyyy';
+}
+
+/**
+ * Gets the number of days ahead for which daily lists are created, in addition to today's.
+ * Defaults to 0 (only today's list).
+ */
+function getLookaheadDays() {
+  return Math.max(0, parseInt(getProperty('LOOKAHEAD_DAYS') || '0', 10) || 0);
+}
+
+function getListIncludeRegex() {
+  return getProperty('LIST_INCLUDE_REGEX') || null; // Default: all lists
+}
+
+function getListExclusionRegex() {
+  return getProperty('LIST_EXCLUSION_REGEX') || null; // Default: no lists
+}
+
+/**
+ * Gets the most stale lists a run may roll over. More than that stops the run as a safety
+ * check. 0 disables the check.
+ */
+function getMaxStaleLists() {
+  return Math.max(0, parseInt(getProperty('MAX_STALE_LISTS') || '31', 10) || 0);
+}
+
+/**
+ * Gets the Rollover Count from which a rolled-over task's title gets AGING_TAG_PREFIX.
+ * Defaults to 0 (never).
+ */
+function getAgingTagAfter() {
+  return Math.max(0, parseInt(getProperty('AGING_TAG_AFTER') || '0', 10) || 0);
+}
+
+function getAgingTagPrefix() {
+  return getProperty('AGING_TAG_PREFIX') || '[Aging] ';
+}
+
+/**
+ * Gets the Rollover Count from which a task rolls over to the Someday list instead.
+ * Defaults to 0 (never).
+ */
+function getAgingSomedayAfter() {
+  return Math.max(0, parseInt(getProperty('AGING_SOMEDAY_AFTER') || '0', 10) || 0);
+}
+
+function getSomedayListName() {
+  return getProperty('SOMEDAY_LIST_NAME') || 'Someday';
+}
+
+/**
+ * Gets the Rollover Count from which a rolled-over task is listed in the escalation email.
+ * Defaults to 0 (never).
+ */
+function getAgingEscalateAfter() {
+  return Math.max(0, parseInt(getProperty('AGING_ESCALATE_AFTER') || '0', 10) || 0);
+}
+
+/**
+ * Gets what the rollover does with a missed instance of a recurring task: "drop", "keep-one"
+ * or "today". Defaults to "keep-one".
+ */
+function getRecurringTaskPolicy() {
+  return (getProperty('RECURRING_TASK_POLICY') || 'keep-one').trim().toLowerCase();
+}
+
+/**
+ * Gets the Gmail label whose threads are captured as Inbox tasks. Defaults to none.
+ */
+function getCaptureGmailLabel() {
+  return (getProperty('CAPTURE_GMAIL_LABEL') || '').trim();
+}
+
+/**
+ * Gets a Gmail search whose threads are captured as Inbox tasks, e.g. "is:starred". Combined
+ * with CAPTURE_GMAIL_LABEL if both are set. Defaults to none.
+ */
+function getCaptureGmailQuery() {
+  return (getProperty('CAPTURE_GMAIL_QUERY') || '').trim();
+}
+
+function getCapturedGmailLabel() {
+  return (getProperty('CAPTURED_GMAIL_LABEL') || '').trim() || 'GTaskManager/Captured';
+}
+
+/**
+ * Gets the most Gmail threads a run captures. The others are captured by the next runs.
+ */
+function getCaptureMaxThreads() {
+  return Math.max(1, parseInt(getProperty('CAPTURE_MAX_THREADS') || '20', 10) || 1);
+}
+
+/**
+ * Gets the list series (e.g. weekly and monthly planning lists) from LIST_SERIES, a JSON array
+ * of `{name, prefix, period, rolloverTo}` objects. Defaults to no series.
+ * @throws {Error} If LIST_SERIES is not valid JSON.
+ */
+function getListSeriesConfig() {
+  const value = getProperty('LIST_SERIES');
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(`LIST_SERIES is not valid JSON. Error: ${e.message}`);
+  }
+}
+
+/**
+ * Gets where unfinished daily tasks are rolled over to: "inbox", or the name of a series whose
+ * current list receives them instead. Defaults to "inbox".
+ */
+function getDailyRolloverDestination() {
+  return getProperty('DAILY_ROLLOVER_DESTINATION') || 'inbox';
+}
+
 function getLocalTimeZone() {
   return getProperty('LOCAL_TIME_ZONE') || Session.getScriptTimeZone();
 }
@@ -35,6 +165,59 @@ function getLogSheetId() {
   return getProperty('LOG_SHEET_ID'); // Required, no default
 }
 
+/**
+ * Gets the Drive folder exportTasks writes to. Defaults to My Drive.
+ */
+function getExportFolderId() {
+  return getProperty('EXPORT_FOLDER_ID') || null;
+}
+
+/**
+ * Gets the recipients of the report and escalation emails, comma-separated.
+ * Defaults to the user the script runs as.
+ */
+function getReportRecipient() {
+  return getProperty('REPORT_RECIPIENT') || Session.getEffectiveUser().getEmail();
+}
+
+/**
+ * Gets the channels notifications go to (see Notifier): any of "email", "webhook" and "log",
+ * comma-separated, or "none". Defaults to "email".
+ */
+function getNotifyChannels() {
+  const value = getProperty('NOTIFY_CHANNELS') || 'email';
+  return value.split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none');
+}
+
+/**
+ * Gets the recipients of failure alerts, comma-separated. Defaults to the user the script runs as.
+ */
+function getNotifyRecipient() {
+  return getProperty('NOTIFY_RECIPIENT') || Session.getEffectiveUser().getEmail();
+}
+
+/**
+ * Gets the incoming webhook (Google Chat or Slack) of the "webhook" notification channel.
+ */
+function getNotifyWebhookUrl() {
+  return (getProperty('NOTIFY_WEBHOOK_URL') || '').trim();
+}
+
+/**
+ * Gets the lowest severity that is notified: "info", "warning" or "error". Defaults to "info".
+ */
+function getNotifyMinSeverity() {
+  return (getProperty('NOTIFY_MIN_SEVERITY') || 'info').trim().toLowerCase();
+}
+
+/**
+ * Gets the number of days the same failure alert is not repeated. 0 repeats it on every failure.
+ * Defaults to 3.
+ */
+function getNotifyDedupeDays() {
+  return Math.max(0, parseInt(getProperty('NOTIFY_DEDUPE_DAYS') || '3', 10) || 0);
+}
+
 function getWeeklyDigestDay() {
   return parseInt(getProperty('WEEKLY_DIGEST_DAY') || '1', 10); // Default: Monday
 }
@@ -43,11 +226,29 @@ function getWeeklyDigestHour() {
   return parseInt(getProperty('WEEKLY_DIGEST_HOUR') || '9', 10);
 }
 
+function getReportSchedules() {
+  // The reports sent by their own triggers: any of "daily", "weekly" and "monthly", or "none".
+  const value = getProperty('REPORT_SCHEDULES') || 'weekly';
+  return value.split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none');
+}
+
 function getAddSummaryTask() {
   const value = getProperty('ADD_SUMMARY_TASK');
   return value !== 'false'; // Default to true
 }
 
+function getArchiveDeletedLists() {
+  const value = getProperty('ARCHIVE_DELETED_LISTS');
+  return value !== 'false'; // Default to true
+}
+
+/**
+ * Gets the number of days list snapshots are kept in the "Archive" tab. 0 keeps them forever.
+ */
+function getArchiveRetentionDays() {
+  return Math.max(0, parseInt(getProperty('ARCHIVE_RETENTION_DAYS') || '30', 10) || 0);
+}
+
 function getTrackRolloverCount() {
   const value = getProperty('TRACK_ROLLOVER_COUNT');
   return value !== 'false'; // Default to true
@@ -65,3 +266,61 @@ function getAutoMoveDueTasks() {
   const value = getProperty('AUTO_MOVE_DUE_TASKS');
   return value !== 'false'; // Default to true
 }
+
+/**
+ * Gets the number of days after which the Inbox is read in full again, instead of only the tasks
+ * changed or coming due since the last run (see InboxSync). 0 reads it in full every run.
+ * Defaults to 7.
+ */
+function getInboxFullScanDays() {
+  return Math.max(0, parseInt(getProperty('INBOX_FULL_SCAN_DAYS') || '7', 10) || 0);
+}
+
+/**
+ * Gets the dry-run setting. When true, every mutating call to the Tasks API is
+ * replaced by a recorder and the intended actions are written to the "DryRun" tab.
+ * Defaults to false if the property is not set.
+ */
+function getDryRun() {
+  const value = getProperty('DRY_RUN');
+  return value === 'true'; // Default to false
+}
+
+/**
+ * Gets the setting for emailing the dry-run plan to the script's effective user.
+ * Defaults to false if the property is not set.
+ */
+function getDryRunEmailPlan() {
+  const value = getProperty('DRY_RUN_EMAIL_PLAN');
+  return value === 'true'; // Default to false
+}
+
+/**
+ * Gets the maximum number of retries for a failed Tasks API call.
+ * Only retryable errors (rate limits, backend errors) are retried.
+ */
+function getMaxRetries() {
+  return parseInt(getProperty('MAX_RETRIES') || '3', 10);
+}
+
+function getRetryBaseDelayMs() {
+  return parseInt(getProperty('RETRY_BASE_DELAY_MS') || '1000', 10);
+}
+
+function getRetryMaxDelayMs() {
+  return parseInt(getProperty('RETRY_MAX_DELAY_MS') || '16000', 10);
+}
+
+/**
+ * Gets the delay before a paused run is continued by its one-shot trigger.
+ */
+function getContinuationDelayMinutes() {
+  return parseInt(getProperty('CONTINUATION_DELAY_MINUTES') || '1', 10);
+}
+
+/**
+ * Gets the maximum number of continuations per run. Beyond it, the next daily run resumes the work.
+ */
+function getMaxContinuations() {
+  return parseInt(getProperty('MAX_CONTINUATIONS') || '20', 10);
+}
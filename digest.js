@@ -1,104 +1,398 @@
 /**
- * @fileoverview Manages the creation and sending of the weekly digest email.
- * This file reads data from the log sheet to compile a summary of the week's activity.
+ * @fileoverview Manages the creation and sending of the digest emails.
+ * This file reads data from the log sheet to compile a summary of a period's activity. Scheduled
+ * reports (REPORT_SCHEDULES) are sent by their own triggers: a daily recap of yesterday, the weekly
+ * digest on WEEKLY_DIGEST_DAY and a monthly report of the previous month on the 1st.
+ * `sendReport(start, end)` reports on any past range. Collecting the data (collectDigestData) is
+ * kept apart from rendering it (renderDigest), which is a pure function of the collected data.
  * @see /@documentation/design.md
  */
 
 /**
- * A utility object for composing and sending the weekly digest email.
+ * Trigger handler: emails the daily recap of yesterday.
+ */
+function sendDailyRecap() {
+  DigestMailer.send(DigestMailer.getScheduledPeriod('daily', new Date()));
+}
+
+/**
+ * Trigger handler: emails the weekly digest of the 7 days ending today.
+ */
+function sendWeeklyDigest() {
+  DigestMailer.send(DigestMailer.getScheduledPeriod('weekly', new Date()));
+}
+
+/**
+ * Trigger handler: emails the monthly report of the previous calendar month.
+ */
+function sendMonthlyReport() {
+  DigestMailer.send(DigestMailer.getScheduledPeriod('monthly', new Date()));
+}
+
+/**
+ * Emails a report for any range of days, read from the log sheet. Call it from the Apps Script
+ * editor or with `clasp run`, e.g. `sendReport('2025-06-01', '2025-06-30')`.
+ * @param {string|Date} start The first day of the range, as yyyy-MM-dd or a Date.
+ * @param {string|Date} end The last day of the range, as yyyy-MM-dd or a Date.
+ * @throws {Error} If the range is not valid.
+ */
+function sendReport(start, end) {
+  DigestMailer.send(DigestMailer.getCustomPeriod(start, end));
+}
+
+/**
+ * A utility object for composing and sending the digest emails.
  */
 const DigestMailer = {
+  LEADERBOARD_SIZE: 10, // The number of Inbox tasks on the procrastination leaderboard.
+
+  // The scheduled reports, by their name in REPORT_SCHEDULES.
+  REPORTS: {
+    daily: { title: 'Daily Recap', handler: 'sendDailyRecap', previousLabel: 'the day before' },
+    weekly: { title: 'Weekly Digest', handler: 'sendWeeklyDigest', previousLabel: 'last week' },
+    monthly: { title: 'Monthly Report', handler: 'sendMonthlyReport', previousLabel: 'last month' },
+  },
+
+  /**
+   * Reads and validates REPORT_SCHEDULES.
+   * @returns {Array<string>} The names of the scheduled reports, e.g. ["weekly"].
+   * @throws {Error} If a report name is unknown.
+   */
+  getSchedules() {
+    const schedules = getReportSchedules();
+    for (const name of schedules) {
+      if (!this.REPORTS[name]) {
+        throw new Error(`REPORT_SCHEDULES contains the unknown report "${name}". Use any of: ${Object.keys(this.REPORTS).join(', ')}, or "none".`);
+      }
+    }
+    return schedules;
+  },
+
   /**
-   * Composes and sends the weekly summary email.
-   * It reads the last 7 days of data from the "Runs" sheet, formats it into an HTML table,
-   * and emails it to the script's effective user.
+   * Computes the period a scheduled report covers when it is sent at a given time.
+   * @param {string} name The report, e.g. "weekly".
+   * @param {Date} now The time the report is sent.
+   * @returns {{title: string, startKey: string, endKey: string, previousStartKey: string, previousLabel: string}}
+   *     The period, with its days as yyyy-MM-dd (inclusive), and the start of the period it is compared with.
    */
-  sendWeeklyDigest() {
+  getScheduledPeriod(name, now) {
+    const report = this.REPORTS[name];
+    const todayKey = ListNaming.getDateKey(now);
+    let startKey;
+    let endKey;
+    let previousStartKey;
+    if (name === 'daily') {
+      startKey = endKey = ListNaming.addDays(todayKey, -1);
+      previousStartKey = ListNaming.addDays(startKey, -1);
+    } else if (name === 'weekly') {
+      endKey = todayKey;
+      startKey = ListNaming.addDays(todayKey, -6);
+      previousStartKey = ListNaming.addDays(startKey, -7);
+    } else {
+      // The month before the one `now` is in, compared with the month before that.
+      endKey = ListNaming.addDays(`${todayKey.slice(0, 7)}-01`, -1);
+      startKey = `${endKey.slice(0, 7)}-01`;
+      previousStartKey = `${ListNaming.addDays(startKey, -1).slice(0, 7)}-01`;
+    }
+    return { title: report.title, startKey, endKey, previousStartKey, previousLabel: report.previousLabel };
+  },
+
+  /**
+   * Builds the period of a report for a custom range. It is compared with the same number of days before it.
+   * @param {string|Date} start The first day of the range, as yyyy-MM-dd or a Date.
+   * @param {string|Date} end The last day of the range, as yyyy-MM-dd or a Date.
+   * @returns {object} The period, as returned by getScheduledPeriod.
+   * @throws {Error} If a day cannot be read, or the range ends before it starts.
+   */
+  getCustomPeriod(start, end) {
+    const toKey = (value, name) => {
+      if (value instanceof Date && !isNaN(value)) return ListNaming.getDateKey(value);
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      const dateKey = match && ListNaming.toDateKey(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+      if (!dateKey) {
+        throw new Error(`sendReport: the ${name} "${value}" is not a date. Use yyyy-MM-dd, e.g. "2025-07-01".`);
+      }
+      return dateKey;
+    };
+    const startKey = toKey(start, 'start');
+    const endKey = toKey(end, 'end');
+    if (endKey < startKey) {
+      throw new Error(`sendReport: the range ends (${endKey}) before it starts (${startKey}).`);
+    }
+    const days = Math.round((ListNaming.toUtcNoon(endKey) - ListNaming.toUtcNoon(startKey)) / (24 * 60 * 60 * 1000)) + 1;
+    const format = (dateKey) => Utilities.formatDate(ListNaming.toUtcNoon(dateKey), 'UTC', 'MMMM d, yyyy');
+    return {
+      title: `Report ${format(startKey)} - ${format(endKey)}`,
+      startKey: startKey,
+      endKey: endKey,
+      previousStartKey: ListNaming.addDays(startKey, -days),
+      previousLabel: `the ${days} day(s) before`,
+    };
+  },
+
+  /**
+   * Composes and sends a report.
+   * It reads the period's data from the "Runs" and "Events" sheets and the Inbox, renders
+   * it as HTML with a plain-text alternative, and emails it to REPORT_RECIPIENT, with a copy to
+   * the other notification channels (see Notifier.report).
+   * The settings are resolved once for the whole report (see ConfigProfiles.begin).
+   * @param {object} period The period, as returned by getScheduledPeriod or getCustomPeriod.
+   */
+  send(period) {
+    ConfigProfiles.begin();
+    try {
+      this.deliver(period);
+    } finally {
+      ConfigProfiles.end();
+    }
+  },
+
+  /**
+   * Composes and sends a report; see send().
+   * @param {object} period The period, as returned by getScheduledPeriod or getCustomPeriod.
+   */
+  deliver(period) {
     const sheetId = getLogSheetId();
     if (!sheetId) {
-      console.warn('Cannot send weekly digest: LOG_SHEET_ID is not configured.');
+      console.warn(`Cannot send the ${period.title}: LOG_SHEET_ID is not configured.`);
       return;
     }
 
     try {
       const ss = SpreadsheetApp.openById(sheetId);
-      const sheet = ss.getSheetByName('Runs');
-      if (!sheet) {
-        console.error('Cannot send weekly digest: "Runs" sheet not found.');
+      if (!ss.getSheetByName(LoggingSheetUtil.SHEET_NAME)) {
+        console.error(`Cannot send the ${period.title}: "Runs" sheet not found.`);
         return;
       }
 
-      // --- Data Collection ---
-      const data = sheet.getDataRange().getValues();
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      
-      const dailyStats = {}; // Use an object to store stats by date string for efficient lookup.
-
-      // Start from row 1 to skip the header row.
-      for (let i = 1; i < data.length; i++) {
-        const row = data[i];
-        const timestamp = new Date(row[0]);
-
-        if (timestamp >= sevenDaysAgo) {
-          const dateString = Utilities.formatDate(timestamp, getLocalTimeZone(), 'yyyy-MM-dd');
-          dailyStats[dateString] = {
-            rolledOver: parseInt(row[1], 10) || 0, // Column B: InboxAdds
-            note: row[4] || '' // Column E: Notes
-          };
-        }
+      const digest = this.renderDigest(this.collectDigestData(period));
+      const sent = Notifier.report({
+        source: 'report',
+        subject: digest.subject,
+        text: digest.textBody,
+        htmlBody: digest.htmlBody,
+        recipient: getReportRecipient(),
+      });
+      if (sent.failed.length) {
+        throw new Error(`The ${sent.failed.join(', ')} channel(s) failed.`);
       }
+      console.log(`${period.title} sent through ${sent.delivered.join(', ')}.`);
+      Notifier.resolve('report');
 
-      // --- Email Composition ---
-      let tableRows = '';
-      // Iterate backwards from today to build the table in chronological order.
-      for (let i = 0; i > -7; i--) {
-        const day = new Date();
-        day.setDate(day.getDate() + i);
-
-        const dateString = Utilities.formatDate(day, getLocalTimeZone(), 'yyyy-MM-dd');
-        const dayName = Utilities.formatDate(day, getLocalTimeZone(), 'EEEE, MMMM d');
-        
-        const stats = dailyStats[dateString];
-        const rolledOverCount = stats ? stats.rolledOver : 0;
-        
-        // Prepend rows to build the table from oldest to newest.
-        tableRows = `<tr><td style="padding: 8px; border-bottom: 1px solid #ddd;">${dayName}</td><td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: center;">${rolledOverCount}</td></tr>` + tableRows;
+    } catch (e) {
+      console.error(`Failed to send the ${period.title}. Error: ${e.message}`);
+      Notifier.alert(
+        'report',
+        'GTaskManager Digest Failure',
+        `The script could not generate or send the ${period.title}.\n\nError: ${e.message}`
+      );
+    }
+  },
+
+  /**
+   * Collects the data of a report: the logged runs and completed tasks of each day of the
+   * period, the totals of the previous period for comparison, and the Inbox leaderboard.
+   * @param {object} period The period, as returned by getScheduledPeriod or getCustomPeriod.
+   * @returns {{
+   *   period: object,
+   *   range: string,
+   *   days: Array<{dateKey: string, label: string, rolledOver: number, completed: number, inboxMoves: number}>,
+   *   completedTasks: Array<{title: string, list: string, dateKey: string}>,
+   *   totals: {rolledOver: number, completed: number, inboxMoves: number},
+   *   previousTotals: ({rolledOver: number, completed: number, inboxMoves: number}|null),
+   *   leaderboard: Array<{title: string, count: number, ageDays: number}>
+   * }} The digest data. range is the period's days as text, e.g. "July 8, 2025 - July 14, 2025".
+   *     previousTotals is null if no run was logged in the previous period.
+   */
+  collectDigestData(period) {
+    const tz = getLocalTimeZone();
+    const { startKey, endKey, previousStartKey } = period;
+
+    const days = [];
+    for (let dateKey = startKey; dateKey <= endKey; dateKey = ListNaming.addDays(dateKey, 1)) {
+      days.push({
+        dateKey: dateKey,
+        label: Utilities.formatDate(ListNaming.toUtcNoon(dateKey), 'UTC', 'EEEE, MMMM d'),
+        rolledOver: 0,
+        completed: 0,
+        inboxMoves: 0,
+      });
+    }
+    const dayByKey = {};
+    days.forEach(day => {
+      dayByKey[day.dateKey] = day;
+    });
+    const emptyTotals = () => ({ rolledOver: 0, completed: 0, inboxMoves: 0 });
+    const totals = emptyTotals();
+    const previousTotals = emptyTotals();
+    let previousRuns = 0;
+
+    // Read a day more than needed; rows are assigned to days by their date in the script's time zone.
+    const since = ListNaming.toUtcNoon(ListNaming.addDays(previousStartKey, -1));
+    // Runs are added up per day, since a day can have reruns.
+    for (const run of LoggingSheetUtil.readRuns(since)) {
+      const dateKey = Utilities.formatDate(run.Timestamp, tz, 'yyyy-MM-dd');
+      const rolledOver = parseInt(run.InboxAdds, 10) || 0;
+      const inboxMoves = parseInt(run.InboxMoves, 10) || 0;
+      if (dayByKey[dateKey]) {
+        dayByKey[dateKey].rolledOver += rolledOver;
+        dayByKey[dateKey].inboxMoves += inboxMoves;
+        totals.rolledOver += rolledOver;
+        totals.inboxMoves += inboxMoves;
+      } else if (dateKey >= previousStartKey && dateKey < startKey) {
+        previousTotals.rolledOver += rolledOver;
+        previousTotals.inboxMoves += inboxMoves;
+        previousRuns++;
+      }
+    }
+
+    // Completed tasks are counted on the day they were completed, not on the day they were logged.
+    const completedTasks = [];
+    for (const event of EventLog.readEvents(since, 'completed')) {
+      const dateKey = Utilities.formatDate(event.Timestamp, tz, 'yyyy-MM-dd');
+      if (dayByKey[dateKey]) {
+        dayByKey[dateKey].completed++;
+        totals.completed++;
+        completedTasks.push({ title: String(event.TaskTitle), list: String(event.SourceList || ''), dateKey: dateKey });
+      } else if (dateKey >= previousStartKey && dateKey < startKey) {
+        previousTotals.completed++;
       }
+    }
+
+    const formatDay = (dateKey) => Utilities.formatDate(ListNaming.toUtcNoon(dateKey), 'UTC', 'MMMM d, yyyy');
+    return {
+      period: period,
+      range: startKey === endKey ? formatDay(startKey) : `${formatDay(startKey)} - ${formatDay(endKey)}`,
+      days: days,
+      completedTasks: completedTasks,
+      totals: totals,
+      previousTotals: previousRuns ? previousTotals : null,
+      leaderboard: this.getLeaderboard(),
+    };
+  },
+
+  /**
+   * Finds the Inbox tasks with the highest Rollover Count, the oldest first among equal counts.
+   * @returns {Array<{title: string, count: number, ageDays: number}>} Up to LEADERBOARD_SIZE tasks,
+   *     highest count first. ageDays is 0 for tasks without a first-rollover date.
+   */
+  getLeaderboard() {
+    const inboxList = ListService.getListByTitle(getInboxListName());
+    if (!inboxList) return [];
+    const todayKey = ListNaming.getDateKey(new Date());
+    return TaskService.listIncompleteTasks(inboxList.id)
+      .map(task => ({
+        title: task.title || '(untitled)',
+        count: InboxRules.getRolloverCount(task.notes),
+        ageDays: TaskAging.getAgeDays(task.notes, todayKey),
+      }))
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count || b.ageDays - a.ageDays)
+      .slice(0, this.LEADERBOARD_SIZE);
+  },
+
+  /**
+   * Renders the digest email. This is a pure function of its input: the dates come formatted in
+   * the data, so nothing is read from Apps Script.
+   * @param {object} data The digest data, as returned by collectDigestData.
+   * @returns {{subject: string, htmlBody: string, textBody: string}}
+   */
+  renderDigest(data) {
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const cell = 'padding: 8px; border-bottom: 1px solid #ddd;';
+    const headCell = 'padding: 12px; border-bottom: 2px solid #333;';
+    const labelOf = (dateKey) => data.days.find(day => day.dateKey === dateKey).label;
+    const metrics = [
+      { key: 'completed', label: 'Tasks completed' },
+      { key: 'rolledOver', label: 'Tasks rolled over' },
+      { key: 'inboxMoves', label: 'Tasks moved from the Inbox' },
+    ];
+
+    const dayRows = data.days.map(day =>
+      `<tr><td style="${cell}">${day.label}</td><td style="${cell} text-align: center;">${day.completed}</td><td style="${cell} text-align: center;">${day.rolledOver}</td></tr>`).join('');
+    const totalRows = metrics.map(metric =>
+      `<tr><td style="${cell}">${metric.label}</td><td style="${cell} text-align: center;">${data.totals[metric.key]}</td><td style="${cell} text-align: center;">${this.formatDelta(data, metric.key)}</td></tr>`).join('');
+    const completedItems = data.completedTasks.map(task =>
+      `<li>${escape(task.title)} <span style="color: #777;">(${labelOf(task.dateKey)}${task.list ? `, ${escape(task.list)}` : ''})</span></li>`).join('');
+    const rolledOver = (entry) => `rolled over ${entry.count} times${entry.ageDays ? `, for ${entry.ageDays} days` : ''}`;
+    const leaderboardItems = data.leaderboard.map(entry =>
+      `<li>${escape(entry.title)} <span style="color: #777;">(${rolledOver(entry)})</span></li>`).join('');
 
-      const recipient = Session.getEffectiveUser().getEmail();
-      const subject = 'GTaskManager - Weekly Digest';
-      const htmlBody = `
+    const htmlBody = `
         <html>
           <body style="font-family: sans-serif; margin: 20px;">
-            <h2>GTaskManager Weekly Summary</h2>
-            <p>Here is your daily breakdown of rolled-over tasks for the past 7 days:</p>
+            <h2>GTaskManager ${escape(data.period.title)}</h2>
+            <p>${escape(data.range)}</p>
+            <h3>Totals</h3>
+            <table style="width: 100%; border-collapse: collapse;">
+              <thead>
+                <tr>
+                  <th style="${headCell} text-align: left;"></th>
+                  <th style="${headCell} text-align: center;">Total</th>
+                  <th style="${headCell} text-align: center;">vs. ${escape(data.period.previousLabel)}</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${totalRows}
+              </tbody>
+            </table>
+            <h3>Daily Breakdown</h3>
             <table style="width: 100%; border-collapse: collapse;">
               <thead>
                 <tr>
-                  <th style="padding: 12px; border-bottom: 2px solid #333; text-align: left;">Day</th>
-                  <th style="padding: 12px; border-bottom: 2px solid #333; text-align: center;">Tasks Rolled Over</th>
+                  <th style="${headCell} text-align: left;">Day</th>
+                  <th style="${headCell} text-align: center;">Tasks Completed</th>
+                  <th style="${headCell} text-align: center;">Tasks Rolled Over</th>
                 </tr>
               </thead>
               <tbody>
-                ${tableRows}
+                ${dayRows}
               </tbody>
             </table>
+            <h3>Completed Tasks</h3>
+            ${completedItems ? `<ul>${completedItems}</ul>` : '<p>No completed tasks were logged in this period.</p>'}
+            <h3>Most Procrastinated (in the Inbox)</h3>
+            ${leaderboardItems ? `<ol>${leaderboardItems}</ol>` : '<p>No task in the Inbox has been rolled over.</p>'}
             <p style="font-size: 12px; color: #777; margin-top: 20px;">This is an automated report from your GTaskManager script.</p>
           </body>
         </html>
       `;
 
-      GmailApp.sendEmail(recipient, subject, '', { htmlBody: htmlBody });
-      console.log(`Weekly digest sent to ${recipient}.`);
-
-    } catch (e) {
-      console.error(`Failed to send weekly digest. Error: ${e.message}`);
-      GmailApp.sendEmail(
-        Session.getEffectiveUser().getEmail(),
-        'GTaskManager Digest Failure',
-        `The script could not generate or send the weekly digest.\n\nError: ${e.message}`
-      );
+    const lines = [`GTaskManager ${data.period.title}`, data.range, '', 'Totals:'];
+    metrics.forEach(metric => lines.push(`- ${metric.label}: ${data.totals[metric.key]} (${this.formatDelta(data, metric.key)} vs. ${data.period.previousLabel})`));
+    lines.push('', 'Daily breakdown (completed / rolled over):');
+    data.days.forEach(day => lines.push(`- ${day.label}: ${day.completed} / ${day.rolledOver}`));
+    lines.push('', 'Completed tasks:');
+    if (data.completedTasks.length) {
+      data.completedTasks.forEach(task => lines.push(`- ${task.title} (${labelOf(task.dateKey)}${task.list ? `, ${task.list}` : ''})`));
+    } else {
+      lines.push('- None logged in this period.');
+    }
+    lines.push('', 'Most procrastinated (in the Inbox):');
+    if (data.leaderboard.length) {
+      data.leaderboard.forEach((entry, i) => lines.push(`${i + 1}. ${entry.title} (${rolledOver(entry)})`));
+    } else {
+      lines.push('- No task in the Inbox has been rolled over.');
     }
+    lines.push('', 'This is an automated report from your GTaskManager script.');
+
+    return {
+      subject: `GTaskManager - ${data.period.title}`,
+      htmlBody: htmlBody,
+      textBody: lines.join('\n'),
+    };
+  },
+
+  /**
+   * Formats the change of a total from the previous period.
+   * @param {object} data The digest data.
+   * @param {string} key The total, e.g. "completed".
+   * @returns {string} E.g. "+3", "-2" or "±0", or "n/a" if there is no previous period to compare with.
+   */
+  formatDelta(data, key) {
+    if (!data.previousTotals) return 'n/a';
+    const delta = data.totals[key] - data.previousTotals[key];
+    return delta > 0 ? `+${delta}` : delta < 0 ? `${delta}` : '±0';
   },
-};
\ No newline at end of file
+};
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Dry-run support for the daily run.
+ * When DRY_RUN is enabled, the mutating methods of ListService and TaskService are swapped
+ * for recorders, so a full run can be executed against a real account without changing it.
+ * The recorded plan is written to its own tab in the log sheet and can optionally be emailed.
+ * @see /@documentation/design.md#8-testing-plan
+ */
+
+/**
+ * A utility object that records the actions a run would have taken.
+ */
+const DryRunRecorder = {
+  SHEET_NAME: 'DryRun', // The name of the tab the plan is written to.
+  HEADER_ROW: ['Timestamp', 'Action', 'Description'],
+
+  plan: [],
+  originals: [],
+  listTitles: null,
+  fakeListCount: 0,
+
+  /**
+   * Returns true while the recorders are installed.
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.originals.length > 0;
+  },
+
+  /**
+   * Swaps every mutating service method for a recorder. Read-only methods are left untouched
+   * so that the run sees the real state of the account, except that lists created in the plan
+   * read as empty.
+   */
+  install() {
+    if (this.isActive()) return;
+    this.plan = [];
+    this.listTitles = null;
+    this.fakeListCount = 0;
+
+    const standIns = this.getStandIns();
+    for (const { service, methods } of standIns) {
+      for (const name of Object.keys(methods)) {
+        this.originals.push({ service, name, original: service[name] });
+        service[name] = methods[name];
+      }
+    }
+    console.log('Dry run enabled: Tasks API writes will be recorded, not executed.');
+  },
+
+  /**
+   * Restores the original service methods.
+   */
+  uninstall() {
+    for (const { service, name, original } of this.originals) {
+      service[name] = original;
+    }
+    this.originals = [];
+  },
+
+  /**
+   * Builds the recorder for each mutating method.
+   * @returns {Array<{service: object, methods: object}>}
+   */
+  getStandIns() {
+    const recorder = this;
+    const listAllTasks = TaskService.listAllTasks;
+    return [
+      {
+        service: ListService,
+        methods: {
+          createList(title) {
+            const list = { id: `dry-run-list-${++recorder.fakeListCount}`, title: title };
+            recorder.rememberList(list);
+            recorder.record('create-list', `Would create list "${title}"`);
+            return list;
+          },
+          deleteList(listId) {
+            recorder.record('delete-list', `Would delete list ${recorder.describeList(listId)}`);
+          },
+        },
+      },
+      {
+        service: TaskService,
+        methods: {
+          listAllTasks(listId, filters) {
+            // Lists that only exist in the plan have no tasks yet.
+            return recorder.isPlannedList(listId) ? [] : listAllTasks.call(TaskService, listId, filters);
+          },
+          insert(listId, fields) {
+            recorder.record('insert-task', `Would add task "${fields.title}" to ${recorder.describeList(listId)}`);
+            return Object.assign({ id: `dry-run-task-${recorder.plan.length}` }, fields);
+          },
+          patch(listId, taskId, fields) {
+            const task = RetryUtil.call('Tasks.Tasks.get', () => Tasks.Tasks.get(listId, taskId));
+            recorder.record('update-task', `Would update task "${task.title}" in ${recorder.describeList(listId)}`);
+            return Object.assign({}, task, fields);
+          },
+          moveToTop(listId, taskId) {
+            const task = RetryUtil.call('Tasks.Tasks.get', () => Tasks.Tasks.get(listId, taskId));
+            recorder.record('move', `Would move task "${task.title}" to the top of ${recorder.describeList(listId)}`);
+            return task;
+          },
+          updateNotes(listId, taskId, newNotes) {
+            const task = RetryUtil.call('Tasks.Tasks.get', () => Tasks.Tasks.get(listId, taskId));
+            const oldCount = recorder.getRolloverCount(task.notes);
+            const newCount = recorder.getRolloverCount(newNotes);
+            if (newCount !== null && newCount !== oldCount) {
+              recorder.record('rollover-count', `Would bump Rollover Count ${oldCount || 0}→${newCount} on task "${task.title}"`);
+            } else {
+              recorder.record('update-notes', `Would update the notes of task "${task.title}"`);
+            }
+            return Object.assign({}, task, { notes: newNotes });
+          },
+          move(task, sourceListId, destListId) {
+            recorder.record('move', `Would move task "${task.title}" from ${recorder.describeList(sourceListId)} to ${recorder.describeList(destListId)}`);
+            return { task: task, issues: [] };
+          },
+        },
+      },
+    ];
+  },
+
+  /**
+   * Checks whether a list was only created in the plan.
+   * @param {string} listId The ID of the list.
+   * @returns {boolean}
+   */
+  isPlannedList(listId) {
+    return String(listId).startsWith('dry-run-list-');
+  },
+
+  /**
+   * Adds an entry to the plan.
+   * @param {string} action A short machine-readable action name.
+   * @param {string} description A human-readable description of the intended action.
+   */
+  record(action, description) {
+    this.plan.push({ timestamp: new Date(), action: action, description: description });
+    console.log(`[DRY RUN] ${description}`);
+  },
+
+  /**
+   * Lazily loads the titles of the existing lists so that entries can refer to them by name.
+   * @returns {Object<string, string>} A map of list ID to title.
+   */
+  loadListTitles() {
+    if (!this.listTitles) {
+      this.listTitles = {};
+      for (const list of ListService.listAll()) {
+        this.listTitles[list.id] = list.title;
+      }
+    }
+    return this.listTitles;
+  },
+
+  /**
+   * Remembers the title of a list that only exists in the plan.
+   * @param {GoogleAppsScript.Tasks.Schema.TaskList} list The list to remember.
+   */
+  rememberList(list) {
+    this.loadListTitles()[list.id] = list.title;
+  },
+
+  /**
+   * Resolves a list ID to a quoted title for the plan.
+   * @param {string} listId The ID of the list.
+   * @returns {string} The quoted title, or the ID if the list is unknown.
+   */
+  describeList(listId) {
+    const title = this.loadListTitles()[listId];
+    return title ? `"${title}"` : `list ${listId}`;
+  },
+
+  /**
+   * Reads the rollover counter from a task's notes.
+   * @param {string} notes The task notes.
+   * @returns {number|null} The counter, or null if the notes carry none.
+   */
+  getRolloverCount(notes) {
+    const match = (notes || '').match(/Rollover Count: (\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  },
+
+  /**
+   * Writes the recorded plan to the "DryRun" tab and optionally emails it.
+   * @param {object} stats The statistics object from the run.
+   */
+  writePlan(stats) {
+    const summary = `Summary: inboxAdds=${stats.inboxAdds}, inboxMoves=${stats.inboxMoves}, ` +
+      `listDeleted=${stats.listDeleted}, listCreated=${stats.listCreated}` +
+      (stats.series && Object.keys(stats.series).length ? `, series=${JSON.stringify(stats.series)}` : '') +
+      (stats.ruleMatches && Object.keys(stats.ruleMatches).length ? `, ruleMatches=${JSON.stringify(stats.ruleMatches)}` : '') +
+      (stats.recurring ? `, recurring=${JSON.stringify(stats.recurring)}` : '') +
+      (stats.aging ? `, aging=${JSON.stringify(stats.aging)}` : '') +
+      (stats.captured ? `, captured=${stats.captured}` : '') +
+      (stats.templates ? `, templates=${JSON.stringify(stats.templates)}` : '') +
+      (stats.apiCalls && stats.apiCalls.total ? `, apiCalls=${stats.apiCalls.total}` : '') +
+      (stats.notes ? `, notes=${stats.notes}` : '');
+    const rows = this.plan.map(entry => [entry.timestamp, entry.action, entry.description]);
+    rows.push([stats.timestamp || new Date(), 'summary', summary]);
+
+    try {
+      const sheetId = getLogSheetId();
+      if (sheetId) {
+        const ss = SpreadsheetApp.openById(sheetId);
+        let sheet = ss.getSheetByName(this.SHEET_NAME);
+        if (!sheet) {
+          sheet = ss.insertSheet(this.SHEET_NAME);
+          sheet.appendRow(this.HEADER_ROW);
+          console.log(`Created dry-run sheet: "${this.SHEET_NAME}"`);
+        }
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.HEADER_ROW.length).setValues(rows);
+      } else {
+        console.warn('LOG_SHEET_ID is not configured. The dry-run plan is only available in the execution log.');
+      }
+    } catch (e) {
+      console.error(`Failed to write the dry-run plan to the spreadsheet. Error: ${e.message}`);
+    }
+
+    if (getDryRunEmailPlan()) {
+      const body = rows.map(row => `- ${row[2]}`).join('\n');
+      Notifier.report({
+        source: 'dry-run',
+        subject: 'GTaskManager - Dry Run Plan',
+        text: `The dry run recorded ${this.plan.length} intended action(s). Nothing was changed.\n\n${body}`,
+        recipient: Session.getEffectiveUser().getEmail(),
+      });
+    }
+  },
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Safety checks around the rollover's deletion of lists.
+ * LIST_INCLUDE_REGEX and LIST_EXCLUSION_REGEX decide which lists the rollover manages at all; a
+ * list like "[Daily] Habits" can be excluded so it is never rolled over or deleted. On top of
+ * that, hard checks apply regardless of configuration: the Inbox and the current lists are
+ * never deleted, a list that still has incomplete tasks after its migration is kept, and a run
+ * that finds more than MAX_STALE_LISTS stale lists stops before changing anything.
+ * @see /@documentation/design.md#9-future-proof-hooks
+ */
+
+/**
+ * A utility object for the list filters and the deletion safety checks.
+ */
+const ListGuard = {
+  /**
+   * Compiles LIST_INCLUDE_REGEX and LIST_EXCLUSION_REGEX.
+   * @returns {{include: RegExp|null, exclude: RegExp|null}} The patterns; null where unset.
+   * @throws {Error} If a pattern is not a valid regular expression.
+   */
+  getPatterns() {
+    const compile = (name, source) => {
+      if (!source) return null;
+      try {
+        return new RegExp(source);
+      } catch (e) {
+        throw new Error(`${name} is not a valid regular expression. Error: ${e.message}`);
+      }
+    };
+    return {
+      include: compile('LIST_INCLUDE_REGEX', getListIncludeRegex()),
+      exclude: compile('LIST_EXCLUSION_REGEX', getListExclusionRegex()),
+    };
+  },
+
+  /**
+   * Checks whether the rollover may manage a list: it must match LIST_INCLUDE_REGEX (if set)
+   * and must not match LIST_EXCLUSION_REGEX.
+   * @param {string} title The list title.
+   * @param {{include: RegExp|null, exclude: RegExp|null}} patterns The patterns, from getPatterns().
+   * @returns {boolean}
+   */
+  isManaged(title, patterns) {
+    if (patterns.include && !patterns.include.test(title)) return false;
+    if (patterns.exclude && patterns.exclude.test(title)) return false;
+    return true;
+  },
+
+  /**
+   * Stops the run if it found more stale lists than MAX_STALE_LISTS, which usually means that
+   * DAILY_LIST_PREFIX or a list series matches lists it should not.
+   * @param {Array<{list: object}>} staleLists The stale lists found.
+   * @throws {Error} If there are too many.
+   */
+  checkStaleCount(staleLists) {
+    const max = getMaxStaleLists();
+    if (max && staleLists.length > max) {
+      throw new Error(`Found ${staleLists.length} stale lists, more than MAX_STALE_LISTS (${max}). ` +
+        'Nothing was rolled over or deleted. Check DAILY_LIST_PREFIX, LIST_SERIES, LIST_INCLUDE_REGEX and ' +
+        'LIST_EXCLUSION_REGEX, or raise MAX_STALE_LISTS if these lists really are stale.');
+    }
+  },
+
+  /**
+   * Drops the protected lists (the Inbox and the current lists) from the stale lists.
+   * @param {Array<{list: object}>} staleLists The stale lists.
+   * @param {Array<string>} protectedIds The IDs of the lists that must never be deleted.
+   * @param {object} stats The statistics object; every dropped list is noted.
+   * @returns {Array<{list: object}>} The stale lists that may be rolled over.
+   */
+  dropProtected(staleLists, protectedIds, stats) {
+    return staleLists.filter(entry => {
+      if (!protectedIds.includes(entry.list.id)) return true;
+      addRunNote(stats, `Did not roll over "${entry.list.title}": it is the Inbox or a current list.`);
+      return false;
+    });
+  },
+
+  /**
+   * Checks that a migrated list has no incomplete tasks left before it is deleted, apart from
+   * the missed recurring instances the recurring task policy dropped.
+   * In a dry run nothing was moved, so there is nothing to check.
+   * @param {GoogleAppsScript.Tasks.Schema.TaskList} list The migrated list.
+   * @param {{read: number, moved: number, movedToToday: number, dropped: number}} migration The result of migrateIncompleteTasks.
+   * @param {object} stats The statistics object; a kept list is noted.
+   * @returns {boolean} True if the list may be deleted.
+   */
+  verifyMigration(list, migration, stats) {
+    if (DryRunRecorder.isActive()) return true;
+    const remaining = TaskService.listIncompleteTasks(list.id).filter(task => !SummaryTask.isSummaryTask(task));
+    const unexpected = remaining.filter(task => !RecurringTasks.isRecurring(task)).length;
+    const handled = migration.moved + migration.movedToToday + migration.dropped;
+    if (handled === migration.read && !unexpected && remaining.length <= migration.dropped) return true;
+    addRunNote(stats, `Kept list "${list.title}": ${migration.read} task(s) were read for the rollover and ` +
+      `${handled} handled, but ${remaining.length} incomplete task(s) are still in it.`);
+    return false;
+  },
+};
@@ -1,7 +1,9 @@
 /**
  * @fileoverview Utility for logging script runs to a Google Sheet.
  * This file manages the creation, setup, and writing to the designated log sheet.
- * @see /@documentation/design.md
+ * Each run is one row of the "Runs" tab; each task action of a run (completed, rolled over,
+ * moved, list deleted) is one row of the "Events" tab, linked to the run by its RunId.
+ * @see /@documentation/design.md#4-logging-sheet-schema
  */
 
 /**
@@ -9,12 +11,24 @@
  */
 const LoggingSheetUtil = {
   SHEET_NAME: 'Runs', // The required name for the logging tab in the sheet.
-  HEADER_ROW: ['Timestamp', 'InboxAdds', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes'],
+  HEADER_ROW: ['Timestamp', 'InboxAdds', 'InboxMoves', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes', 'Retries', 'Series', 'RuleMatches', 'RunId', 'Recurring', 'Aging', 'Captured', 'Templates', 'ApiCalls', 'InboxScan'],
+
+  // The layout of the "Runs" tab is versioned. A sheet in an older layout is migrated by the
+  // functions in MIGRATIONS, each of which upgrades it by one version. The version of a sheet is
+  // stored in its developer metadata, under SCHEMA_VERSION_KEY.
+  SCHEMA_VERSION: 2,
+  SCHEMA_VERSION_KEY: 'GTASKMANAGER_SCHEMA_VERSION',
+  MIGRATIONS: {
+    1: 'migrateFromV1', // Adds InboxMoves and RunId, and moves the CompletedTasks JSON into "Events".
+  },
 
   /**
    * Ensures the logging sheet and its header row are correctly set up.
    * If the sheet or tab does not exist, it creates them.
    * This makes the script self-healing from accidental sheet deletion.
+   * A "Runs" tab in an older layout is migrated, and columns added to HEADER_ROW after the
+   * sheet was created are appended to the end of its header. A dry run changes nothing and
+   * records what would be changed instead.
    */
   setup() {
     try {
@@ -24,70 +38,444 @@ const LoggingSheetUtil = {
         return;
       }
       const ss = SpreadsheetApp.openById(sheetId);
+      if (DryRunRecorder.isActive()) {
+        this.planSetup(ss);
+        return;
+      }
       let sheet = ss.getSheetByName(this.SHEET_NAME);
 
       if (!sheet) {
         sheet = ss.insertSheet(this.SHEET_NAME, 0);
         console.log(`Created logging sheet: "${this.SHEET_NAME}"`);
         sheet.appendRow(this.HEADER_ROW);
+        this.setSchemaVersion(sheet, this.SCHEMA_VERSION);
         console.log('Appended header row to new logging sheet.');
+      } else {
+        this.migrate(sheet);
+        this.extendHeader(sheet);
       }
+      EventLog.getSheet(ss);
+      Notifier.resolve('log-setup');
     } catch (e) {
       // This error is critical for the user to see.
       const message = `Failed to set up logging sheet. Please check that LOG_SHEET_ID is valid. Error: ${e.message}`;
       console.error(message);
-      GmailApp.sendEmail(Session.getEffectiveUser().getEmail(), 'GTaskManager Setup Error', message);
+      Notifier.alert('log-setup', 'GTaskManager Setup Error', message); // Only recorded in a dry run.
+    }
+  },
+
+  /**
+   * Records in the dry-run plan what setup() would change in the log sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The log spreadsheet.
+   */
+  planSetup(ss) {
+    const sheet = ss.getSheetByName(this.SHEET_NAME);
+    if (!sheet) {
+      DryRunRecorder.record('setup-log', `Would create the "${this.SHEET_NAME}" sheet`);
+    } else {
+      const version = this.getSchemaVersion(sheet);
+      if (version < this.SCHEMA_VERSION) {
+        DryRunRecorder.record('setup-log', `Would migrate the "${this.SHEET_NAME}" sheet from schema version ${version} to ${this.SCHEMA_VERSION}`);
+      }
+      const missing = this.getMissingColumns(sheet);
+      if (version === this.SCHEMA_VERSION && missing.length) {
+        DryRunRecorder.record('setup-log', `Would add the column(s) ${missing.join(', ')} to the "${this.SHEET_NAME}" sheet`);
+      }
     }
+    if (!ss.getSheetByName(EventLog.SHEET_NAME)) {
+      DryRunRecorder.record('setup-log', `Would create the "${EventLog.SHEET_NAME}" sheet`);
+    }
+  },
+
+  /**
+   * Reads the header row of a sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+   * @returns {Array<string>} The header cells, including any the user added; empty for an empty sheet.
+   */
+  getHeader(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    return lastColumn ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  },
+
+  /**
+   * Lists the columns of HEADER_ROW that the header of the sheet does not have.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   * @returns {Array<string>}
+   */
+  getMissingColumns(sheet) {
+    const header = this.getHeader(sheet);
+    return this.HEADER_ROW.filter(name => !header.includes(name));
+  },
+
+  /**
+   * Appends the columns that were added to HEADER_ROW after the sheet was created to the end of
+   * its header, after any columns the user added. Existing header cells are never overwritten.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   * @returns {Array<string>} The header after the change.
+   */
+  extendHeader(sheet) {
+    const header = this.getHeader(sheet);
+    const missing = this.HEADER_ROW.filter(name => !header.includes(name));
+    if (missing.length) {
+      sheet.getRange(1, header.length + 1, 1, missing.length).setValues([missing]);
+      console.log(`Added the column(s) ${missing.join(', ')} to the header row of the logging sheet.`);
+    }
+    return header.concat(missing);
+  },
+
+  /**
+   * Returns the layout version of the "Runs" tab, as stored in its developer metadata.
+   * A sheet written before the version was stored has no entry, and its version is detected from
+   * its header: version 1 is the original layout (Timestamp, InboxAdds, ListDeleted, ...), without
+   * InboxMoves.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   * @returns {number} The schema version.
+   */
+  getSchemaVersion(sheet) {
+    const entry = this.getSchemaVersionEntry(sheet);
+    if (entry) {
+      return parseInt(entry.getValue(), 10);
+    }
+    const header = sheet.getRange(1, 1, 1, 3).getValues()[0];
+    return header[1] === 'InboxAdds' && header[2] === 'ListDeleted' ? 1 : this.SCHEMA_VERSION;
+  },
+
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   * @returns {GoogleAppsScript.Spreadsheet.DeveloperMetadata|null} The entry that stores the
+   *     version of the sheet, or null if it has none.
+   */
+  getSchemaVersionEntry(sheet) {
+    return sheet.getDeveloperMetadata().find(entry => entry.getKey() === this.SCHEMA_VERSION_KEY) || null;
+  },
+
+  /**
+   * Stores the layout version of the "Runs" tab in its developer metadata.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   * @param {number} version The schema version.
+   */
+  setSchemaVersion(sheet, version) {
+    const entry = this.getSchemaVersionEntry(sheet);
+    if (entry) {
+      entry.setValue(String(version));
+    } else {
+      sheet.addDeveloperMetadata(this.SCHEMA_VERSION_KEY, String(version));
+    }
+  },
+
+  /**
+   * Upgrades the "Runs" tab to SCHEMA_VERSION, one version at a time, and stores the version
+   * reached after each step. A sheet that has no stored version yet gets one.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   */
+  migrate(sheet) {
+    for (let version = this.getSchemaVersion(sheet); version < this.SCHEMA_VERSION; version++) {
+      console.log(`Migrating the "${this.SHEET_NAME}" sheet from schema version ${version} to ${version + 1}.`);
+      this[this.MIGRATIONS[version]](sheet);
+      this.setSchemaVersion(sheet, version + 1);
+    }
+    if (!this.getSchemaVersionEntry(sheet)) {
+      this.setSchemaVersion(sheet, this.SCHEMA_VERSION);
+    }
+  },
+
+  /**
+   * Migrates a version 1 "Runs" tab. Every run gets a RunId; the completed tasks stored as JSON
+   * in its CompletedTasks cell become "completed" rows in the "Events" tab, and the cell keeps
+   * their count. InboxMoves stays empty for old runs, which did not record it. Columns that are
+   * not part of the new layout are kept after it.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Runs" sheet.
+   */
+  migrateFromV1(sheet) {
+    const [oldHeader, ...rows] = sheet.getDataRange().getValues();
+    const extraColumns = oldHeader.filter(name => name && !this.HEADER_ROW.includes(name));
+    const header = this.HEADER_ROW.concat(extraColumns);
+    const events = [];
+
+    const newRows = rows.map(row => {
+      const values = {};
+      oldHeader.forEach((name, i) => {
+        values[name] = row[i];
+      });
+      values.RunId = Utilities.getUuid();
+      values.InboxMoves = '';
+      try {
+        const completedTasks = JSON.parse(values.CompletedTasks || '[]');
+        for (const task of completedTasks) {
+          const completed = task.completed_timestamp ? new Date(task.completed_timestamp) : values.Timestamp;
+          events.push(EventLog.toRow({ runId: values.RunId, action: 'completed', taskTitle: task.taskName, timestamp: completed }));
+        }
+        values.CompletedTasks = completedTasks.length;
+      } catch (e) {
+        // Keep a cell that is not JSON as it is, so that nothing is lost.
+        console.warn(`Kept an unreadable CompletedTasks cell as it is. Error: ${e.message}`);
+      }
+      return header.map(name => (values[name] === undefined ? '' : values[name]));
+    });
+
+    sheet.getRange(1, 1, newRows.length + 1, header.length).setValues([header].concat(newRows));
+    EventLog.append(events);
+    console.log(`Migrated ${newRows.length} run(s) and ${events.length} completed task(s) to the new layout.`);
+  },
+
+  /**
+   * Reads the logged runs, with each row keyed by its column header.
+   * @param {Date} [since] Only return runs that started at or after this time.
+   * @returns {Array<object>} The runs, oldest first, e.g. `{Timestamp: Date, InboxAdds: 3, ...}`.
+   */
+  readRuns(since) {
+    return this.readRows(this.SHEET_NAME, since);
+  },
+
+  /**
+   * Reads a tab of the log sheet, with each row keyed by its column header.
+   * @param {string} sheetName The tab, e.g. "Runs" or "Events".
+   * @param {Date} [since] Only return rows whose Timestamp is at or after this time.
+   * @returns {Array<object>} The rows, in sheet order; empty if the tab does not exist.
+   */
+  readRows(sheetName, since) {
+    const sheetId = getLogSheetId();
+    if (!sheetId) return [];
+    const sheet = SpreadsheetApp.openById(sheetId).getSheetByName(sheetName);
+    if (!sheet) return [];
+
+    const [header, ...rows] = sheet.getDataRange().getValues();
+    return rows
+      .map(row => {
+        const values = {};
+        header.forEach((name, i) => {
+          values[name] = row[i];
+        });
+        values.Timestamp = new Date(values.Timestamp);
+        return values;
+      })
+      .filter(values => !since || values.Timestamp >= since);
   },
 
   /**
    * Logs the results of a script run to the spreadsheet.
+   * Each value is written to the column whose header has its name, so columns the user added
+   * keep their place and their contents; a missing column is appended to the header first.
+   * A run that was already logged (a paused run that has been continued) is updated in place.
    * @param {object} stats The statistics object from the rollover process.
+   * @param {string} stats.runId - The ID of the run, shared with its rows in the "Events" tab.
    * @param {Date} stats.timestamp - The start time of the run.
    * @param {number} stats.inboxAdds - Number of tasks moved to the inbox.
+   * @param {number} stats.inboxMoves - Number of tasks moved out of the Inbox.
    * @param {number} stats.listDeleted - Number of stale lists deleted.
-   * @param {number} stats.listCreated - Number of new lists created (0 or 1).
+   * @param {number} stats.listCreated - Number of new lists created.
+   * @param {number} stats.completedTasks - Number of completed tasks found in the deleted lists.
    * @param {string} stats.notes - Any notable events, like a timeout.
+   * @param {number} stats.retries - Number of API calls that were retried after a transient error.
+   * @param {object} [stats.series] - Per-series statistics by series name, if any series are configured.
+   * @param {object} [stats.ruleMatches] - The number of Inbox tasks each Inbox rule matched, by rule name.
+   * @param {object} [stats.recurring] - What happened to missed recurring task instances, if there were any.
+   * @param {object} [stats.aging] - The tasks tagged, moved to Someday or escalated, if there were any.
+   * @param {number} [stats.captured] - The Inbox tasks created from Gmail threads.
+   * @param {object} [stats.templates] - The tasks each daily template added, if any did.
+   * @param {object} [stats.apiCalls] - The API calls of the run by method, with their total.
+   * @param {string} [stats.inboxScan] - "full" or "incremental", if the Inbox was read.
+   * @param {number} [stats.logRow] - The row the run was logged to before, if any.
+   * @returns {number|null} The row the run was logged to, or null if it could not be logged.
    */
   logRun(stats) {
     try {
       const sheetId = getLogSheetId();
-      if (!sheetId) return; // Silently fail if logging is not configured.
+      if (!sheetId) return null; // Silently fail if logging is not configured.
 
       const ss = SpreadsheetApp.openById(sheetId);
       const sheet = ss.getSheetByName(this.SHEET_NAME);
       if (!sheet) {
          console.error(`Logging sheet "${this.SHEET_NAME}" not found. Cannot log run.`);
-         return;
+         return null;
+      }
+      if (this.getSchemaVersion(sheet) < this.SCHEMA_VERSION) {
+        console.error(`Logging sheet "${this.SHEET_NAME}" has not been migrated yet (a run that failed before setup). Cannot log run.`);
+        return null;
       }
 
       // Ensure all stat properties are defined to prevent errors.
       const rowData = {
-        timestamp: stats.timestamp || new Date(),
-        inboxAdds: stats.inboxAdds || 0,
-        listDeleted: stats.listDeleted || 0,
-        listCreated: stats.listCreated || 0,
-        completedTasks: JSON.stringify(stats.completedTasks || []),
-        notes: stats.notes || ''
+        Timestamp: stats.timestamp || new Date(),
+        InboxAdds: stats.inboxAdds || 0,
+        InboxMoves: stats.inboxMoves || 0,
+        ListDeleted: stats.listDeleted || 0,
+        ListCreated: stats.listCreated || 0,
+        CompletedTasks: stats.completedTasks || 0,
+        Notes: stats.notes || '',
+        Retries: stats.retries || 0,
+        Series: stats.series && Object.keys(stats.series).length ? JSON.stringify(stats.series) : '',
+        RuleMatches: stats.ruleMatches && Object.keys(stats.ruleMatches).length ? JSON.stringify(stats.ruleMatches) : '',
+        RunId: stats.runId || '',
+        Recurring: stats.recurring ? JSON.stringify(stats.recurring) : '',
+        Aging: stats.aging ? JSON.stringify(stats.aging) : '',
+        Captured: stats.captured || 0,
+        Templates: stats.templates ? JSON.stringify(stats.templates) : '',
+        ApiCalls: stats.apiCalls && Object.keys(stats.apiCalls).length ? JSON.stringify(stats.apiCalls) : '',
+        InboxScan: stats.inboxScan || '',
       };
 
-      // Append the data in the correct order.
-      sheet.appendRow([
-        rowData.timestamp,
-        rowData.inboxAdds,
-        rowData.listDeleted,
-        rowData.listCreated,
-        rowData.completedTasks,
-        rowData.notes,
-      ]);
+      // Write each value under its header, and keep what the row has in the user's columns.
+      const header = this.extendHeader(sheet);
+      let logRow = stats.logRow;
+      const row = logRow ? sheet.getRange(logRow, 1, 1, header.length).getValues()[0] : header.map(() => '');
+      header.forEach((name, i) => {
+        if (Object.prototype.hasOwnProperty.call(rowData, name)) {
+          row[i] = rowData[name];
+        }
+      });
+      if (logRow) {
+        sheet.getRange(logRow, 1, 1, row.length).setValues([row]);
+      } else {
+        sheet.appendRow(row);
+        logRow = sheet.getLastRow();
+      }
+      Notifier.resolve('log-run');
+      return logRow;
     } catch (e) {
       console.error(`Failed to log run to spreadsheet. Error: ${e.message}`);
-      // Fallback to email if logging fails to ensure the user is notified.
-      GmailApp.sendEmail(
-        Session.getEffectiveUser().getEmail(),
+      // Notify outside the log sheet, which is what failed.
+      Notifier.alert(
+        'log-run',
         'GTaskManager Logging Failure',
         `The script could not write to the log sheet.\n\nError: ${e.message}`
       );
     }
+    return null;
+  },
+};
+
+/**
+ * A utility object for the per-task audit log in the "Events" tab.
+ * Events are buffered during a run and written in one batch by flush(), so that logging does
+ * not cost a spreadsheet call per task.
+ */
+const EventLog = {
+  SHEET_NAME: 'Events',
+  HEADER_ROW: ['RunId', 'Action', 'TaskTitle', 'TaskId', 'SourceList', 'DestinationList', 'RolloverCount', 'Timestamp'],
+
+  buffer: [],
+  listTitles: {}, // List titles by ID, so that events keep the title of lists deleted later in the run.
+
+  /**
+   * Clears the buffer and the cached list titles. Called at the start of every run.
+   */
+  reset() {
+    this.buffer = [];
+    this.listTitles = {};
+  },
+
+  /**
+   * Buffers an event. Nothing is recorded during a dry run.
+   * @param {object} stats The statistics object of the run, for its run ID.
+   * @param {string} action One of "completed", "rolled-over", "moved", "dropped", "tagged",
+   *     "moved-to-someday", "escalated", "captured", "templated" or "deleted-list".
+   * @param {object} details
+   * @param {GoogleAppsScript.Tasks.Schema.Task} [details.task] The task the action applies to.
+   * @param {string} [details.sourceListId] The list the task was in, or the deleted list.
+   * @param {string} [details.destListId] The list the task was moved to.
+   * @param {number} [details.rolloverCount] The task's Rollover Count after the action.
+   * @param {Date} [details.timestamp] When the action happened; defaults to now.
+   */
+  record(stats, action, details) {
+    if (DryRunRecorder.isActive()) return;
+    const task = details.task || {};
+    this.buffer.push(this.toRow({
+      runId: stats.runId,
+      action: action,
+      taskTitle: task.title,
+      taskId: task.id,
+      sourceList: details.sourceListId && this.getListTitle(details.sourceListId),
+      destinationList: details.destListId && this.getListTitle(details.destListId),
+      rolloverCount: details.rolloverCount,
+      timestamp: details.timestamp || new Date(),
+    }));
+  },
+
+  /**
+   * Builds an "Events" row.
+   * @param {object} event The event fields, named like the columns in camel case.
+   * @returns {Array<*>}
+   */
+  toRow(event) {
+    return [
+      event.runId || '',
+      event.action,
+      event.taskTitle || '',
+      event.taskId || '',
+      event.sourceList || '',
+      event.destinationList || '',
+      event.rolloverCount === undefined || event.rolloverCount === null ? '' : event.rolloverCount,
+      event.timestamp || new Date(),
+    ];
+  },
+
+  /**
+   * Reads the logged events.
+   * @param {Date} [since] Only return events that happened at or after this time.
+   * @param {string} [action] Only return events of this action, e.g. "completed".
+   * @returns {Array<object>} The events, keyed by column header, e.g. `{RunId: '...', Action: 'completed', ...}`.
+   */
+  readEvents(since, action) {
+    return LoggingSheetUtil.readRows(this.SHEET_NAME, since).filter(event => !action || event.Action === action);
+  },
+
+  /**
+   * Resolves a list ID to its title. The titles of all lists are loaded on the first unknown ID.
+   * @param {string} listId The ID of the list.
+   * @returns {string} The title, or the ID if the list cannot be found.
+   */
+  getListTitle(listId) {
+    if (!(listId in this.listTitles)) {
+      for (const list of ListService.listAll()) {
+        this.listTitles[list.id] = list.title;
+      }
+      if (!(listId in this.listTitles)) {
+        this.listTitles[listId] = listId;
+      }
+    }
+    return this.listTitles[listId];
+  },
+
+  /**
+   * Writes the buffered events to the "Events" tab. A failure is noted in the run's notes,
+   * but does not fail the run.
+   * @param {object} stats The statistics object of the run.
+   */
+  flush(stats) {
+    const rows = this.buffer;
+    this.buffer = [];
+    try {
+      this.append(rows);
+    } catch (e) {
+      console.error(`Failed to write ${rows.length} event(s) to the log sheet. Error: ${e.message}`);
+      addRunNote(stats, `Could not write ${rows.length} event(s) to the "${this.SHEET_NAME}" sheet: ${e.message}`);
+    }
+  },
+
+  /**
+   * Appends rows to the "Events" tab.
+   * @param {Array<Array<*>>} rows The rows, as built by toRow.
+   */
+  append(rows) {
+    const sheetId = getLogSheetId();
+    if (!rows.length || !sheetId) return;
+    const sheet = this.getSheet(SpreadsheetApp.openById(sheetId));
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.HEADER_ROW.length).setValues(rows);
+  },
+
+  /**
+   * Returns the "Events" tab, creating it with its header if needed.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The log spreadsheet.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+   */
+  getSheet(ss) {
+    let sheet = ss.getSheetByName(this.SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(this.SHEET_NAME);
+      sheet.appendRow(this.HEADER_ROW);
+      console.log(`Created events sheet: "${this.SHEET_NAME}"`);
+    }
+    return sheet;
   },
-};
\ No newline at end of file
+};
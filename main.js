@@ -8,159 +8,585 @@
  * The main entry point for the script, intended to be called by a daily time-driven trigger.
  * This function manages locking, orchestrates the daily rollover, processes the inbox,
  * logs the results, and triggers the weekly digest email.
+ * Gmail threads labeled for capture become Inbox tasks before the Inbox is processed.
+ * If the rollover runs out of time, the run is checkpointed and continued by a one-shot trigger;
+ * all parts of the run share a single row in the log sheet.
+ * When DRY_RUN is enabled, all Tasks API writes are recorded instead of executed, and the
+ * recorded plan replaces the usual run log and digest.
+ * A configuration with errors (see validateConfig) fails the run before anything is changed.
  */
 function dailyRunner() {
+  runDailyRollover();
+}
+
+/**
+ * Runs the daily rollover once. This is the body of dailyRunner; the dashboard calls it directly
+ * to start a run or a dry run on demand (see webapp.js).
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Records a dry run, whatever DRY_RUN is set to.
+ * @returns {{status: string, runId: (string|null), notes: string}} The status is "busy" if
+ *     another run holds the lock, or "completed", "paused", "dry-run" or "failed".
+ */
+function runDailyRollover(options = {}) {
   const lock = LockService.getScriptLock();
   if (!lock.tryLock(30000)) { // Wait up to 30s for the lock
     console.log('Aborting run: Could not acquire lock. Another instance is likely running.');
-    return;
+    return { status: 'busy', runId: null, notes: 'Another run is in progress.' };
   }
 
   const startTime = new Date();
+  RetryUtil.resetStats();
+  EventLog.reset();
+  ListIndex.begin();
+  ConfigProfiles.begin();
   const stats = {
+    runId: Utilities.getUuid(), // Links the run's row in "Runs" to its rows in "Events".
     timestamp: startTime,
     inboxAdds: 0,
+    rolledOver: 0, // All tasks rolled over, to the Inbox, a series list or today's list.
     listDeleted: 0,
     listCreated: 0,
     inboxMoves: 0, // New stat for this feature
-    completedTasks: [],
+    captured: 0, // The Inbox tasks created from Gmail threads (see EmailCapture).
+    series: {}, // Per-series statistics (see ListSeries.getStats).
+    ruleMatches: {}, // The number of Inbox tasks each Inbox rule matched, by rule name.
+    recurring: null, // Missed recurring task instances, once there are any (see RecurringTasks.getStats).
+    templates: null, // The tasks each daily template added, once one has (see DailyTemplates.getStats).
+    aging: null, // Tasks tagged, moved to Someday or escalated, once there are any (see TaskAging.getStats).
+    escalations: [], // The tasks that reached AGING_ESCALATE_AFTER, emailed at the end of the run.
+    procrastinated: [], // The rolled-over tasks with the highest Rollover Count (see SummaryTask).
+    completedTasks: 0, // The completed tasks found in deleted lists; each is logged in "Events".
+    lossyMoves: [], // Tasks that could not be moved without losing data, with the reasons.
     notes: '',
+    retries: 0,
+    apiCalls: {}, // The API calls of the run by method (see RetryUtil.getCallCounts).
+    inboxScan: null, // "full" or "incremental", once the Inbox has been read (see InboxSync).
+    logRow: null, // The row of the log sheet this run is written to, once it has been logged.
   };
+  let dryRun = false;
+  let todayListId = null;
 
   try {
-    const tz = getLocalTimeZone();
-    const todayTitle = Utilities.formatDate(startTime, tz, 'MMMM d, yyyy');
+    dryRun = options.dryRun === true || getDryRun();
+    // Checked before anything is changed: the checkpoint, the triggers, the log sheet or a list.
+    ConfigProfiles.assertValid();
+    if (dryRun) {
+      DryRunRecorder.install();
+    }
+
+    const todayKey = ListNaming.getDateKey(startTime);
+    const todayTitle = ListNaming.formatDate(todayKey);
+    const checkpoint = dryRun ? null : RunCheckpoint.begin(todayTitle, stats);
 
     // Core processes
-    const { todayListId, inboxId } = rolloverProcess(todayTitle, startTime, stats);
+    const rollover = rolloverProcess(todayKey, startTime, stats, checkpoint);
+    const { inboxId, paused } = rollover;
+    todayListId = rollover.todayListId;
 
+    if (paused && checkpoint) {
+      stats.retries = RetryUtil.retryCount;
+      stats.apiCalls = RetryUtil.getCallCounts();
+      const pausedStats = Object.assign({}, stats);
+      noteLossyMoves(pausedStats);
+      addRunNote(pausedStats, 'Run paused during rollover due to execution timeout. A continuation is scheduled.');
+      writeSummaryTask(todayListId, pausedStats, 'paused');
+      EventLog.flush(pausedStats);
+      stats.logRow = LoggingSheetUtil.logRun(pausedStats);
+      if (RunCheckpoint.pause(checkpoint, stats) === 'failed') {
+        addRunNote(pausedStats, 'The checkpoint could not be stored, so the run is not continued. The next daily run rolls over the remaining lists.');
+        pausedStats.logRow = stats.logRow;
+        LoggingSheetUtil.logRun(pausedStats);
+      }
+      return { status: 'paused', runId: stats.runId, notes: pausedStats.notes };
+    }
+    if (paused) {
+      addRunNote(stats, 'Run paused during rollover due to execution timeout.');
+    }
+
+    // Captured before the Inbox is processed, so that an email with a due date is routed the same day.
+    EmailCapture.capture(inboxId, stats);
     if (getAutoMoveDueTasks()) {
       processInboxTasks(todayListId, inboxId, stats);
     }
 
+    stats.retries = RetryUtil.retryCount;
+    stats.apiCalls = RetryUtil.getCallCounts();
+    TaskAging.sendEscalation(stats);
+    noteLossyMoves(stats);
+    if (checkpoint) {
+      RunCheckpoint.complete(checkpoint, stats);
+    }
+    writeSummaryTask(todayListId, stats);
+    if (dryRun) {
+      DryRunRecorder.writePlan(stats);
+      return { status: 'dry-run', runId: stats.runId, notes: stats.notes };
+    }
+
+    EventLog.flush(stats);
     LoggingSheetUtil.logRun(stats);
+    Notifier.resolve('daily-run');
 
-    if (startTime.getDay() == getWeeklyDigestDay()) {
-      DigestMailer.sendWeeklyDigest();
+    // Picks up a changed DAILY_TRIGGER_HOUR for tomorrow's run, and changed report schedules.
+    try {
+      Installer.ensureDailyTrigger();
+    } catch (e) {
+      console.error(`Failed to update the daily trigger. Error: ${e.message}`);
+    }
+    try {
+      Installer.ensureReportTriggers();
+    } catch (e) {
+      console.error(`Failed to update the report triggers. Error: ${e.message}`);
     }
+    return { status: 'completed', runId: stats.runId, notes: stats.notes };
 
   } catch (e) {
     console.error(`Fatal error in dailyRunner: ${e.message}\n${e.stack}`);
-    stats.notes = `FATAL: ${e.message}`;
-    LoggingSheetUtil.logRun(stats); // Log the failure
-    GmailApp.sendEmail(
-      Session.getEffectiveUser().getEmail(),
+    noteLossyMoves(stats);
+    addRunNote(stats, `FATAL: ${e.message}`);
+    writeSummaryTask(todayListId, stats, 'failed');
+    stats.retries = RetryUtil.retryCount;
+    stats.apiCalls = RetryUtil.getCallCounts();
+    // In a dry run, the alert is recorded in the plan (see Notifier.alert).
+    Notifier.alert(
+      'daily-run',
       'Google Tasks Script has failed!',
       `The daily task rollover script encountered a fatal error and could not complete.\n\nError: ${e.message}`
     );
+    if (dryRun) {
+      DryRunRecorder.writePlan(stats);
+    } else {
+      EventLog.flush(stats);
+      LoggingSheetUtil.logRun(stats); // Log the failure
+    }
+    return { status: 'failed', runId: stats.runId, notes: stats.notes };
   } finally {
+    DryRunRecorder.uninstall();
+    ListIndex.end();
+    ConfigProfiles.end();
     lock.releaseLock();
   }
 }
 
+/**
+ * Entry point for the one-shot trigger that continues a run paused by the execution timeout.
+ */
+function resumeDailyRunner() {
+  if (!RunCheckpoint.load()) {
+    console.log('No paused run to resume.');
+    RunCheckpoint.deleteContinuationTriggers();
+    return;
+  }
+  dailyRunner();
+}
+
 /**
  * Orchestrates the daily rollover process: finds and deletes stale lists,
  * migrating their incomplete tasks to the inbox.
- * @param {string} todayTitle The formatted title for today's list.
+ * A daily list is stale if the date in its title is before today. Lists dated today or later are
+ * kept, and missing lists are created for today and the next LOOKAHEAD_DAYS days.
+ * The lists of the configured series (see ListSeries) are rolled over the same way, per period.
+ * Unfinished daily tasks go to the current list of a series instead of the Inbox if
+ * DAILY_ROLLOVER_DESTINATION names one.
+ * When a checkpoint is given, a resumed run continues with the lists and the task cursor stored
+ * in it, and a paused run records its remaining lists and cursor there.
+ * @param {string} todayKey Today's date as yyyy-MM-dd in the local time zone (see ListNaming).
  * @param {Date} startTime The script start time, for the timeout safeguard.
  * @param {object} stats The statistics object to be updated.
- * @returns {{todayListId: string, inboxId: string}} The IDs of the critical lists.
+ * @param {object|null} checkpoint The run's checkpoint (see RunCheckpoint), or null in a dry run.
+ * @returns {{todayListId: string, inboxId: string, paused: boolean}} The IDs of the critical lists,
+ *     and whether the rollover was paused by the execution timeout.
  */
-function rolloverProcess(todayTitle, startTime, stats) {
+function rolloverProcess(todayKey, startTime, stats, checkpoint) {
   LoggingSheetUtil.setup();
 
-  const dailyListPrefix = getDailyListPrefix();
-  const todayListFullName = `${dailyListPrefix} ${todayTitle}`;
-
   const inboxList = ListService.getListByTitle(getInboxListName());
   if (!inboxList) {
     throw new Error(`Inbox list "${getInboxListName()}" not found.`);
   }
   const inboxId = inboxList.id;
 
-  const allLists = ListService.listAll();
-  let todayList = allLists.find(list => list.title === todayListFullName);
-  const staleLists = allLists.filter(list => 
-    list.title.startsWith(dailyListPrefix) && list.title !== todayListFullName
-  );
+  // Lists excluded by LIST_INCLUDE_REGEX or LIST_EXCLUSION_REGEX are left alone entirely.
+  const patterns = ListGuard.getPatterns();
+  const allLists = ListService.listAll().filter(list => ListGuard.isManaged(list.title, patterns));
+  const seriesList = ListSeries.getSeries();
+  const { currentListIds, staleLists: staleSeriesLists } = ListSeries.prepare(seriesList, todayKey, allLists, stats);
+  const dailyDestination = getDailyRolloverDestination();
+  const dailyDestId = dailyDestination === 'inbox' ? inboxId : currentListIds[dailyDestination];
 
-  const timeoutSeconds = getExecutionTimeoutSeconds();
-  for (const staleList of staleLists) {
-    if ((new Date() - startTime) / 1000 > timeoutSeconds) {
-      stats.notes = 'Run paused during rollover due to execution timeout.';
+  const datedLists = [];
+  const unreadableTitles = [];
+  for (const list of allLists) {
+    if (!ListNaming.isDailyList(list.title)) continue;
+    const dateKey = ListNaming.parseListTitle(list.title, todayKey);
+    if (dateKey) {
+      datedLists.push({ list: list, dateKey: dateKey });
+    } else {
+      unreadableTitles.push(list.title);
+    }
+  }
+  if (unreadableTitles.length) {
+    addRunNote(stats, `Skipped list(s) with an unreadable date: ${unreadableTitles.map(title => `"${title}"`).join(', ')}.`);
+  }
+
+  // Series lists first, so that the most recent daily tasks end up on top of their destination.
+  let staleLists = staleSeriesLists.map(entry => ({
+    list: entry.list,
+    seriesName: entry.series.name,
+    destId: entry.series.rolloverTo === 'next' ? currentListIds[entry.series.name] : inboxId,
+  }));
+  datedLists.filter(entry => entry.dateKey < todayKey).forEach(entry => {
+    staleLists.push({ list: entry.list, seriesName: null, destId: dailyDestId });
+  });
+  ListGuard.checkStaleCount(staleLists);
+  // Today's list exists before the rollover, as a destination for recurring tasks.
+  const todayListId = ensureDailyLists(todayKey, datedLists, stats);
+  const protectedIds = [inboxId, todayListId]
+    .concat(Object.keys(currentListIds).map(name => currentListIds[name]))
+    .concat(datedLists.filter(entry => entry.dateKey >= todayKey).map(entry => entry.list.id));
+  staleLists = ListGuard.dropProtected(staleLists, protectedIds, stats);
+  if (checkpoint && checkpoint.pendingListIds) {
+    // Continue with the lists that were left when the run paused, in their original order.
+    staleLists = checkpoint.pendingListIds
+      .map(listId => staleLists.find(entry => entry.list.id === listId))
+      .filter(entry => entry);
+  }
+
+  let paused = false;
+  for (let i = 0; i < staleLists.length; i++) {
+    const { list: staleList, seriesName, destId } = staleLists[i];
+    const savedCursor = checkpoint && checkpoint.cursor;
+    const cursor = savedCursor && savedCursor.listId === staleList.id
+      ? savedCursor
+      : { listId: staleList.id, keptTaskIds: [], previousIds: {} };
+
+    let result = null;
+    if (isTimeUp(startTime)) {
+      paused = true;
+    } else {
+      // The snapshot keeps the list as it was before any task left it; a resumed list already has one.
+      // A list whose snapshot cannot be written is kept untouched and tried again by the next run.
+      if (!cursor.snapshotTaken) {
+        if (!ListArchive.snapshot(staleList, stats)) {
+          continue;
+        }
+        cursor.snapshotTaken = true;
+      }
+      result = migrateIncompleteTasks(staleList.id, destId, stats, { startTime: startTime, cursor: cursor, todayListId: todayListId });
+      stats.rolledOver += result.moved + result.movedToToday;
+      if (destId === inboxId) {
+        stats.inboxAdds += result.moved;
+      }
+      if (seriesName) {
+        ListSeries.getStats(stats, seriesName).rolledOver += result.moved;
+      } else if (destId !== inboxId) {
+        ListSeries.getStats(stats, dailyDestination).dailyAdds += result.moved;
+      }
+      paused = result.paused;
+    }
+
+    if (paused) {
       console.warn('Execution time exceeded during rollover. Pausing run.');
+      if (checkpoint) {
+        checkpoint.pendingListIds = staleLists.slice(i).map(entry => entry.list.id);
+        checkpoint.cursor = cursor;
+      }
       break;
     }
-    stats.inboxAdds += migrateIncompleteTasks(staleList.id, inboxId);
-    stats.completedTasks.push(...CompletedTaskService.getCompletedTasksFromList(staleList.id));
+    // A list that is kept is tried again by the next run.
+    if (!ListGuard.verifyMigration(staleList, result, stats)) {
+      continue;
+    }
+    const completedTasks = CompletedTaskService.getCompletedTasksFromList(staleList.id);
+    for (const completedTask of completedTasks) {
+      EventLog.record(stats, 'completed', {
+        task: { id: completedTask.taskId, title: completedTask.taskName },
+        sourceListId: staleList.id,
+        timestamp: completedTask.completed_timestamp ? new Date(completedTask.completed_timestamp) : null,
+      });
+    }
+    stats.completedTasks += completedTasks.length;
     ListService.deleteList(staleList.id);
-    stats.listDeleted++;
+    EventLog.record(stats, 'deleted-list', { sourceListId: staleList.id });
+    if (seriesName) {
+      ListSeries.getStats(stats, seriesName).listDeleted++;
+    } else {
+      stats.listDeleted++;
+    }
   }
 
-  if (!todayList) {
-    todayList = ListService.createList(todayListFullName);
-    stats.listCreated++;
+  ListArchive.prune(stats);
+  return { todayListId, inboxId, paused };
+}
+
+/**
+ * Creates the daily lists for today and the next LOOKAHEAD_DAYS days, unless a list for that date
+ * already exists under any title format. A new list is seeded with the templates for its date
+ * (see DailyTemplates); an existing one is left as it is.
+ * @param {string} todayKey Today's date as yyyy-MM-dd.
+ * @param {Array<{list: object, dateKey: string}>} datedLists The existing daily lists with their dates.
+ * @param {object} stats The statistics object to be updated.
+ * @returns {string} The ID of today's list.
+ */
+function ensureDailyLists(todayKey, datedLists, stats) {
+  let todayListId = null;
+  let templates = null; // Loaded before the first list is created.
+  for (let offset = 0; offset <= getLookaheadDays(); offset++) {
+    const dateKey = ListNaming.addDays(todayKey, offset);
+    const title = ListNaming.getListTitle(dateKey);
+    const matches = datedLists.filter(entry => entry.dateKey === dateKey);
+    let list = (matches.find(entry => entry.list.title === title) || matches[0] || {}).list;
+    if (!list) {
+      templates = templates || DailyTemplates.load(stats);
+      list = ListService.createList(title);
+      stats.listCreated++;
+      DailyTemplates.apply(templates, list.id, dateKey, stats);
+    }
+    if (offset === 0) {
+      todayListId = list.id;
+    }
   }
+  return todayListId;
+}
 
-  return { todayListId: todayList.id, inboxId };
+/**
+ * Checks the execution time safeguard.
+ * @param {Date} startTime The script start time.
+ * @returns {boolean} True once EXECUTION_TIMEOUT_SECONDS have passed since the start.
+ */
+function isTimeUp(startTime) {
+  return (new Date() - startTime) / 1000 > getExecutionTimeoutSeconds();
 }
 
 /**
- * Moves non-recurring tasks due today from the Inbox to today's daily list.
+ * Routes the top-level Inbox tasks according to the Inbox rules (see InboxRules).
+ * The first matching rule moves a task to today's list, moves it to a named list, or keeps it
+ * in the Inbox; tasks that match no rule stay. Subtasks move along with their parent.
+ * By default, non-recurring tasks due today move to today's list.
+ * Only the Inbox tasks changed or coming due since the last run are read, except for the periodic
+ * full read (see InboxSync).
  * @param {string} todayListId The ID of the list for today's tasks.
  * @param {string} inboxId The ID of the Inbox list.
  * @param {object} stats The statistics object to be updated.
  */
 function processInboxTasks(todayListId, inboxId, stats) {
-  const tasks = TaskService.listAllTasks(inboxId);
-  const today = new Date();
-  const todayDateString = Utilities.formatDate(today, getLocalTimeZone(), 'yyyy-MM-dd');
+  const rules = InboxRules.getRules();
+  rules.forEach(rule => {
+    stats.ruleMatches[rule.name] = stats.ruleMatches[rule.name] || 0;
+  });
+  const todayKey = ListNaming.getDateKey(new Date());
+  const scan = InboxSync.scan(inboxId, rules, todayKey, stats);
+  const listIds = {}; // Named destination lists by title, resolved on first use.
+  const previousIds = {}; // The last task moved to each destination, to keep the Inbox order.
 
-  for (const task of tasks) {
-    // Skip tasks with no due date or that have a recurrence rule
-    if (!task.due || task.recurrence) {
+  for (const task of scan.tasks) {
+    // Subtasks stay with their parent, so that the hierarchy is kept.
+    if (task.parent) {
       continue;
     }
+    const rule = InboxRules.findRule(rules, task, todayKey);
+    if (!rule) {
+      continue;
+    }
+    InboxRules.countMatch(stats, rule);
 
-    // Google Tasks API returns 'due' as an RFC 3339 timestamp (e.g., "2025-07-10T00:00:00.000Z")
-    // We only care about the date part.
-    const taskDueDate = task.due.substring(0, 10);
-
-    if (taskDueDate === todayDateString) {
-      TaskService.move(task, inboxId, todayListId);
-      stats.inboxMoves++;
+    let destId = null;
+    if (rule.action === 'today') {
+      destId = todayListId;
+    } else if (rule.action === 'list') {
+      if (!(rule.list in listIds)) {
+        const list = ListService.getListByTitle(rule.list);
+        listIds[rule.list] = list ? list.id : null;
+        if (!list) {
+          addRunNote(stats, `Inbox rule "${rule.name}": list "${rule.list}" not found, its tasks stay in the Inbox.`);
+          // They are not read again until they change, unless the next run reads the whole Inbox.
+          InboxSync.requestFullScan(scan);
+        }
+      }
+      destId = listIds[rule.list];
     }
+    if (!destId || destId === inboxId) {
+      continue;
+    }
+
+    const result = TaskService.move(task, inboxId, destId, { previous: previousIds[destId] || null });
+    recordMoveIssues(stats, task, result);
+    EventLog.record(stats, 'moved', { task: result.task, sourceListId: inboxId, destListId: destId });
+    previousIds[destId] = result.task.id;
+    stats.inboxMoves++;
   }
-  console.log(`Moved ${stats.inboxMoves} tasks due today from Inbox to the daily list.`);
+  InboxSync.complete(scan);
+  const matches = Object.keys(stats.ruleMatches).map(name => `"${name}": ${stats.ruleMatches[name]}`).join(', ');
+  console.log(`Moved ${stats.inboxMoves} tasks out of the Inbox. Rule matches: ${matches || 'none'}.`);
 }
 
-
 /**
  * Migrates all incomplete tasks from a source list to a destination list.
- * If rollover tracking is enabled, it updates a counter in the task's notes.
+ * Whole task trees are moved, and they keep their order at the top of the destination list.
+ * If rollover tracking is enabled, it updates a counter and the first-rollover date in the notes of
+ * each moved top-level task, and applies the aging thresholds to it (see TaskAging).
+ * Missed instances of recurring tasks are handled by RECURRING_TASK_POLICY (see RecurringTasks).
  * @param {string} sourceListId The ID of the list to migrate tasks from.
  * @param {string} destListId The ID of the list to migrate tasks to.
- * @returns {number} The number of tasks that were moved.
+ * @param {object} stats The statistics object; tasks that were not moved losslessly are recorded in it.
+ * @param {object} [options]
+ * @param {Date} [options.startTime] The script start time. If given, the migration pauses on the execution timeout.
+ * @param {{keptTaskIds: Array<string>, previousIds: Object<string, string>}} [options.cursor] Where an
+ *     earlier part of the run left off: the handled tasks that stay in the source list (dropped
+ *     recurring instances), which are skipped, and the last task moved to each list, after which
+ *     the next one is placed. Moved tasks have left the source list, so they are not recorded.
+ *     Both are updated as tasks are handled.
+ * @param {string} [options.todayListId] The ID of today's list, for the "today" recurring task policy.
+ * @returns {{read: number, moved: number, movedToToday: number, dropped: number, paused: boolean}} The
+ *     number of task trees that were read to be moved, moved to the destination (or the Someday
+ *     list), moved to today's list and left behind, and whether the migration stopped early because
+ *     of the timeout.
  */
-function migrateIncompleteTasks(sourceListId, destListId) {
-  const tasksToMove = TaskService.listIncompleteTasks(sourceListId);
+function migrateIncompleteTasks(sourceListId, destListId, stats, options = {}) {
+  const cursor = options.cursor || { keptTaskIds: [], previousIds: {} };
+  const tasksToMove = TaskService.listIncompleteTasks(sourceListId)
+    .filter(task => !cursor.keptTaskIds.includes(task.id) && !SummaryTask.isSummaryTask(task));
   const trackRollover = getTrackRolloverCount();
+  const agingSettings = TaskAging.getSettings();
+  const todayKey = ListNaming.getDateKey(new Date());
+  const recurringPolicy = RecurringTasks.getPolicy();
+  const result = { read: tasksToMove.length, moved: 0, movedToToday: 0, dropped: 0, paused: false };
+  let waitingTitles = null; // The incomplete tasks in the destination, loaded for the first recurring task.
+  const previousIds = cursor.previousIds; // The last task moved to each list, to keep the order of the source list.
+  let somedayListId = null;
 
   for (const task of tasksToMove) {
+    if (options.startTime && isTimeUp(options.startTime)) {
+      result.paused = true;
+      return result;
+    }
+    if (RecurringTasks.isRecurring(task)) {
+      if (!waitingTitles) {
+        waitingTitles = TaskService.listIncompleteTasks(destListId).map(waiting => waiting.title);
+      }
+      const decision = RecurringTasks.decide(recurringPolicy, task, waitingTitles);
+      const recurringStats = RecurringTasks.getStats(stats);
+      if (decision === 'drop') {
+        cursor.keptTaskIds.push(task.id);
+        EventLog.record(stats, 'dropped', { task: task, sourceListId: sourceListId });
+        recurringStats.dropped++;
+        result.dropped++;
+        continue;
+      }
+      // Recurring tasks keep their place in the order, but never get a Rollover Count.
+      const targetId = decision === 'today' && options.todayListId ? options.todayListId : destListId;
+      const moveResult = TaskService.move(task, sourceListId, targetId, { previous: previousIds[targetId] || null });
+      recordMoveIssues(stats, task, moveResult);
+      EventLog.record(stats, 'rolled-over', { task: moveResult.task, sourceListId: sourceListId, destListId: targetId });
+      previousIds[targetId] = moveResult.task.id;
+      if (targetId !== destListId) {
+        recurringStats.movedToToday++;
+        result.movedToToday++;
+      } else {
+        waitingTitles.push(task.title);
+        recurringStats.rolledOver++;
+        result.moved++;
+      }
+      continue;
+    }
+
+    let taskToMove = task;
+    let count = null;
+    let aging = { tag: false, someday: false, escalate: false };
     if (trackRollover) {
       let notes = task.notes || "";
       const match = notes.match(/Rollover Count: (\d+)/);
+      count = match ? parseInt(match[1], 10) + 1 : 1;
       if (match) {
-        const count = parseInt(match[1], 10) + 1;
         notes = notes.replace(/Rollover Count: \d+/, `Rollover Count: ${count}`);
       } else {
         notes += (notes ? "\n\n" : "") + "Rollover Count: 1";
       }
-      const updatedTask = TaskService.updateNotes(sourceListId, task.id, notes);
-      TaskService.move(updatedTask, sourceListId, destListId);
-    } else {
-      TaskService.move(task, sourceListId, destListId);
+      notes = TaskAging.stampFirstRollover(notes, todayKey);
+      SummaryTask.recordRolloverCount(stats, task.title, count);
+      taskToMove = TaskService.updateNotes(sourceListId, task.id, notes);
+      aging = TaskAging.decide(agingSettings, task, count);
+    }
+    if (aging.tag) {
+      taskToMove = TaskService.patch(sourceListId, task.id, { title: agingSettings.tagPrefix + task.title });
+      EventLog.record(stats, 'tagged', { task: taskToMove, sourceListId: sourceListId, rolloverCount: count });
+      TaskAging.getStats(stats).tagged++;
+    }
+    let targetId = destListId;
+    if (aging.someday) {
+      somedayListId = somedayListId || TaskAging.getSomedayListId(agingSettings, stats);
+      targetId = somedayListId;
     }
+    const moveResult = TaskService.move(taskToMove, sourceListId, targetId, { previous: previousIds[targetId] || null });
+    recordMoveIssues(stats, task, moveResult);
+    EventLog.record(stats, 'rolled-over', { task: moveResult.task, sourceListId: sourceListId, destListId: targetId, rolloverCount: count });
+    if (aging.someday) {
+      EventLog.record(stats, 'moved-to-someday', { task: moveResult.task, sourceListId: sourceListId, destListId: targetId, rolloverCount: count });
+      TaskAging.getStats(stats).someday++;
+    }
+    if (aging.escalate) {
+      stats.escalations.push({
+        id: moveResult.task.id,
+        title: moveResult.task.title,
+        count: count,
+        ageDays: TaskAging.getAgeDays(taskToMove.notes, todayKey),
+        listId: targetId,
+        list: EventLog.getListTitle(targetId),
+      });
+    }
+    previousIds[targetId] = moveResult.task.id;
+    result.moved++;
+  }
+  return result;
+}
+
+/**
+ * Writes the run-summary task to today's list if ADD_SUMMARY_TASK is enabled.
+ * The summary is informational, so a failure to write it is noted but does not fail the run.
+ * @param {string|null} todayListId The ID of today's list, or null if the run failed before it was known.
+ * @param {object} stats The statistics object of the run.
+ * @param {string} [status] "paused" or "failed" for a run that did not complete.
+ */
+function writeSummaryTask(todayListId, stats, status) {
+  if (!todayListId || !getAddSummaryTask()) {
+    return;
   }
-  return tasksToMove.length;
+  try {
+    SummaryTask.upsert(todayListId, stats, status);
+  } catch (e) {
+    console.error(`Failed to write the summary task. Error: ${e.message}`);
+    addRunNote(stats, `Could not write the summary task: ${e.message}`);
+  }
+}
+
+/**
+ * Records the tasks a TaskService.move call could not migrate losslessly.
+ * @param {object} stats The statistics object to be updated.
+ * @param {GoogleAppsScript.Tasks.Schema.Task} task The task that was moved.
+ * @param {{issues: Array<string>}} result The result of TaskService.move.
+ */
+function recordMoveIssues(stats, task, result) {
+  if (result.issues.length) {
+    stats.lossyMoves.push({ title: task.title, issues: result.issues });
+    console.warn(`Task "${task.title}" was not migrated losslessly: ${result.issues.join('; ')}`);
+  }
+}
+
+/**
+ * Summarizes the lossy moves of the run in its notes.
+ * @param {object} stats The statistics object to be updated.
+ */
+function noteLossyMoves(stats) {
+  if (stats.lossyMoves.length) {
+    const details = stats.lossyMoves.map(move => `"${move.title}" (${move.issues.join('; ')})`).join(', ');
+    addRunNote(stats, `Not migrated losslessly: ${details}`);
+  }
+}
+
+/**
+ * Appends a note to the run's notes, keeping the notes that were already recorded.
+ * @param {object} stats The statistics object to be updated.
+ * @param {string} note The note to add.
+ */
+function addRunNote(stats, note) {
+  stats.notes = stats.notes ? `${stats.notes} | ${note}` : note;
 }
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Titles of the daily lists.
+ * A daily list is titled `<DAILY_LIST_PREFIX> <date>`, with the date formatted by
+ * DAILY_LIST_DATE_FORMAT. Titles are parsed back into calendar dates, so the rollover can tell
+ * stale lists (dated before today) from today's list and lists created ahead of time.
+ * @see /@documentation/design.md#52-rolloverprocesstodaytitle-starttime-stats
+ */
+
+/**
+ * A utility object for formatting and parsing daily list titles.
+ * Calendar dates are passed around as `yyyy-MM-dd` strings ("date keys"), which compare correctly
+ * as strings and do not depend on the time zone once computed.
+ */
+const ListNaming = {
+  DEFAULT_DATE_FORMAT: 'MMMM d, yyyy', // The format of all lists created before DAILY_LIST_DATE_FORMAT existed.
+  MONTH_NAMES: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  DAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  TOKEN_PATTERN: /'((?:[^']|'')*)'|([A-Za-z])\2*/g, // A quoted literal, or a run of one pattern letter.
+  PARSED_FIELDS: 'yMdEu', // The SimpleDateFormat letters a list title may contain.
+
+  /**
+   * Computes the date key of a point in time in the configured time zone.
+   * @param {Date} date The point in time.
+   * @returns {string} The date key, e.g. "2025-07-10".
+   */
+  getDateKey(date) {
+    return Utilities.formatDate(date, getLocalTimeZone(), 'yyyy-MM-dd');
+  },
+
+  /**
+   * Adds days to a date key.
+   * @param {string} dateKey The date key.
+   * @param {number} days The number of days to add; may be negative.
+   * @returns {string} The resulting date key.
+   */
+  addDays(dateKey, days) {
+    const date = this.toUtcNoon(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return Utilities.formatDate(date, 'UTC', 'yyyy-MM-dd');
+  },
+
+  /**
+   * Formats a date key with DAILY_LIST_DATE_FORMAT, without the prefix.
+   * @param {string} dateKey The date key.
+   * @param {string} [format] The SimpleDateFormat pattern; defaults to DAILY_LIST_DATE_FORMAT.
+   * @returns {string} The formatted date, e.g. "July 10, 2025".
+   */
+  formatDate(dateKey, format = this.getFormat()) {
+    return Utilities.formatDate(this.toUtcNoon(dateKey), 'UTC', format);
+  },
+
+  /**
+   * Builds the full title of the daily list for a date.
+   * @param {string} dateKey The date key.
+   * @returns {string} The list title, e.g. "[Daily] July 10, 2025".
+   */
+  getListTitle(dateKey) {
+    return `${getDailyListPrefix()} ${this.formatDate(dateKey)}`;
+  },
+
+  /**
+   * Checks whether a list title carries the daily list prefix.
+   * @param {string} title The list title.
+   * @returns {boolean}
+   */
+  isDailyList(title) {
+    return title.startsWith(`${getDailyListPrefix()} `);
+  },
+
+  /**
+   * Reads the date of a daily list from its title. The configured format is tried first, then
+   * the default format, so lists created before a format change are still recognised.
+   * @param {string} title The list title.
+   * @param {string} todayKey Today's date key, used to complete formats without a year.
+   * @returns {string|null} The date key, or null if the title is not a daily list or its date cannot be read.
+   */
+  parseListTitle(title, todayKey) {
+    if (!this.isDailyList(title)) return null;
+    const text = title.slice(getDailyListPrefix().length + 1).trim();
+    const formats = [this.getFormat(), this.DEFAULT_DATE_FORMAT];
+    for (const format of formats) {
+      const dateKey = this.parseDate(text, format, todayKey);
+      if (dateKey) return dateKey;
+    }
+    return null;
+  },
+
+  /**
+   * Parses a date formatted with a SimpleDateFormat pattern. Only year, month, day and weekday
+   * fields are supported; the weekday is matched but not checked against the date.
+   * @param {string} text The formatted date.
+   * @param {string} format The SimpleDateFormat pattern.
+   * @param {string} todayKey Today's date key. A format without a year resolves to the nearest matching date.
+   * @returns {string|null} The date key, or null if the text does not match the format or is not a valid date.
+   */
+  parseDate(text, format, todayKey) {
+    const { regex, fields } = this.compile(format);
+    const match = regex.exec(text);
+    if (!match) return null;
+
+    let year = null;
+    let month = null;
+    let day = null;
+    fields.forEach((field, i) => {
+      const value = match[i + 1];
+      if (field === 'yy') {
+        year = 2000 + parseInt(value, 10);
+      } else if (field === 'y') {
+        year = parseInt(value, 10);
+      } else if (field === 'MMMM' || field === 'MMM') {
+        month = this.MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(value.toLowerCase())) + 1;
+      } else if (field === 'M') {
+        month = parseInt(value, 10);
+      } else if (field === 'd') {
+        day = parseInt(value, 10);
+      }
+    });
+
+    if (year === null) {
+      const todayYear = parseInt(todayKey.slice(0, 4), 10);
+      const candidates = [todayYear - 1, todayYear, todayYear + 1]
+        .map(candidate => this.toDateKey(candidate, month, day))
+        .filter(candidate => candidate);
+      const distance = (dateKey) => Math.abs(this.toUtcNoon(dateKey) - this.toUtcNoon(todayKey));
+      candidates.sort((a, b) => distance(a) - distance(b));
+      return candidates[0] || null;
+    }
+    return this.toDateKey(year, month, day);
+  },
+
+  /**
+   * Translates a SimpleDateFormat pattern into a regular expression.
+   * @param {string} format The SimpleDateFormat pattern.
+   * @returns {{regex: RegExp, fields: Array<string>}} The expression, and the field of each capture group.
+   * @throws {Error} If the pattern has fields that cannot be parsed back, or lacks the month or the day.
+   */
+  compile(format) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const monthNames = this.MONTH_NAMES.join('|');
+    const shortMonthNames = this.MONTH_NAMES.map(name => name.slice(0, 3)).join('|');
+    const dayNames = `${this.DAY_NAMES.join('|')}|${this.DAY_NAMES.map(name => name.slice(0, 3)).join('|')}`;
+    const fields = [];
+    let source = '';
+    let lastIndex = 0;
+
+    this.TOKEN_PATTERN.lastIndex = 0;
+    let token;
+    while ((token = this.TOKEN_PATTERN.exec(format)) !== null) {
+      source += escape(format.slice(lastIndex, token.index));
+      lastIndex = this.TOKEN_PATTERN.lastIndex;
+
+      const [text, quoted, letter] = token;
+      if (quoted !== undefined) {
+        source += escape(quoted ? quoted.replace(/''/g, "'") : "'");
+        continue;
+      }
+      if (!this.PARSED_FIELDS.includes(letter)) {
+        throw new Error(`DAILY_LIST_DATE_FORMAT "${format}" contains "${text}". Only year (y), month (M), day (d) and weekday (E, u) fields are supported.`);
+      }
+      if (letter === 'y') {
+        fields.push(text.length === 2 ? 'yy' : 'y');
+        source += text.length === 2 ? '(\\d{2})' : '(\\d{4})';
+      } else if (letter === 'M' && text.length >= 3) {
+        fields.push(text.length >= 4 ? 'MMMM' : 'MMM');
+        source += `(${text.length >= 4 ? monthNames : shortMonthNames})`;
+      } else if (letter === 'M' || letter === 'd') {
+        fields.push(letter);
+        source += text.length >= 2 ? `(\\d{${text.length}})` : '(\\d{1,2})';
+      } else {
+        fields.push(letter);
+        source += letter === 'E' ? `(${dayNames})` : '(\\d)';
+      }
+    }
+    source += escape(format.slice(lastIndex));
+
+    if (!fields.some(field => field.startsWith('M')) || !fields.includes('d')) {
+      throw new Error(`DAILY_LIST_DATE_FORMAT "${format}" must contain a month (M) and a day (d) field.`);
+    }
+    return { regex: new RegExp(`^${source}$`, 'i'), fields: fields };
+  },
+
+  /**
+   * Gets DAILY_LIST_DATE_FORMAT and checks that list titles in it can be parsed back.
+   * @returns {string} The SimpleDateFormat pattern.
+   * @throws {Error} If the format is not supported.
+   */
+  getFormat() {
+    const format = getDailyListDateFormat();
+    this.compile(format);
+    return format;
+  },
+
+  /**
+   * Builds a date key, checking that the date exists.
+   * @param {number} year
+   * @param {number} month The month, 1-12.
+   * @param {number} day
+   * @returns {string|null} The date key, or null for an invalid date such as February 30.
+   */
+  toDateKey(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day, 12));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return Utilities.formatDate(date, 'UTC', 'yyyy-MM-dd');
+  },
+
+  /**
+   * Converts a date key into a Date at noon UTC, which formats as the same calendar day in UTC.
+   * @param {string} dateKey The date key.
+   * @returns {Date}
+   */
+  toUtcNoon(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(part => parseInt(part, 10));
+    return new Date(Date.UTC(year, month - 1, day, 12));
+  },
+};
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Notifications about failures and reports.
+ * Every notification has a severity ("info", "warning" or "error") and goes to each channel in
+ * NOTIFY_CHANNELS: "email" (to NOTIFY_RECIPIENT), "webhook" (a JSON `{"text": ...}` POST to
+ * NOTIFY_WEBHOOK_URL, which Google Chat and Slack incoming webhooks both accept) and "log" (the
+ * "Notifications" tab of the log sheet and the execution log only). Notifications below
+ * NOTIFY_MIN_SEVERITY are only written to the execution log. Reports, escalations and dry-run plans
+ * are always emailed, and copied to the other channels (see report()).
+ * A failure alert is not repeated for the same error of the same source within NOTIFY_DEDUPE_DAYS
+ * days, and once the source works again, a recovery notice is sent where the alert went. The
+ * open failures are stored in the NOTIFY_STATE property.
+ * @see /@documentation/design.md#7-error-handling--idempotency
+ */
+
+/**
+ * A utility object for sending notifications through the configured channels.
+ */
+const Notifier = {
+  PROPERTY_KEY: 'NOTIFY_STATE',
+  SHEET_NAME: 'Notifications',
+  HEADER_ROW: ['Timestamp', 'Severity', 'Source', 'Subject', 'Message'],
+  SEVERITIES: ['info', 'warning', 'error'],
+  // The channels, by the name used in NOTIFY_CHANNELS, and the method that delivers to each.
+  CHANNELS: {
+    email: 'sendEmail',
+    webhook: 'postWebhook',
+    log: 'writeLog',
+  },
+  WEBHOOK_TEXT_LIMIT: 4000, // Google Chat rejects longer messages.
+  MESSAGE_KEY_LENGTH: 500, // The characters of a message compared to find a repeated alert.
+
+  /**
+   * Reads and validates the notification settings.
+   * @returns {{channels: Array<string>, recipient: string, webhookUrl: string, minSeverity: string, dedupeDays: number}}
+   * @throws {Error} If a setting is not valid.
+   */
+  getSettings() {
+    const settings = {
+      channels: getNotifyChannels(),
+      recipient: getNotifyRecipient(),
+      webhookUrl: getNotifyWebhookUrl(),
+      minSeverity: getNotifyMinSeverity(),
+      dedupeDays: getNotifyDedupeDays(),
+    };
+    const unknown = settings.channels.filter(name => !this.CHANNELS[name]);
+    if (unknown.length) {
+      throw new Error(`NOTIFY_CHANNELS: unknown channel(s) ${unknown.map(name => `"${name}"`).join(', ')}. Use "email", "webhook", "log" or "none".`);
+    }
+    if (!this.SEVERITIES.includes(settings.minSeverity)) {
+      throw new Error(`NOTIFY_MIN_SEVERITY must be "info", "warning" or "error", not "${settings.minSeverity}".`);
+    }
+    if (settings.channels.includes('webhook') && !/^https:\/\/\S+$/.test(settings.webhookUrl)) {
+      throw new Error('NOTIFY_WEBHOOK_URL must be an https:// URL when NOTIFY_CHANNELS includes "webhook".');
+    }
+    return settings;
+  },
+
+  /**
+   * Reads the notification settings for sending. Settings that cannot be read (including a broken
+   * configuration, which may be what failed) fall back to emailing the user the script runs as,
+   * so that a failure is never lost.
+   * @returns {object} The settings, as returned by getSettings().
+   */
+  loadSettings() {
+    try {
+      return this.getSettings();
+    } catch (e) {
+      console.error(`Invalid notification settings, falling back to email. Error: ${e.message}`);
+      return { channels: ['email'], recipient: Session.getEffectiveUser().getEmail(), webhookUrl: '', minSeverity: 'info', dedupeDays: 0 };
+    }
+  },
+
+  /**
+   * Sends a notification to every configured channel. A channel that fails is logged and does
+   * not stop the others.
+   * @param {object} notification
+   * @param {string} notification.severity "info", "warning" or "error".
+   * @param {string} notification.source What the notification is about, e.g. "daily-run".
+   * @param {string} notification.subject
+   * @param {string} notification.text The plain-text message.
+   * @param {string} [notification.htmlBody] An HTML version for the email channel.
+   * @param {string} [notification.recipient] The email recipients; defaults to NOTIFY_RECIPIENT.
+   * @param {object} [settings] The settings, from loadSettings().
+   * @returns {{delivered: Array<string>, failed: Array<string>}} The channels that delivered it and
+   *     those that failed; both are empty if its severity is below NOTIFY_MIN_SEVERITY.
+   */
+  send(notification, settings = this.loadSettings()) {
+    if (this.SEVERITIES.indexOf(notification.severity) < this.SEVERITIES.indexOf(settings.minSeverity)) {
+      console.log(`Not sending "${notification.subject}" (${notification.severity}): NOTIFY_MIN_SEVERITY is ${settings.minSeverity}.`);
+      return { delivered: [], failed: [] };
+    }
+
+    const result = { delivered: [], failed: [] };
+    for (const name of settings.channels) {
+      try {
+        this[this.CHANNELS[name]](notification, settings);
+        result.delivered.push(name);
+      } catch (e) {
+        console.error(`Failed to send "${notification.subject}" through the ${name} channel. Error: ${e.message}`);
+        result.failed.push(name);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Sends a message the user asked for, such as a report: it is always emailed to its recipient,
+   * whatever NOTIFY_CHANNELS and NOTIFY_MIN_SEVERITY hold back, and copied to the other channels.
+   * @param {object} notification See send(); the severity is "info".
+   * @returns {{delivered: Array<string>, failed: Array<string>}} See send().
+   */
+  report(notification) {
+    const settings = this.loadSettings();
+    return this.send(Object.assign({ severity: 'info' }, notification), Object.assign({}, settings, {
+      channels: ['email'].concat(settings.channels.filter(name => name !== 'email')),
+      minSeverity: 'info',
+    }));
+  },
+
+  /**
+   * Sends a failure alert, unless the same source already alerted about the same error within the
+   * last NOTIFY_DEDUPE_DAYS days. The failure stays open until resolve() is called for its source.
+   * In a dry run, the alert is only recorded in the plan.
+   * @param {string} source What failed, e.g. "daily-run", "log-setup", "log-run" or "report".
+   * @param {string} subject
+   * @param {string} text The plain-text message, including the error.
+   * @param {string} [severity='error']
+   * @returns {boolean} Whether the alert was delivered; false if it was held back as a repeat.
+   */
+  alert(source, subject, text, severity = 'error') {
+    if (DryRunRecorder.isActive()) {
+      DryRunRecorder.record('notify', `Would send the ${severity} alert "${subject}": ${text}`);
+      return false;
+    }
+    const now = new Date();
+    const settings = this.loadSettings();
+    const state = this.load();
+    const key = String(text).substring(0, this.MESSAGE_KEY_LENGTH);
+    const open = state[source];
+
+    if (open && open.key === key && open.sentAt && settings.dedupeDays &&
+        now.getTime() - new Date(open.sentAt).getTime() < settings.dedupeDays * 24 * 60 * 60 * 1000) {
+      open.count++;
+      this.save(state);
+      console.log(`Not repeating the alert "${subject}": the same error was reported at ${open.sentAt} (${open.count} time(s) since ${open.since}).`);
+      return false;
+    }
+
+    const delivered = this.send({ severity: severity, source: source, subject: subject, text: text }, settings).delivered.length > 0;
+    state[source] = {
+      key: key,
+      severity: severity,
+      subject: subject,
+      since: open ? open.since : now.toISOString(),
+      sentAt: delivered ? now.toISOString() : (open && open.sentAt) || null,
+      count: open ? open.count + 1 : 1,
+    };
+    this.save(state);
+    return delivered;
+  },
+
+  /**
+   * Closes the open failure of a source after it worked again. If an alert about it was sent, a
+   * recovery notice with the same severity follows it.
+   * @param {string} source The source passed to alert().
+   */
+  resolve(source) {
+    const state = this.load();
+    const open = state[source];
+    if (!open) return;
+    delete state[source];
+    this.save(state);
+    if (!open.sentAt) return;
+
+    const since = Utilities.formatDate(new Date(open.since), getLocalTimeZone(), 'MMMM d, yyyy HH:mm');
+    this.send({
+      severity: open.severity,
+      source: source,
+      subject: `Resolved: ${open.subject}`,
+      text: `This works again, after ${open.count} failure(s) since ${since}.\n\n` +
+        'This is an automated message from your GTaskManager script.',
+    });
+  },
+
+  /**
+   * Reads the open failures.
+   * @returns {Object<string, {key: string, severity: string, subject: string, since: string, sentAt: (string|null), count: number}>}
+   *     The open failure of each source.
+   */
+  load() {
+    try {
+      const value = getProperty(this.PROPERTY_KEY);
+      return value ? JSON.parse(value) : {};
+    } catch (e) {
+      console.warn(`Ignoring an unreadable ${this.PROPERTY_KEY}. Error: ${e.message}`);
+      return {};
+    }
+  },
+
+  /**
+   * Stores the open failures, or deletes the property when there are none.
+   * @param {object} state The open failure of each source.
+   */
+  save(state) {
+    try {
+      if (Object.keys(state).length) {
+        setProperty(this.PROPERTY_KEY, JSON.stringify(state));
+      } else if (getProperty(this.PROPERTY_KEY)) {
+        deleteProperty(this.PROPERTY_KEY);
+      }
+    } catch (e) {
+      console.error(`Failed to store ${this.PROPERTY_KEY}. Error: ${e.message}`);
+    }
+  },
+
+  /**
+   * The "email" channel: emails the notification.
+   * @param {object} notification See send().
+   * @param {object} settings The settings, from loadSettings().
+   */
+  sendEmail(notification, settings) {
+    const options = notification.htmlBody ? { htmlBody: notification.htmlBody } : {};
+    GmailApp.sendEmail(notification.recipient || settings.recipient, notification.subject, notification.text, options);
+  },
+
+  /**
+   * The "webhook" channel: posts the notification as `{"text": ...}`, with the subject in bold.
+   * Rate limits and server errors are retried like any other service call.
+   * @param {object} notification See send().
+   * @param {object} settings The settings, from loadSettings().
+   * @throws {Error} If the webhook does not answer with a 2xx status.
+   */
+  postWebhook(notification, settings) {
+    let text = `*${notification.subject}*\n${notification.text}`;
+    if (text.length > this.WEBHOOK_TEXT_LIMIT) {
+      text = `${text.substring(0, this.WEBHOOK_TEXT_LIMIT - 1)}…`;
+    }
+    RetryUtil.call('UrlFetchApp.fetch', () => {
+      const response = UrlFetchApp.fetch(settings.webhookUrl, {
+        method: 'post',
+        contentType: 'application/json; charset=UTF-8',
+        payload: JSON.stringify({ text: text }),
+        muteHttpExceptions: true,
+      });
+      const code = response.getResponseCode();
+      if (code < 200 || code >= 300) {
+        const error = new Error(`The webhook answered ${code}: ${response.getContentText().substring(0, 200)}`);
+        error.details = { code: code };
+        throw error;
+      }
+    });
+  },
+
+  /**
+   * The "log" channel: writes the notification to the execution log and, if the log sheet can be
+   * opened, to its "Notifications" tab.
+   * @param {object} notification See send().
+   */
+  writeLog(notification) {
+    const line = `[${notification.severity}] ${notification.subject}: ${notification.text}`;
+    if (notification.severity === 'info') {
+      console.log(line);
+    } else {
+      console.warn(line);
+    }
+
+    const sheetId = getLogSheetId();
+    if (!sheetId) return;
+    try {
+      const ss = SpreadsheetApp.openById(sheetId);
+      let sheet = ss.getSheetByName(this.SHEET_NAME);
+      if (!sheet) {
+        sheet = ss.insertSheet(this.SHEET_NAME);
+        sheet.appendRow(this.HEADER_ROW);
+        console.log(`Created notifications sheet: "${this.SHEET_NAME}"`);
+      }
+      sheet.appendRow([new Date(), notification.severity, notification.source, notification.subject, notification.text]);
+    } catch (e) {
+      console.error(`Failed to write the notification to the log sheet. Error: ${e.message}`);
+    }
+  },
+};
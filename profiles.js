@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Configuration profiles and validation.
+ * Several people can share one copy of the script, each with their own conventions: named
+ * profiles are stored as a JSON object in CONFIG_PROFILES (in the script or user properties), and
+ * each person selects theirs with `useProfile(name)`, which sets ACTIVE_PROFILE in their user
+ * properties. Triggers run as the person who installed them, so every run, report and setup call
+ * resolves that person's profile. A setting is looked up in the user properties first, then in
+ * the active profile, then in the script properties; with a profile active, the values the script
+ * caches (such as INBOX_LIST_ID) are written to the user properties.
+ * `validateConfig()` checks the resolved settings, and dailyRunner refuses to run with errors.
+ * @see /@documentation/design.md#3-configuration-script-properties
+ */
+
+/**
+ * Selects the profile for the current user, so that their triggers use it. Run setup() afterwards
+ * to install the triggers under this account.
+ * @param {string} name The name of a profile in CONFIG_PROFILES, or an empty string to use none.
+ * @throws {Error} If there is no such profile.
+ */
+function useProfile(name) {
+  const userProperties = PropertiesService.getUserProperties();
+  if (!name) {
+    userProperties.deleteProperty('ACTIVE_PROFILE');
+    console.log('No profile is active. The script properties apply.');
+    return;
+  }
+  if (!(name in ConfigProfiles.getProfiles())) {
+    throw new Error(`There is no profile "${name}" in CONFIG_PROFILES.`);
+  }
+  userProperties.setProperty('ACTIVE_PROFILE', name);
+  console.log(`Profile "${name}" is active for ${Session.getEffectiveUser().getEmail()}.`);
+}
+
+/**
+ * Checks the configuration the current user's runs would use and logs every problem.
+ * Run it from the Apps Script editor after changing a setting.
+ * @returns {{profile: (string|null), errors: Array<string>, warnings: Array<string>}} The report.
+ */
+function validateConfig() {
+  const report = ConfigProfiles.validate();
+  const name = report.profile ? `profile "${report.profile}"` : 'the script properties';
+  report.errors.forEach(message => console.error(`Error: ${message}`));
+  report.warnings.forEach(message => console.warn(`Warning: ${message}`));
+  console.log(`Checked ${name}: ${report.errors.length} error(s), ${report.warnings.length} warning(s).`);
+  return report;
+}
+
+/**
+ * A utility object for resolving settings through the active profile and validating them.
+ */
+const ConfigProfiles = {
+  // Settings that belong to the script or the user, not to a profile.
+  RESERVED_KEYS: ['CONFIG_PROFILES', 'ACTIVE_PROFILE'],
+  // Whole-number settings and their allowed ranges (max null for no upper bound).
+  INTEGER_RANGES: {
+    DAILY_TRIGGER_HOUR: [0, 23],
+    WEEKLY_DIGEST_HOUR: [0, 23],
+    WEEKLY_DIGEST_DAY: [0, 6],
+    LOOKAHEAD_DAYS: [0, 31],
+    INBOX_FULL_SCAN_DAYS: [0, 365],
+    NOTIFY_DEDUPE_DAYS: [0, 365],
+    MAX_STALE_LISTS: [0, null],
+    ARCHIVE_RETENTION_DAYS: [0, null],
+    AGING_TAG_AFTER: [0, null],
+    AGING_SOMEDAY_AFTER: [0, null],
+    AGING_ESCALATE_AFTER: [0, null],
+    CAPTURE_MAX_THREADS: [1, 500],
+    EXECUTION_TIMEOUT_SECONDS: [1, 360],
+    MAX_RETRIES: [0, 10],
+    RETRY_BASE_DELAY_MS: [0, null],
+    RETRY_MAX_DELAY_MS: [0, null],
+    CONTINUATION_DELAY_MINUTES: [1, 60],
+    MAX_CONTINUATIONS: [0, null],
+  },
+  BOOLEAN_KEYS: ['AUTO_MOVE_DUE_TASKS', 'ADD_SUMMARY_TASK', 'TRACK_ROLLOVER_COUNT', 'ARCHIVE_DELETED_LISTS', 'DRY_RUN', 'DRY_RUN_EMAIL_PLAN'],
+  cache: { raw: null, profiles: {} }, // The parsed CONFIG_PROFILES, reparsed when it changes.
+  snapshot: null, // The user and script properties, read once per run (see begin()).
+
+  /**
+   * Reads the user and script properties once, so that the settings of a run are resolved from
+   * memory instead of with several property reads per lookup. Called at the start of every run.
+   */
+  begin() {
+    this.snapshot = {
+      user: PropertiesService.getUserProperties().getProperties(),
+      script: PropertiesService.getScriptProperties().getProperties(),
+    };
+  },
+
+  /**
+   * Drops the snapshot, so that later lookups read the properties again. Called when a run ends,
+   * however it ends.
+   */
+  end() {
+    this.snapshot = null;
+  },
+
+  /**
+   * Looks a setting up in the user properties, the active profile and the script properties, in
+   * that order.
+   * @param {string} key The name of the setting.
+   * @returns {string|null} The value, or null if it is not set anywhere.
+   */
+  get(key) {
+    const userValue = this.read('user', key);
+    if (userValue !== null) return userValue;
+    if (!this.RESERVED_KEYS.includes(key)) {
+      const profile = this.getActiveProfile();
+      if (profile && profile[key] !== undefined && profile[key] !== null) return String(profile[key]);
+    }
+    return this.read('script', key);
+  },
+
+  /**
+   * Reads a property, from the run's snapshot while a run is active.
+   * @param {string} scope "user" or "script".
+   * @param {string} key The name of the property.
+   * @returns {string|null} The value, or null if it is not set.
+   */
+  read(scope, key) {
+    if (this.snapshot) {
+      const values = this.snapshot[scope];
+      return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+    }
+    return this.getService(scope).getProperty(key);
+  },
+
+  /**
+   * Stores a value the script caches, in the store returned by getStoreScope().
+   * @param {string} key The name of the property.
+   * @param {string} value The value.
+   */
+  set(key, value) {
+    const scope = this.getStoreScope();
+    this.getService(scope).setProperty(key, value);
+    if (this.snapshot) {
+      this.snapshot[scope][key] = String(value);
+    }
+  },
+
+  /**
+   * Deletes a value the script caches from the store returned by getStoreScope().
+   * @param {string} key The name of the property.
+   */
+  remove(key) {
+    const scope = this.getStoreScope();
+    this.getService(scope).deleteProperty(key);
+    if (this.snapshot) {
+      delete this.snapshot[scope][key];
+    }
+  },
+
+  /**
+   * Returns the store the script writes its cached values to: the user properties while a
+   * profile is active, so that each person keeps their own, and the script properties otherwise.
+   * @returns {string} "user" or "script".
+   */
+  getStoreScope() {
+    return this.getActiveProfileName() ? 'user' : 'script';
+  },
+
+  /**
+   * @param {string} scope "user" or "script".
+   * @returns {GoogleAppsScript.Properties.Properties} The properties of that scope.
+   */
+  getService(scope) {
+    return scope === 'user'
+      ? PropertiesService.getUserProperties()
+      : PropertiesService.getScriptProperties();
+  },
+
+  /**
+   * Parses CONFIG_PROFILES.
+   * @returns {Object<string, object>} The profiles by name; empty if none are configured.
+   * @throws {Error} If CONFIG_PROFILES is not a JSON object of objects.
+   */
+  getProfiles() {
+    const raw = this.get('CONFIG_PROFILES');
+    if (raw === this.cache.raw) return this.cache.profiles;
+    let profiles = {};
+    if (raw) {
+      try {
+        profiles = JSON.parse(raw);
+      } catch (e) {
+        throw new Error(`CONFIG_PROFILES is not valid JSON. Error: ${e.message}`);
+      }
+      const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (!isObject(profiles) || !Object.keys(profiles).every(name => isObject(profiles[name]))) {
+        throw new Error('CONFIG_PROFILES must be a JSON object of profiles, e.g. {"alice": {"DAILY_LIST_PREFIX": "[Day]"}}.');
+      }
+    }
+    this.cache = { raw: raw, profiles: profiles };
+    return profiles;
+  },
+
+  /**
+   * @returns {string|null} The name of the active profile, or null if none is selected.
+   */
+  getActiveProfileName() {
+    return this.get('ACTIVE_PROFILE') || null;
+  },
+
+  /**
+   * Returns the settings of the active profile.
+   * @returns {object|null} The settings, or null if no profile is active.
+   * @throws {Error} If the active profile does not exist.
+   */
+  getActiveProfile() {
+    const name = this.getActiveProfileName();
+    if (!name) return null;
+    const profile = this.getProfiles()[name];
+    if (!profile) {
+      throw new Error(`ACTIVE_PROFILE is "${name}", but CONFIG_PROFILES has no such profile.`);
+    }
+    return profile;
+  },
+
+  /**
+   * Checks the resolved settings: the profiles themselves, whole numbers and their ranges,
+   * booleans, the time zone, and the settings other modules parse (patterns, series, rules and
+   * the recurring task policy), whose own error messages are reported.
+   * @returns {{profile: (string|null), errors: Array<string>, warnings: Array<string>}}
+   */
+  validate() {
+    const report = { profile: null, errors: [], warnings: [] };
+    const check = (fn) => {
+      try {
+        fn();
+      } catch (e) {
+        report.errors.push(e.message);
+      }
+    };
+
+    check(() => {
+      report.profile = this.getActiveProfileName();
+      this.getActiveProfile();
+    });
+    if (report.errors.length) return report; // Nothing else can be resolved.
+    const profiles = this.getProfiles();
+    for (const name of Object.keys(profiles)) {
+      for (const key of Object.keys(profiles[name])) {
+        if (this.RESERVED_KEYS.includes(key)) {
+          report.warnings.push(`Profile "${name}" sets ${key}, which is ignored in a profile.`);
+        }
+      }
+    }
+
+    for (const key of Object.keys(this.INTEGER_RANGES)) {
+      const value = this.get(key);
+      if (value === null || value === '') continue;
+      const [min, max] = this.INTEGER_RANGES[key];
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || (max !== null && number > max)) {
+        const range = max === null ? `${min} or more` : `from ${min} to ${max}`;
+        report.errors.push(`${key} is "${value}". Use a whole number ${range}.`);
+      }
+    }
+    for (const key of this.BOOLEAN_KEYS) {
+      const value = this.get(key);
+      if (value !== null && value !== '' && value !== 'true' && value !== 'false') {
+        report.errors.push(`${key} is "${value}". Use true or false.`);
+      }
+    }
+    const timeZone = this.get('LOCAL_TIME_ZONE');
+    if (timeZone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+      } catch (e) {
+        report.errors.push(`LOCAL_TIME_ZONE is "${timeZone}", which is not an IANA time zone such as "America/New_York".`);
+      }
+    }
+    if (!getLogSheetId()) {
+      report.warnings.push('LOG_SHEET_ID is not set. Run setup() to create the log sheet.');
+    }
+
+    check(() => ListGuard.getPatterns());
+    check(() => RecurringTasks.getPolicy());
+    check(() => ListNaming.getFormat());
+    check(() => ListSeries.getSeries());
+    check(() => DigestMailer.getSchedules());
+    check(() => EmailCapture.getSettings());
+    check(() => Notifier.getSettings());
+    if (this.get('INBOX_RULES')) {
+      check(() => InboxRules.getRules());
+    }
+    // Also checks a "Templates" tab, so that a typo there fails the run before a list is created.
+    check(() => DailyTemplates.getTemplates());
+    return report;
+  },
+
+  /**
+   * Stops a run whose configuration has errors, before it changes anything.
+   * @throws {Error} With every error of the report.
+   */
+  assertValid() {
+    const report = this.validate();
+    if (report.errors.length) {
+      throw new Error(report.errors.join(' '));
+    }
+  },
+};
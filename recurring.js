@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Handling of recurring tasks (RECURRING_TASK_POLICY).
+ * An incomplete recurring task in a stale list is a missed instance: its next instance appears on
+ * its own, and the API refuses to move it natively, so a rollover would copy it as a one-off and
+ * leave a duplicate. The policy decides what happens to missed instances instead:
+ * - "drop": the missed instance is not rolled over and is deleted with its list;
+ * - "keep-one": it is rolled over as a one-off copy, unless a copy of it is already waiting there;
+ * - "today": it is moved to today's list instead of the rollover destination.
+ * Recurring tasks never get a Rollover Count, since a recurring chore is not procrastinated.
+ * @see /@documentation/design.md#52-rolloverprocesstodaytitle-starttime-stats
+ */
+
+/**
+ * A utility object for the recurring task policy and its statistics.
+ */
+const RecurringTasks = {
+  POLICIES: ['drop', 'keep-one', 'today'],
+
+  /**
+   * Reads and validates RECURRING_TASK_POLICY.
+   * @returns {string} One of POLICIES.
+   * @throws {Error} If the policy is unknown.
+   */
+  getPolicy() {
+    const policy = getRecurringTaskPolicy();
+    if (!this.POLICIES.includes(policy)) {
+      throw new Error(`RECURRING_TASK_POLICY is "${policy}". Use one of: ${this.POLICIES.join(', ')}.`);
+    }
+    return policy;
+  },
+
+  /**
+   * Checks whether a task is an instance of a recurring task.
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The task.
+   * @returns {boolean}
+   */
+  isRecurring(task) {
+    return Boolean(task.recurrence);
+  },
+
+  /**
+   * Decides what happens to a missed recurring instance in a stale list.
+   * @param {string} policy The policy, from getPolicy().
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The recurring task.
+   * @param {Array<string>} waitingTitles The titles of the incomplete tasks already in the destination.
+   * @returns {string} "drop", "destination" or "today".
+   */
+  decide(policy, task, waitingTitles) {
+    if (policy === 'drop') return 'drop';
+    if (policy === 'today') return 'today';
+    return waitingTitles.includes(task.title) ? 'drop' : 'destination';
+  },
+
+  /**
+   * Returns the recurring task statistics of the run, creating them on first use.
+   * They are logged as JSON in the "Recurring" column of the "Runs" sheet.
+   * @param {object} stats The statistics object of the run.
+   * @returns {{rolledOver: number, dropped: number, movedToToday: number}}
+   */
+  getStats(stats) {
+    if (!stats.recurring) {
+      stats.recurring = { rolledOver: 0, dropped: 0, movedToToday: 0 };
+    }
+    return stats.recurring;
+  },
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Declarative rules for routing Inbox tasks.
+ * processInboxTasks checks each top-level Inbox task against the rules in order; the first rule
+ * whose conditions all match decides whether the task moves to today's list, moves to a named list
+ * or stays in the Inbox. Rules come from the INBOX_RULES script property or, if that is unset,
+ * from a "Rules" tab in the log sheet. Without either, the single default rule moves
+ * non-recurring tasks due today, which is the original behaviour.
+ * @see /@documentation/design.md#53-processinboxtaskstodaylistid-inboxid-stats
+ */
+
+/**
+ * A utility object for loading, validating and evaluating the Inbox rules.
+ */
+const InboxRules = {
+  SHEET_NAME: 'Rules',
+  // The columns of the "Rules" tab, mapped to rule fields. Empty cells are ignored.
+  SHEET_COLUMNS: {
+    Name: 'name',
+    Title: 'title',
+    Notes: 'notes',
+    Due: 'due',
+    DueWithinDays: 'dueWithinDays',
+    MinRolloverCount: 'minRolloverCount',
+    MaxRolloverCount: 'maxRolloverCount',
+    MinAgeDays: 'minAgeDays',
+    MaxAgeDays: 'maxAgeDays',
+    HasEmailLink: 'hasEmailLink',
+    Recurring: 'recurring',
+    Action: 'action',
+    List: 'list',
+  },
+  DUE_VALUES: ['today', 'overdue', 'none', 'any'],
+  ACTIONS: ['today', 'list', 'keep'],
+  DEFAULT_RULES: [{ name: 'Due today', due: 'today', action: 'today' }],
+
+  /**
+   * Loads and validates the rules.
+   * @returns {Array<object>} The rules, in evaluation order, with their patterns compiled.
+   * @throws {Error} If a rule is not valid.
+   */
+  getRules() {
+    const value = getProperty('INBOX_RULES');
+    let rules;
+    if (value) {
+      try {
+        rules = JSON.parse(value);
+      } catch (e) {
+        throw new Error(`INBOX_RULES is not valid JSON. Error: ${e.message}`);
+      }
+      if (!Array.isArray(rules)) {
+        throw new Error('INBOX_RULES must be a JSON array of rules.');
+      }
+    } else {
+      rules = this.readSheet() || this.DEFAULT_RULES;
+    }
+    return rules.map((rule, i) => this.compile(rule, i));
+  },
+
+  /**
+   * Reads the rules from the "Rules" tab of the log sheet, one rule per row below the header.
+   * @returns {Array<object>|null} The rules, or null if there is no such tab or it has no rules.
+   */
+  readSheet() {
+    const sheetId = getLogSheetId();
+    if (!sheetId) return null;
+    const sheet = SpreadsheetApp.openById(sheetId).getSheetByName(this.SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) return null;
+
+    const [header, ...rows] = sheet.getDataRange().getValues();
+    const fields = header.map(column => this.SHEET_COLUMNS[String(column).trim()]);
+    const rules = rows
+      .filter(row => row.some(cell => cell !== ''))
+      .map(row => {
+        const rule = {};
+        row.forEach((cell, i) => {
+          if (fields[i] && cell !== '' && cell !== null) {
+            rule[fields[i]] = cell;
+          }
+        });
+        return rule;
+      });
+    return rules.length ? rules : null;
+  },
+
+  /**
+   * Validates a rule and normalises its fields.
+   * @param {object} rule The rule as configured.
+   * @param {number} index The position of the rule, for its default name and error messages.
+   * @returns {object} The rule with compiled patterns and typed values.
+   * @throws {Error} If the rule is not valid.
+   */
+  compile(rule, index) {
+    const name = String(rule.name || `Rule ${index + 1}`);
+    const fail = (message) => {
+      throw new Error(`Inbox rule "${name}": ${message}`);
+    };
+    const toRegExp = (field) => {
+      if (rule[field] === undefined) return null;
+      try {
+        return new RegExp(String(rule[field]), 'i');
+      } catch (e) {
+        return fail(`"${field}" is not a valid regular expression (${e.message}).`);
+      }
+    };
+    const toNumber = (field) => {
+      if (rule[field] === undefined) return null;
+      const number = Number(rule[field]);
+      return Number.isInteger(number) && number >= 0 ? number : fail(`"${field}" must be a whole number.`);
+    };
+    const toBoolean = (field) => {
+      if (rule[field] === undefined) return null;
+      const text = String(rule[field]).toLowerCase();
+      return text === 'true' ? true : text === 'false' ? false : fail(`"${field}" must be true or false.`);
+    };
+
+    const due = rule.due === undefined ? null : String(rule.due).toLowerCase();
+    if (due !== null && !this.DUE_VALUES.includes(due)) {
+      fail(`"due" must be one of: ${this.DUE_VALUES.join(', ')}.`);
+    }
+    const action = String(rule.action || '').toLowerCase();
+    if (!this.ACTIONS.includes(action)) {
+      fail(`"action" must be one of: ${this.ACTIONS.join(', ')}.`);
+    }
+    if (action === 'list' && !rule.list) {
+      fail('the "list" action needs the name of a list in "list".');
+    }
+
+    return {
+      name: name,
+      title: toRegExp('title'),
+      notes: toRegExp('notes'),
+      due: due,
+      dueWithinDays: toNumber('dueWithinDays'),
+      minRolloverCount: toNumber('minRolloverCount'),
+      maxRolloverCount: toNumber('maxRolloverCount'),
+      minAgeDays: toNumber('minAgeDays'),
+      maxAgeDays: toNumber('maxAgeDays'),
+      hasEmailLink: toBoolean('hasEmailLink'),
+      recurring: toBoolean('recurring'),
+      action: action,
+      list: action === 'list' ? String(rule.list) : null,
+    };
+  },
+
+  /**
+   * Finds the first rule that matches a task.
+   * @param {Array<object>} rules The compiled rules.
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The task.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {object|null} The matching rule, or null if no rule matches.
+   */
+  findRule(rules, task, todayKey) {
+    return rules.find(rule => this.matches(rule, task, todayKey)) || null;
+  },
+
+  /**
+   * Checks every condition of a rule against a task. Conditions that are not set always match,
+   * except that recurring tasks only match rules that ask for them with `recurring: true`.
+   * @param {object} rule The compiled rule.
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The task.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {boolean}
+   */
+  matches(rule, task, todayKey) {
+    // The due date is stored as midnight UTC of the due day, so its date part is the due day.
+    const dueKey = task.due ? task.due.substring(0, 10) : null;
+    const rolloverCount = this.getRolloverCount(task.notes);
+    const ageDays = TaskAging.getAgeDays(task.notes, todayKey);
+    const hasEmailLink = (task.links || []).some(link => link.type === 'email');
+
+    if (RecurringTasks.isRecurring(task) !== (rule.recurring === true)) return false;
+    if (rule.title && !rule.title.test(task.title || '')) return false;
+    if (rule.notes && !rule.notes.test(task.notes || '')) return false;
+    if (rule.due === 'today' && dueKey !== todayKey) return false;
+    if (rule.due === 'overdue' && !(dueKey && dueKey < todayKey)) return false;
+    if (rule.due === 'none' && dueKey) return false;
+    if (rule.due === 'any' && !dueKey) return false;
+    if (rule.dueWithinDays !== null &&
+        !(dueKey && dueKey >= todayKey && dueKey <= ListNaming.addDays(todayKey, rule.dueWithinDays))) return false;
+    if (rule.minRolloverCount !== null && rolloverCount < rule.minRolloverCount) return false;
+    if (rule.maxRolloverCount !== null && rolloverCount > rule.maxRolloverCount) return false;
+    if (rule.minAgeDays !== null && ageDays < rule.minAgeDays) return false;
+    if (rule.maxAgeDays !== null && ageDays > rule.maxAgeDays) return false;
+    if (rule.hasEmailLink !== null && hasEmailLink !== rule.hasEmailLink) return false;
+    return true;
+  },
+
+  /**
+   * Reads the rollover counter from a task's notes.
+   * @param {string} notes The task notes.
+   * @returns {number} The counter, or 0 if the notes carry none.
+   */
+  getRolloverCount(notes) {
+    const match = (notes || '').match(/Rollover Count: (\d+)/);
+    return match ? parseInt(match[1], 10) : 0;
+  },
+
+  /**
+   * Counts a match of a rule in the run's statistics.
+   * They are logged as JSON in the "RuleMatches" column of the "Runs" sheet.
+   * @param {object} stats The statistics object to be updated.
+   * @param {object} rule The rule that matched.
+   */
+  countMatch(stats, rule) {
+    stats.ruleMatches[rule.name] = (stats.ruleMatches[rule.name] || 0) + 1;
+  },
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Planning list series alongside the daily lists.
+ * A series is a configured list prefix with a planning period, e.g. a `[Week]` list titled by ISO
+ * week ("[Week] 2025-W28") or a `[Month]` list ("[Month] July 2025"). Like daily lists, the list
+ * of the current period is created when missing, and lists of past periods are rolled over into
+ * the Inbox or into the current period's list, and then deleted.
+ * @see /@documentation/design.md#52-rolloverprocesstodaytitle-starttime-stats
+ */
+
+/**
+ * A utility object for the configured list series (LIST_SERIES).
+ */
+const ListSeries = {
+  DESTINATIONS: ['inbox', 'next'], // Where the leftovers of a past period go: the Inbox, or the current period's list.
+
+  /**
+   * The supported periods. Each period identifies its lists by a key that sorts chronologically
+   * as a string, and converts between keys and the date part of the list titles.
+   */
+  PERIODS: {
+    week: {
+      /**
+       * @param {string} dateKey A date as yyyy-MM-dd.
+       * @returns {string} The ISO 8601 week of the date, e.g. "2025-W28".
+       */
+      getKey(dateKey) {
+        const date = ListNaming.toUtcNoon(dateKey);
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7) + 3); // The Thursday of the week.
+        const weekYear = date.getUTCFullYear();
+        const firstThursday = ListNaming.toUtcNoon(`${weekYear}-01-04`);
+        firstThursday.setUTCDate(firstThursday.getUTCDate() - ((firstThursday.getUTCDay() + 6) % 7) + 3);
+        const week = 1 + Math.round((date - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+        return `${weekYear}-W${String(week).padStart(2, '0')}`;
+      },
+      formatTitle(key) {
+        return key;
+      },
+      parseTitle(text) {
+        const match = /^(\d{4})-W(\d{2})$/i.exec(text);
+        return match && parseInt(match[2], 10) >= 1 && parseInt(match[2], 10) <= 53 ? `${match[1]}-W${match[2]}` : null;
+      },
+    },
+    month: {
+      /**
+       * @param {string} dateKey A date as yyyy-MM-dd.
+       * @returns {string} The month of the date, e.g. "2025-07".
+       */
+      getKey(dateKey) {
+        return dateKey.slice(0, 7);
+      },
+      formatTitle(key) {
+        return `${ListNaming.MONTH_NAMES[parseInt(key.slice(5, 7), 10) - 1]} ${key.slice(0, 4)}`;
+      },
+      parseTitle(text) {
+        const match = /^([A-Za-z]+) (\d{4})$/.exec(text);
+        if (!match) return null;
+        const month = ListNaming.MONTH_NAMES.findIndex(name => name.toLowerCase() === match[1].toLowerCase()) + 1;
+        return month ? `${match[2]}-${String(month).padStart(2, '0')}` : null;
+      },
+    },
+  },
+
+  /**
+   * Reads and validates LIST_SERIES.
+   * @returns {Array<{name: string, prefix: string, period: string, rolloverTo: string}>} The configured series.
+   * @throws {Error} If the configuration is not valid.
+   */
+  getSeries() {
+    const config = getListSeriesConfig();
+    if (!Array.isArray(config)) {
+      throw new Error('LIST_SERIES must be a JSON array of series, e.g. [{"name": "week", "prefix": "[Week]", "period": "week"}].');
+    }
+    const series = config.map(entry => ({
+      name: entry.name || entry.period,
+      prefix: entry.prefix,
+      period: entry.period,
+      rolloverTo: entry.rolloverTo || 'inbox',
+    }));
+
+    const prefixes = [getDailyListPrefix()];
+    const names = [];
+    for (const entry of series) {
+      if (!this.PERIODS[entry.period]) {
+        throw new Error(`LIST_SERIES: series "${entry.name}" has the unknown period "${entry.period}". Use one of: ${Object.keys(this.PERIODS).join(', ')}.`);
+      }
+      if (!entry.prefix) {
+        throw new Error(`LIST_SERIES: series "${entry.name}" needs a prefix, e.g. "[Week]".`);
+      }
+      if (!this.DESTINATIONS.includes(entry.rolloverTo)) {
+        throw new Error(`LIST_SERIES: series "${entry.name}" has the unknown rolloverTo "${entry.rolloverTo}". Use one of: ${this.DESTINATIONS.join(', ')}.`);
+      }
+      if (names.includes(entry.name) || entry.name === 'inbox') {
+        throw new Error(`LIST_SERIES: the series name "${entry.name}" is used more than once or is reserved.`);
+      }
+      if (prefixes.includes(entry.prefix)) {
+        throw new Error(`LIST_SERIES: the prefix "${entry.prefix}" of series "${entry.name}" is already in use.`);
+      }
+      names.push(entry.name);
+      prefixes.push(entry.prefix);
+    }
+
+    const destination = getDailyRolloverDestination();
+    if (destination !== 'inbox' && !names.includes(destination)) {
+      throw new Error(`DAILY_ROLLOVER_DESTINATION is "${destination}", but there is no such series in LIST_SERIES.`);
+    }
+    return series;
+  },
+
+  /**
+   * Builds the title of a series list.
+   * @param {object} series The series.
+   * @param {string} key The period key.
+   * @returns {string} The list title, e.g. "[Week] 2025-W28".
+   */
+  getListTitle(series, key) {
+    return `${series.prefix} ${this.PERIODS[series.period].formatTitle(key)}`;
+  },
+
+  /**
+   * Reads the period of a series list from its title.
+   * @param {object} series The series.
+   * @param {string} title The list title.
+   * @returns {string|null|undefined} The period key, null if the title has the series prefix but
+   *     an unreadable period, or undefined if the list does not belong to the series.
+   */
+  parseListTitle(series, title) {
+    if (!title.startsWith(`${series.prefix} `)) return undefined;
+    return this.PERIODS[series.period].parseTitle(title.slice(series.prefix.length + 1).trim());
+  },
+
+  /**
+   * Creates the lists of the current periods that are missing, and finds the lists of past periods.
+   * @param {Array<object>} seriesList The configured series.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @param {Array<GoogleAppsScript.Tasks.Schema.TaskList>} allLists All task lists.
+   * @param {object} stats The statistics object to be updated.
+   * @returns {{currentListIds: Object<string, string>, staleLists: Array<{list: object, series: object}>}}
+   *     The ID of each series' current list by series name, and the stale series lists.
+   */
+  prepare(seriesList, todayKey, allLists, stats) {
+    const currentListIds = {};
+    const staleLists = [];
+    const unreadableTitles = [];
+
+    for (const series of seriesList) {
+      const currentKey = this.PERIODS[series.period].getKey(todayKey);
+      let currentList = null;
+      for (const list of allLists) {
+        const key = this.parseListTitle(series, list.title);
+        if (key === undefined) continue;
+        if (key === null) {
+          unreadableTitles.push(list.title);
+        } else if (key < currentKey) {
+          staleLists.push({ list: list, series: series });
+        } else if (key === currentKey && !currentList) {
+          currentList = list;
+        }
+      }
+      if (!currentList) {
+        currentList = ListService.createList(this.getListTitle(series, currentKey));
+        this.getStats(stats, series.name).listCreated++;
+      }
+      currentListIds[series.name] = currentList.id;
+    }
+
+    if (unreadableTitles.length) {
+      addRunNote(stats, `Skipped series list(s) with an unreadable period: ${unreadableTitles.map(title => `"${title}"`).join(', ')}.`);
+    }
+    return { currentListIds, staleLists };
+  },
+
+  /**
+   * Returns the statistics of a series, creating them on first use.
+   * They are logged as JSON in the "Series" column of the "Runs" sheet.
+   * @param {object} stats The statistics object of the run.
+   * @param {string} name The series name.
+   * @returns {{listCreated: number, listDeleted: number, rolledOver: number, dailyAdds: number}}
+   */
+  getStats(stats, name) {
+    if (!stats.series[name]) {
+      stats.series[name] = { listCreated: 0, listDeleted: 0, rolledOver: 0, dailyAdds: 0 };
+    }
+    return stats.series[name];
+  },
+};
@@ -2,29 +2,221 @@
  * @fileoverview Service wrappers for the Google Tasks API.
  * This file encapsulates all direct API calls into logical modules (ListService, TaskService)
  * to abstract away the API's complexity and provide a clean interface for the main script logic.
+ * Every API call goes through RetryUtil, so transient errors are retried with back-off.
+ * Task lists are looked up through ListIndex, so a run reads the lists of the account only once.
  * @see /@documentation/design.md
  */
 
+/**
+ * Shared pagination for the list queries of the Tasks API.
+ * Every query that returns tasks or task lists goes through it, so no list is ever read partially.
+ */
+const Paginator = {
+  PAGE_SIZE: 100, // The largest page the Tasks API returns.
+
+  /**
+   * Fetches every page of a list query.
+   * @param {string} description A short name of the call for the logs, e.g. "Tasks.Tasks.list".
+   * @param {function(object): {items: Array<object>, nextPageToken: string}} fetchPage Fetches one page.
+   *     It receives the paging options (maxResults, and pageToken after the first page).
+   * @returns {Array<object>} The items of all pages, in order.
+   */
+  collect(description, fetchPage) {
+    let items = [];
+    let pageToken = null;
+    do {
+      const pageOptions = { maxResults: this.PAGE_SIZE };
+      if (pageToken) {
+        pageOptions.pageToken = pageToken;
+      }
+      const result = RetryUtil.call(description, () => fetchPage(pageOptions));
+      if (result.items) {
+        items = items.concat(result.items);
+      }
+      pageToken = result.nextPageToken;
+    } while (pageToken);
+    return items;
+  },
+};
+
+/**
+ * The cache of task lists behind ListService.
+ * During a run, the lists of the account are read once and kept up to date as the run creates and
+ * deletes lists. The IDs of the lists looked up by title are also stored, the Inbox in
+ * INBOX_LIST_ID and the others in LIST_INDEX, so that a lookup outside a run (the dashboard, the
+ * reports, an export) reads a single list instead of all of them. A stored ID is always checked
+ * against the list's current title, so a renamed or deleted list is simply looked up again.
+ */
+const ListIndex = {
+  PROPERTY_KEY: 'LIST_INDEX',
+  MAX_PROPERTY_LENGTH: 8500, // Script property values are limited to 9 KB.
+
+  active: false, // True during a run, while the listing below may be kept.
+  lists: null, // The lists of the account, once they have been read in this run.
+
+  /**
+   * Starts caching the lists for a run. Called at the start of every run.
+   */
+  begin() {
+    this.active = true;
+    this.lists = null;
+  },
+
+  /**
+   * Stops caching the lists. Called when a run ends, however it ends.
+   */
+  end() {
+    this.active = false;
+    this.lists = null;
+  },
+
+  /**
+   * Returns the cached lists of the run.
+   * @returns {Array<GoogleAppsScript.Tasks.Schema.TaskList>|null} A copy of the lists, or null
+   *     if no run is active or they have not been read yet.
+   */
+  getLists() {
+    return this.lists ? this.lists.slice() : null;
+  },
+
+  /**
+   * Keeps the lists that were just read for the rest of the run.
+   * @param {Array<GoogleAppsScript.Tasks.Schema.TaskList>} lists All lists of the account.
+   */
+  setLists(lists) {
+    if (this.active) {
+      this.lists = lists.slice();
+    }
+  },
+
+  /**
+   * Records a list created by the run.
+   * @param {GoogleAppsScript.Tasks.Schema.TaskList} list The new list.
+   */
+  added(list) {
+    if (this.lists) {
+      this.lists.push(list);
+    }
+  },
+
+  /**
+   * Forgets a deleted list, in the run's listing and in the stored IDs.
+   * @param {string} listId The ID of the deleted list.
+   */
+  removed(listId) {
+    if (this.lists) {
+      this.lists = this.lists.filter(list => list.id !== listId);
+    }
+    const ids = this.loadIds();
+    const titles = Object.keys(ids).filter(title => ids[title] === listId);
+    if (titles.length) {
+      titles.forEach(title => delete ids[title]);
+      this.saveIds(ids);
+    }
+  },
+
+  /**
+   * Returns the stored ID of a list title.
+   * @param {string} title The title of the list.
+   * @returns {string|null} The ID, or null if none is stored.
+   */
+  getId(title) {
+    if (title === getInboxListName()) {
+      return getInboxListId();
+    }
+    return this.loadIds()[title] || null;
+  },
+
+  /**
+   * Stores the ID a title was resolved to, or forgets the title if no list has it. Nothing is
+   * written in a dry run, or if the stored ID is already right.
+   * @param {string} title The title of the list.
+   * @param {string|null} listId The ID of the list, or null if there is none.
+   */
+  remember(title, listId) {
+    if (DryRunRecorder.isActive() || this.getId(title) === listId) {
+      return;
+    }
+    if (title === getInboxListName()) {
+      if (listId) {
+        setProperty('INBOX_LIST_ID', listId);
+      }
+      return;
+    }
+    const ids = this.loadIds();
+    if (listId) {
+      ids[title] = listId;
+    } else {
+      delete ids[title];
+    }
+    this.saveIds(ids);
+  },
+
+  /**
+   * Reads the stored title-to-ID map.
+   * @returns {Object<string, string>}
+   */
+  loadIds() {
+    const value = getProperty(this.PROPERTY_KEY);
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.warn(`Ignoring an unreadable ${this.PROPERTY_KEY}. Error: ${e.message}`);
+      return {};
+    }
+  },
+
+  /**
+   * Stores the title-to-ID map. A map that no longer fits is started afresh, since it is only a cache.
+   * @param {Object<string, string>} ids The map.
+   */
+  saveIds(ids) {
+    const value = JSON.stringify(ids);
+    setProperty(this.PROPERTY_KEY, value.length > this.MAX_PROPERTY_LENGTH ? '{}' : value);
+  },
+};
+
 /**
  * A service for interacting with Google Task Lists.
  */
 const ListService = {
   /**
-   * Retrieves all task lists from the user's account.
+   * Retrieves all task lists from the user's account. During a run, they are only read once
+   * (see ListIndex).
    * @returns {Array<GoogleAppsScript.Tasks.Schema.TaskList>} An array of TaskList objects. Returns an empty array on failure.
    */
   listAll() {
-    return Tasks.Tasklists.list().items || [];
+    const cached = ListIndex.getLists();
+    if (cached) {
+      return cached;
+    }
+    const lists = Paginator.collect('Tasks.Tasklists.list', pageOptions => Tasks.Tasklists.list(pageOptions));
+    ListIndex.setLists(lists);
+    return lists;
   },
 
   /**
-   * Finds a task list by its exact title.
+   * Finds a task list by its exact title. Outside a run, the stored ID of the title is tried
+   * first, so that only that list is read; all lists are read if it has none or it is out of date.
    * @param {string} title The title of the list to find.
    * @returns {GoogleAppsScript.Tasks.Schema.TaskList|null} The found list object, or null if not found.
    */
   getListByTitle(title) {
-    const lists = this.listAll();
-    return lists.find(list => list.title === title) || null;
+    const cachedId = ListIndex.active ? null : ListIndex.getId(title);
+    if (cachedId) {
+      try {
+        const list = RetryUtil.call('Tasks.Tasklists.get', () => Tasks.Tasklists.get(cachedId));
+        if (list.title === title) {
+          return list;
+        }
+      } catch (e) {
+        console.warn(`The stored ID of list "${title}" is out of date (${e.message}). Reading all lists.`);
+      }
+    }
+    const list = this.listAll().find(candidate => candidate.title === title) || null;
+    ListIndex.remember(title, list ? list.id : null);
+    return list;
   },
 
   /**
@@ -36,7 +228,9 @@ const ListService = {
     const taskListResource = {
       title: title
     };
-    return Tasks.Tasklists.insert(taskListResource);
+    const list = RetryUtil.call('Tasks.Tasklists.insert', () => Tasks.Tasklists.insert(taskListResource), { creates: true });
+    ListIndex.added(list);
+    return list;
   },
 
   /**
@@ -44,7 +238,8 @@ const ListService = {
    * @param {string} listId The ID of the list to delete.
    */
   deleteList(listId) {
-    Tasks.Tasklists.remove(listId);
+    RetryUtil.call('Tasks.Tasklists.remove', () => Tasks.Tasklists.remove(listId), { removes: true });
+    ListIndex.removed(listId);
   },
 };
 
@@ -52,14 +247,108 @@ const ListService = {
  * A service for interacting with individual Google Tasks.
  */
 const TaskService = {
+  // The query filters supported by listAllTasks, as defined by the Tasks API.
+  TASK_FILTERS: ['showCompleted', 'showHidden', 'showDeleted', 'dueMin', 'dueMax', 'completedMin', 'completedMax', 'updatedMin'],
+
+  /**
+   * Retrieves every task of a list that matches the filters, across all result pages.
+   * Without filters, the API defaults apply: completed tasks are included, hidden and deleted ones are not.
+   * @param {string} listId The ID of the list.
+   * @param {object} [filters]
+   * @param {boolean} [filters.showCompleted] Include completed tasks (API default: true).
+   * @param {boolean} [filters.showHidden] Include hidden tasks, e.g. tasks completed in the Tasks UI (API default: false).
+   * @param {boolean} [filters.showDeleted] Include deleted tasks (API default: false).
+   * @param {string} [filters.dueMin] Lower bound for the due date, as an RFC 3339 timestamp.
+   * @param {string} [filters.dueMax] Upper bound for the due date, as an RFC 3339 timestamp.
+   * @param {string} [filters.completedMin] Lower bound for the completion date, as an RFC 3339 timestamp.
+   * @param {string} [filters.completedMax] Upper bound for the completion date, as an RFC 3339 timestamp.
+   * @param {string} [filters.updatedMin] Lower bound for the last modification time, as an RFC 3339 timestamp.
+   * @returns {Array<GoogleAppsScript.Tasks.Schema.Task>} The matching tasks, parents before their subtasks.
+   */
+  listAllTasks(listId, filters = {}) {
+    const unknown = Object.keys(filters).filter(key => !this.TASK_FILTERS.includes(key));
+    if (unknown.length) {
+      throw new Error(`Unsupported task filter(s): ${unknown.join(', ')}`);
+    }
+    return Paginator.collect('Tasks.Tasks.list', pageOptions =>
+      Tasks.Tasks.list(listId, Object.assign({}, filters, pageOptions)));
+  },
+
   /**
-   * Retrieves all top-level, incomplete tasks from a specific list.
+   * Retrieves the incomplete tasks that head a task tree: top-level tasks, plus subtasks whose
+   * parent is already completed. Subtasks of an incomplete parent are not returned on their own,
+   * because they travel with their parent when it is moved.
    * @param {string} listId The ID of the list.
-   * @returns {Array<GoogleAppsScript.Tasks.Schema.Task>} An array of incomplete Task objects.
+   * @returns {Array<GoogleAppsScript.Tasks.Schema.Task>} An array of incomplete Task objects, in list order.
    */
   listIncompleteTasks(listId) {
-    const allTasks = Tasks.Tasks.list(listId).items || [];
-    return allTasks.filter(task => task.status === 'needsAction');
+    const allTasks = this.listAllTasks(listId, { showHidden: true });
+    const incompleteTasks = allTasks.filter(task => task.status === 'needsAction');
+    const incompleteIds = new Set(incompleteTasks.map(task => task.id));
+    const roots = incompleteTasks.filter(task => !task.parent || !incompleteIds.has(task.parent));
+    return this.sortByPosition(roots, allTasks);
+  },
+
+  /**
+   * Retrieves all subtasks of a task, including completed and hidden ones.
+   * @param {string} listId The ID of the list.
+   * @param {string} parentId The ID of the parent task.
+   * @returns {Array<GoogleAppsScript.Tasks.Schema.Task>} The subtasks, in sibling order.
+   */
+  listSubtasks(listId, parentId) {
+    const allTasks = this.listAllTasks(listId, { showHidden: true });
+    return this.sortByPosition(allTasks.filter(task => task.parent === parentId), allTasks);
+  },
+
+  /**
+   * Sorts tasks into the order they appear in their list: by the position of their top-level
+   * ancestor first, then by their own position.
+   * @param {Array<GoogleAppsScript.Tasks.Schema.Task>} tasks The tasks to sort.
+   * @param {Array<GoogleAppsScript.Tasks.Schema.Task>} allTasks All tasks of the list, to look up parents.
+   * @returns {Array<GoogleAppsScript.Tasks.Schema.Task>} A new, sorted array.
+   */
+  sortByPosition(tasks, allTasks) {
+    const byId = new Map(allTasks.map(task => [task.id, task]));
+    const sortKey = (task) => {
+      const parent = task.parent && byId.get(task.parent);
+      return parent ? `${parent.position || ''}/${task.position || ''}` : `${task.position || ''}/`;
+    };
+    return tasks.slice().sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0));
+  },
+
+  /**
+   * Inserts a new task, by default at the top of a list.
+   * @param {string} listId The ID of the list.
+   * @param {object} fields The fields of the new task, e.g. title and notes.
+   * @param {object} [options]
+   * @param {string} [options.parent] The ID of the parent task, to insert a subtask.
+   * @param {string} [options.previous] The ID of the sibling task to place it after.
+   * @returns {GoogleAppsScript.Tasks.Schema.Task} The created task.
+   */
+  insert(listId, fields, options = {}) {
+    const task = Object.assign(Tasks.newTask(), fields);
+    return RetryUtil.call('Tasks.Tasks.insert', () => Tasks.Tasks.insert(task, listId, options), { creates: true });
+  },
+
+  /**
+   * Updates some fields of a task, leaving the others unchanged.
+   * @param {string} listId The ID of the list containing the task.
+   * @param {string} taskId The ID of the task to update.
+   * @param {object} fields The fields to change, e.g. title and notes.
+   * @returns {GoogleAppsScript.Tasks.Schema.Task} The updated task.
+   */
+  patch(listId, taskId, fields) {
+    return RetryUtil.call('Tasks.Tasks.patch', () => Tasks.Tasks.patch(fields, listId, taskId));
+  },
+
+  /**
+   * Moves a top-level task to the top of its own list.
+   * @param {string} listId The ID of the list containing the task.
+   * @param {string} taskId The ID of the task.
+   * @returns {GoogleAppsScript.Tasks.Schema.Task} The moved task.
+   */
+  moveToTop(listId, taskId) {
+    return RetryUtil.call('Tasks.Tasks.move', () => Tasks.Tasks.move(listId, taskId));
   },
 
   /**
@@ -71,17 +360,117 @@ const TaskService = {
    */
   updateNotes(listId, taskId, newNotes) {
     const taskResource = { notes: newNotes };
-    return Tasks.Tasks.patch(taskResource, listId, taskId);
+    return RetryUtil.call('Tasks.Tasks.patch', () => Tasks.Tasks.patch(taskResource, listId, taskId));
   },
 
   /**
-   * Moves a task to a different list.
-   * If the task was created from an email in Gmail, it appends a link to the original email in the notes.
+   * Moves a task, together with its subtasks, to a different list.
+   * Uses the native Tasks `move` endpoint, which keeps the task's ID, links and subtasks.
+   * If the API refuses the move, the task tree is copied instead (see copyTree). A retryable or
+   * not-found error is rethrown instead, except that a retry that finds no task after a backend
+   * error returns the task from the destination, where the earlier attempt moved it.
    * @param {GoogleAppsScript.Tasks.Schema.Task} task The full task object to move.
    * @param {string} sourceListId The ID of the task's current list.
    * @param {string} destListId The ID of the target list.
+   * @param {object} [options]
+   * @param {string} [options.previous] The ID of the top-level task in the target list to place it after.
+   *     If omitted, the task is placed at the top of the target list.
+   * @returns {{task: GoogleAppsScript.Tasks.Schema.Task, issues: Array<string>}} The task in its new
+   *     list, and the reasons it could not be migrated losslessly (empty if it was).
+   * @throws {Error} If the move failed with a retryable or not-found error.
+   */
+  move(task, sourceListId, destListId, options = {}) {
+    const moveOptions = { destinationTasklist: destListId };
+    if (options.previous) {
+      moveOptions.previous = options.previous;
+    }
+
+    const issues = task.parent ? ['its parent task was completed, so it became a top-level task'] : [];
+    let attempts = 0;
+    try {
+      const movedTask = RetryUtil.call('Tasks.Tasks.move', () => {
+        attempts++;
+        return Tasks.Tasks.move(sourceListId, task.id, moveOptions);
+      });
+      return { task: movedTask, issues: issues };
+    } catch (e) {
+      // A backend error can come back after the move was applied; the retry then finds no task.
+      if (attempts > 1 && RetryUtil.isNotFound(e)) {
+        const movedTask = this.findMovedTask(task.id, destListId);
+        if (movedTask) {
+          console.warn(`Task "${task.title}" was already moved by an earlier attempt.`);
+          return { task: movedTask, issues: issues };
+        }
+      }
+      if (RetryUtil.isRetryable(e) || RetryUtil.isNotFound(e)) {
+        throw e;
+      }
+      console.warn(`Could not move task "${task.title}" natively (${e.message}). Copying it instead.`);
+      const result = this.copyTree(task, sourceListId, destListId, options);
+      result.issues.unshift(`it was copied instead of moved (${e.message}), so it has a new ID`);
+      return result;
+    }
+  },
+
+  /**
+   * Looks up a task that a native move may have put in another list. The move keeps its ID.
+   * @param {string} taskId The ID of the task.
+   * @param {string} listId The ID of the list it was moved to.
+   * @returns {GoogleAppsScript.Tasks.Schema.Task|null} The task, or null if it is not there.
+   */
+  findMovedTask(taskId, listId) {
+    try {
+      return RetryUtil.call('Tasks.Tasks.get', () => Tasks.Tasks.get(listId, taskId));
+    } catch (e) {
+      if (RetryUtil.isNotFound(e)) return null;
+      throw e;
+    }
+  },
+
+  /**
+   * Copies a task and all of its subtasks (including completed ones) to a different list,
+   * preserving their order, then removes the original tree.
+   * Links cannot be written through the API; an email link is preserved in the notes instead.
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The full task object to copy.
+   * @param {string} sourceListId The ID of the task's current list.
+   * @param {string} destListId The ID of the target list.
+   * @param {object} [options]
+   * @param {string} [options.previous] The ID of the top-level task in the target list to place it after.
+   * @returns {{task: GoogleAppsScript.Tasks.Schema.Task, issues: Array<string>}} The new task and
+   *     the reasons the copy is not lossless.
    */
-  move(task, sourceListId, destListId) {
+  copyTree(task, sourceListId, destListId, options = {}) {
+    const issues = [];
+    const subtasks = this.listSubtasks(sourceListId, task.id);
+
+    const insertOptions = options.previous ? { previous: options.previous } : {};
+    const newTask = RetryUtil.call('Tasks.Tasks.insert', () =>
+      Tasks.Tasks.insert(this.copyFields(task, issues), destListId, insertOptions), { creates: true });
+
+    let previousSubtaskId = null;
+    for (const subtask of subtasks) {
+      const subtaskOptions = { parent: newTask.id };
+      if (previousSubtaskId) {
+        subtaskOptions.previous = previousSubtaskId;
+      }
+      const newSubtask = RetryUtil.call('Tasks.Tasks.insert', () =>
+        Tasks.Tasks.insert(this.copyFields(subtask, issues), destListId, subtaskOptions), { creates: true });
+      previousSubtaskId = newSubtask.id;
+    }
+
+    // Removing the parent also removes its subtasks.
+    RetryUtil.call('Tasks.Tasks.remove', () => Tasks.Tasks.remove(sourceListId, task.id), { removes: true });
+    return { task: newTask, issues: issues };
+  },
+
+  /**
+   * Builds an insertable copy of a task with every writable field.
+   * If the task was created from an email in Gmail, it appends a link to the original email in the notes.
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The task to copy.
+   * @param {Array<string>} issues Collects the fields that could not be copied.
+   * @returns {GoogleAppsScript.Tasks.Schema.Task} The new task resource.
+   */
+  copyFields(task, issues) {
     const newTask = Tasks.newTask();
 
     let newTitle = task.title;
@@ -94,17 +483,24 @@ const TaskService = {
         newTitle += ' [from email]';
         newNotes += `\n\n---\nOriginal Email: ${emailLink}`;
       }
+      issues.push(`the email link of "${task.title}" was copied into its notes`);
+    }
+    const otherLinks = (task.links || []).filter(link => link.type !== 'email');
+    if (otherLinks.length) {
+      issues.push(`${otherLinks.length} link(s) of "${task.title}" could not be copied`);
     }
 
     newTask.title = newTitle;
     newTask.notes = newNotes;
-    
+    newTask.status = task.status;
+
     if (task.due) {
       newTask.due = task.due;
     }
-    
-    Tasks.Tasks.insert(newTask, destListId);
-    Tasks.Tasks.remove(sourceListId, task.id);
+    if (task.completed) {
+      newTask.completed = task.completed;
+    }
+    return newTask;
   },
 };
 
@@ -118,39 +514,26 @@ const CompletedTaskService = {
    * @returns {Array<GoogleAppsScript.Tasks.Schema.Task>} An array of completed Task objects.
    */
   listCompletedTasks(listId) {
-    let allTasks = [];
-    let pageToken = null;
     // Fetch ALL tasks, we will filter for completed ones in the script.
-    const options = {
-      maxResults: 100,
-      showHidden: true, // This is required to force the API to show all tasks.
-    };
-
-    do {
-      if (pageToken) {
-        options.pageToken = pageToken;
-      }
-      const result = Tasks.Tasks.list(listId, options);
-      if (result.items) {
-        allTasks = allTasks.concat(result.items);
-      }
-      pageToken = result.nextPageToken;
-    } while (pageToken);
+    // showHidden is required to force the API to show tasks completed in the Tasks UI.
+    const allTasks = TaskService.listAllTasks(listId, { showHidden: true });
 
     // Manually filter for completed tasks to bypass the unreliable API parameter.
     return allTasks.filter(task => task.status === 'completed');
   },
 
   /**
-   * Retrieves completed tasks from a list and formats them into a JSON object.
+   * Retrieves completed tasks from a list and formats them for the "Events" log.
    * @param {string} listId The ID of the list.
-   * @returns {object} A JSON object where keys are task titles and values are their completion timestamps.
+   * @returns {Array<{taskId: string, taskName: string, completed_timestamp: string}>} The completed tasks.
    */
   getCompletedTasksFromList(listId) {
-    const completedTasks = this.listCompletedTasks(listId);
+    // The summary task is bookkeeping of the script, not one of the user's tasks.
+    const completedTasks = this.listCompletedTasks(listId).filter(task => !SummaryTask.isSummaryTask(task));
     const formattedTasks = [];
     for (const task of completedTasks) {
       formattedTasks.push({
+        'taskId': task.id,
         'taskName': task.title,
         'completed_timestamp': task.completed,
       });
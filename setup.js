@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Installer for the script.
+ * `setup()` creates the logging spreadsheet, caches the Inbox list ID and installs the daily
+ * trigger and the report triggers; `uninstall()` removes the triggers and cached properties again. Both are idempotent
+ * and are meant to be run manually from the Apps Script editor.
+ * @see /README.md#installation
+ */
+
+/**
+ * Installs or repairs everything the daily run needs. Safe to run any number of times.
+ * Stops before changing anything if validateConfig() reports errors.
+ */
+function setup() {
+  const report = validateConfig();
+  if (report.errors.length) {
+    throw new Error(`The configuration has ${report.errors.length} error(s), see the log: ${report.errors.join(' ')}`);
+  }
+  const sheetUrl = Installer.ensureLogSheet();
+  const inboxId = Installer.ensureInboxListId();
+  Installer.ensureDailyTrigger();
+  Installer.ensureReportTriggers();
+
+  console.log(`Setup complete. Logging sheet: ${sheetUrl}`);
+  console.log(`Inbox list "${getInboxListName()}" has ID ${inboxId}.`);
+  console.log(`dailyRunner will run every day at ${getDailyTriggerHour()}:00 (${getLocalTimeZone()}).`);
+  console.log(`Scheduled reports: ${DigestMailer.getSchedules().join(', ') || 'none'}.`);
+}
+
+/**
+ * Removes the script's triggers and cached properties. The logging spreadsheet and all task
+ * lists are kept, so running setup() again restores the previous state.
+ */
+function uninstall() {
+  const removed = Installer.removeTriggers();
+  for (const key of Installer.CACHED_PROPERTIES) {
+    deleteProperty(key);
+  }
+  console.log(`Uninstall complete. Removed ${removed} trigger(s). The logging sheet was kept.`);
+}
+
+/**
+ * A utility object with the individual, idempotent installation steps.
+ */
+const Installer = {
+  LOG_SPREADSHEET_NAME: 'GTaskManager Log',
+  // Every function the script installs a trigger for.
+  TRIGGER_HANDLERS: ['dailyRunner', 'resumeDailyRunner', 'sendDailyRecap', 'sendWeeklyDigest', 'sendMonthlyReport'],
+  CACHED_PROPERTIES: ['INBOX_LIST_ID', 'LIST_INDEX', 'INBOX_SYNC_STATE', 'DAILY_TRIGGER_INSTALLED_HOUR', 'REPORT_TRIGGERS_INSTALLED', 'ROLLOVER_CHECKPOINT', 'NOTIFY_STATE'],
+
+  /**
+   * Creates the logging spreadsheet if LOG_SHEET_ID is unset, and makes sure its "Runs" tab exists.
+   * @returns {string} The URL of the logging spreadsheet.
+   * @throws {Error} If LOG_SHEET_ID is set but the spreadsheet cannot be opened.
+   */
+  ensureLogSheet() {
+    const sheetId = getLogSheetId();
+    let ss;
+    if (sheetId) {
+      try {
+        ss = SpreadsheetApp.openById(sheetId);
+      } catch (e) {
+        throw new Error(`LOG_SHEET_ID is set to "${sheetId}", but that spreadsheet cannot be opened. ` +
+          `Fix or delete the property and run setup again. Error: ${e.message}`);
+      }
+    } else {
+      ss = SpreadsheetApp.create(this.LOG_SPREADSHEET_NAME);
+      setProperty('LOG_SHEET_ID', ss.getId());
+      console.log(`Created logging spreadsheet "${this.LOG_SPREADSHEET_NAME}".`);
+    }
+    LoggingSheetUtil.setup();
+    return ss.getUrl();
+  },
+
+  /**
+   * Resolves INBOX_LIST_NAME to a list ID and caches it in INBOX_LIST_ID.
+   * The Inbox list is created if it does not exist yet.
+   * @returns {string} The ID of the Inbox list.
+   */
+  ensureInboxListId() {
+    const inboxName = getInboxListName();
+    let inboxList = ListService.getListByTitle(inboxName);
+    if (!inboxList) {
+      inboxList = ListService.createList(inboxName);
+      console.log(`Created Inbox list "${inboxName}".`);
+    }
+    setProperty('INBOX_LIST_ID', inboxList.id);
+    return inboxList.id;
+  },
+
+  /**
+   * Ensures exactly one dailyRunner trigger exists at DAILY_TRIGGER_HOUR.
+   * The installed hour is remembered, so a changed DAILY_TRIGGER_HOUR replaces the trigger.
+   * @returns {boolean} True if the trigger was (re)installed.
+   */
+  ensureDailyTrigger() {
+    const hour = getDailyTriggerHour();
+    const triggers = this.getTriggers('dailyRunner');
+    if (triggers.length === 1 && getProperty('DAILY_TRIGGER_INSTALLED_HOUR') === String(hour)) {
+      return false;
+    }
+
+    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    ScriptApp.newTrigger('dailyRunner')
+      .timeBased()
+      .everyDays(1)
+      .atHour(hour)
+      .inTimezone(getLocalTimeZone())
+      .create();
+    setProperty('DAILY_TRIGGER_INSTALLED_HOUR', String(hour));
+    console.log(`Installed the daily trigger for dailyRunner at ${hour}:00.`);
+    return true;
+  },
+
+  /**
+   * Ensures exactly one trigger exists for each report in REPORT_SCHEDULES, and none for the others.
+   * The daily recap and the monthly report (on the 1st) are sent at WEEKLY_DIGEST_HOUR, the weekly
+   * digest on WEEKLY_DIGEST_DAY at WEEKLY_DIGEST_HOUR. The installed schedule is remembered, so a
+   * changed property replaces the triggers.
+   * @returns {boolean} True if the triggers were (re)installed.
+   */
+  ensureReportTriggers() {
+    const schedules = DigestMailer.getSchedules();
+    const day = getWeeklyDigestDay();
+    const hour = getWeeklyDigestHour();
+    const installed = `${schedules.join(',')}@${day}:${hour}`;
+    const reports = Object.keys(DigestMailer.REPORTS);
+    const upToDate = reports.every(name =>
+      this.getTriggers(DigestMailer.REPORTS[name].handler).length === (schedules.includes(name) ? 1 : 0));
+    if (upToDate && getProperty('REPORT_TRIGGERS_INSTALLED') === installed) {
+      return false;
+    }
+
+    reports.forEach(name => this.getTriggers(DigestMailer.REPORTS[name].handler).forEach(trigger => ScriptApp.deleteTrigger(trigger)));
+    for (const name of schedules) {
+      const builder = ScriptApp.newTrigger(DigestMailer.REPORTS[name].handler).timeBased();
+      if (name === 'daily') {
+        builder.everyDays(1);
+      } else if (name === 'weekly') {
+        builder.onWeekDay(ScriptApp.WeekDay[ListNaming.DAY_NAMES[day].toUpperCase()]);
+      } else {
+        builder.onMonthDay(1);
+      }
+      builder.atHour(hour).inTimezone(getLocalTimeZone()).create();
+    }
+    setProperty('REPORT_TRIGGERS_INSTALLED', installed);
+    console.log(`Installed the report triggers: ${schedules.join(', ') || 'none'}.`);
+    return true;
+  },
+
+  /**
+   * Deletes every trigger the script has installed.
+   * @returns {number} The number of deleted triggers.
+   */
+  removeTriggers() {
+    let removed = 0;
+    for (const handler of this.TRIGGER_HANDLERS) {
+      for (const trigger of this.getTriggers(handler)) {
+        ScriptApp.deleteTrigger(trigger);
+        removed++;
+      }
+    }
+    return removed;
+  },
+
+  /**
+   * Finds the project triggers for a handler function.
+   * @param {string} handler The name of the handler function.
+   * @returns {Array<GoogleAppsScript.Script.Trigger>}
+   */
+  getTriggers(handler) {
+    return ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === handler);
+  },
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview The run-summary task (ADD_SUMMARY_TASK).
+ * After each run, a task at the top of today's list summarizes it: the tasks rolled over, the
+ * tasks moved from the Inbox, the most-procrastinated tasks and any pause or failure notes.
+ * The task is recognised by a marker in its notes, so reruns and continuations update it in
+ * place, and it is never rolled over or logged as a completed task.
+ * @see /@documentation/design.md#3-configuration-script-properties
+ */
+
+/**
+ * A utility object for writing and recognising the summary task.
+ */
+const SummaryTask = {
+  MARKER: '#gtaskmanager-summary', // Identifies the summary task; the last line of its notes.
+  TOP_COUNT: 5, // The number of most-procrastinated tasks listed.
+
+  /**
+   * Checks whether a task is a summary task.
+   * @param {GoogleAppsScript.Tasks.Schema.Task} task The task.
+   * @returns {boolean}
+   */
+  isSummaryTask(task) {
+    return Boolean(task.notes && task.notes.includes(this.MARKER));
+  },
+
+  /**
+   * Remembers a rolled-over task for the most-procrastinated section, keeping only the top ones.
+   * @param {object} stats The statistics object to be updated.
+   * @param {string} title The title of the task.
+   * @param {number} count The task's Rollover Count after this run.
+   */
+  recordRolloverCount(stats, title, count) {
+    stats.procrastinated.push({ title: title, count: count });
+    stats.procrastinated.sort((a, b) => b.count - a.count);
+    stats.procrastinated.splice(this.TOP_COUNT);
+  },
+
+  /**
+   * Creates or updates the summary task and pins it to the top of today's list. A summary that
+   * was checked off is reopened, so that the update is seen.
+   * @param {string} todayListId The ID of today's list.
+   * @param {object} stats The statistics object of the run.
+   * @param {string} [status] "paused" or "failed" for a run that did not complete.
+   */
+  upsert(todayListId, stats, status) {
+    const tasks = TaskService.listAllTasks(todayListId, { showHidden: true });
+    const existing = tasks.find(task => this.isSummaryTask(task));
+    const fields = { title: this.buildTitle(stats, status), notes: this.buildNotes(stats) };
+
+    if (!existing) {
+      TaskService.insert(todayListId, fields);
+      console.log('Added the summary task to today\'s list.');
+      return;
+    }
+    TaskService.patch(todayListId, existing.id, Object.assign({ status: 'needsAction', completed: null }, fields));
+    const topTask = TaskService.sortByPosition(tasks.filter(task => !task.parent), tasks)[0];
+    if (topTask.id !== existing.id) {
+      TaskService.moveToTop(todayListId, existing.id);
+    }
+    console.log('Updated the summary task in today\'s list.');
+  },
+
+  /**
+   * Builds the title of the summary task, from the totals of the first lines of its notes.
+   * @param {object} stats The statistics object of the run.
+   * @param {string} [status] "paused" or "failed" for a run that did not complete.
+   * @returns {string} E.g. "Run summary: 4 rolled over, 2 from Inbox".
+   */
+  buildTitle(stats, status) {
+    const title = `Run summary: ${stats.rolledOver} rolled over, ${stats.inboxMoves} from Inbox`;
+    return status ? `${title} (${status})` : title;
+  },
+
+  /**
+   * Builds the notes of the summary task, ending with the marker.
+   * @param {object} stats The statistics object of the run.
+   * @returns {string}
+   */
+  buildNotes(stats) {
+    const tz = getLocalTimeZone();
+    const lines = [
+      `Run started ${Utilities.formatDate(stats.timestamp, tz, 'MMMM d, yyyy HH:mm')}, updated ${Utilities.formatDate(new Date(), tz, 'HH:mm')}.`,
+      `Rolled over: ${stats.rolledOver} task(s) from ${stats.listDeleted} list(s), ${stats.inboxAdds} of them to the Inbox.`,
+      `Moved from the Inbox: ${stats.inboxMoves} task(s).`,
+    ];
+    if (stats.templates) {
+      const templates = stats.templates;
+      lines.push(`From templates: ${Object.keys(templates).map(name => `"${name}" ${templates[name]}`).join(', ')} task(s).`);
+    }
+    if (stats.captured) {
+      lines.push(`Captured from Gmail: ${stats.captured} task(s).`);
+    }
+    for (const name of Object.keys(stats.series || {})) {
+      const series = stats.series[name];
+      lines.push(`Series "${name}": ${series.rolledOver} rolled over, ${series.dailyAdds} daily task(s) received.`);
+    }
+    if (stats.recurring) {
+      const recurring = stats.recurring;
+      lines.push(`Missed recurring tasks: ${recurring.rolledOver} rolled over, ${recurring.movedToToday} moved to today, ${recurring.dropped} dropped.`);
+    }
+    if (stats.aging) {
+      const aging = stats.aging;
+      lines.push(`Aging tasks: ${aging.tagged} tagged, ${aging.someday} moved to Someday, ${aging.escalated} escalated.`);
+    }
+    if (stats.procrastinated.length) {
+      lines.push('', 'Most procrastinated:');
+      stats.procrastinated.forEach(task => lines.push(`- ${task.title} (${task.count})`));
+    }
+    if (stats.notes) {
+      lines.push('', `Notes: ${stats.notes}`);
+    }
+    lines.push('', this.MARKER);
+    return lines.join('\n');
+  },
+};
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Incremental reads of the Inbox for processInboxTasks.
+ * A task the Inbox rules left in the Inbox stays there until it changes or a due-date condition
+ * of a rule starts or stops matching it. So, after a full read, a run only reads the Inbox tasks
+ * updated since the previous run (with `updatedMin`) and those due between the day of the previous
+ * run and the end of the furthest due window of the rules (with `dueMin` and `dueMax`). The Inbox
+ * is read in full again every INBOX_FULL_SCAN_DAYS days, when the rules or the Inbox change, when
+ * a rule depends on a task's age, and after a run that could not route every matched task.
+ * The state of the last read is stored in a property once the Inbox has been processed; it keeps
+ * the time the read started, so tasks changed while a run was processing them are read again.
+ * @see /@documentation/design.md#53-processinboxtaskstodaylistid-inboxid-stats
+ */
+
+/**
+ * A utility object for reading the Inbox tasks the rules need to see.
+ */
+const InboxSync = {
+  PROPERTY_KEY: 'INBOX_SYNC_STATE',
+  OVERLAP_MS: 60 * 1000, // Tasks updated shortly before the last read are read again, in case of clock skew.
+
+  /**
+   * Reads the state of the last read of the Inbox.
+   * @returns {{inboxId: string, updatedMin: string, dateKey: string, fullScanKey: (string|null), rules: string}|null}
+   *     The state, or null if there is none.
+   */
+  load() {
+    const value = getProperty(this.PROPERTY_KEY);
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.warn(`Ignoring an unreadable ${this.PROPERTY_KEY}. Error: ${e.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Reads the incomplete Inbox tasks the rules need to see: all of them on a full read, otherwise
+   * the ones changed or coming due since the last read. The kind of read is recorded in
+   * `stats.inboxScan`.
+   * @param {string} inboxId The ID of the Inbox list.
+   * @param {Array<object>} rules The compiled Inbox rules.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @param {object} stats The statistics object to be updated.
+   * @returns {{tasks: Array<GoogleAppsScript.Tasks.Schema.Task>, state: object}} The tasks in list
+   *     order, and the state to store with complete() once they have been processed.
+   */
+  scan(inboxId, rules, todayKey, stats) {
+    const startedAt = new Date();
+    const saved = this.load();
+    const signature = this.getSignature(rules);
+    const reason = this.getFullScanReason(saved, inboxId, signature, rules, todayKey);
+
+    let tasks;
+    if (reason) {
+      console.log(`Reading the whole Inbox: ${reason}.`);
+      tasks = TaskService.listAllTasks(inboxId, { showCompleted: false });
+    } else {
+      const byId = new Map();
+      const changed = TaskService.listAllTasks(inboxId, { showCompleted: false, updatedMin: saved.updatedMin });
+      changed.forEach(task => byId.set(task.id, task));
+      const window = this.getDueWindow(rules, saved.dateKey, todayKey);
+      if (window) {
+        const due = TaskService.listAllTasks(inboxId, { showCompleted: false, dueMin: window.dueMin, dueMax: window.dueMax });
+        due.forEach(task => byId.set(task.id, task));
+      }
+      const topLevel = Array.from(byId.values()).filter(task => !task.parent);
+      tasks = TaskService.sortByPosition(topLevel, topLevel);
+      console.log(`Read ${tasks.length} Inbox task(s) changed or coming due since ${saved.updatedMin}.`);
+    }
+    stats.inboxScan = reason ? 'full' : 'incremental';
+
+    return {
+      tasks: tasks,
+      state: {
+        inboxId: inboxId,
+        updatedMin: new Date(startedAt.getTime() - this.OVERLAP_MS).toISOString(),
+        dateKey: todayKey,
+        fullScanKey: reason ? todayKey : saved.fullScanKey,
+        rules: signature,
+      },
+    };
+  },
+
+  /**
+   * Decides whether the Inbox must be read in full.
+   * @param {object|null} saved The state of the last read.
+   * @param {string} inboxId The ID of the Inbox list.
+   * @param {string} signature The signature of the current rules.
+   * @param {Array<object>} rules The compiled Inbox rules.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {string|null} Why the Inbox is read in full, or null if an incremental read will do.
+   */
+  getFullScanReason(saved, inboxId, signature, rules, todayKey) {
+    const fullScanDays = getInboxFullScanDays();
+    if (!fullScanDays) return 'INBOX_FULL_SCAN_DAYS is 0';
+    if (!saved) return 'there is no earlier read';
+    if (saved.inboxId !== inboxId) return 'the Inbox list changed';
+    if (saved.rules !== signature) return 'the Inbox rules changed';
+    if (saved.dateKey > todayKey) return 'the last read is dated after today';
+    if (!saved.fullScanKey) return 'the last run could not route every task';
+    if (ListNaming.addDays(saved.fullScanKey, fullScanDays) <= todayKey) return `the last full read was on ${saved.fullScanKey}`;
+    if (rules.some(rule => rule.minAgeDays !== null || rule.maxAgeDays !== null)) return 'a rule depends on the age of tasks';
+    return null;
+  },
+
+  /**
+   * Computes the due dates of the tasks whose due-date conditions may have changed since the last
+   * read: from the day of the last read to the last day any rule looks ahead to.
+   * @param {Array<object>} rules The compiled Inbox rules.
+   * @param {string} sinceKey The day of the last read, as yyyy-MM-dd.
+   * @param {string} todayKey Today's date as yyyy-MM-dd.
+   * @returns {{dueMin: string, dueMax: string}|null} The bounds as RFC 3339 timestamps, or null if
+   *     no rule has a due-date condition that changes over time.
+   */
+  getDueWindow(rules, sinceKey, todayKey) {
+    let lastOffset = null;
+    for (const rule of rules) {
+      const offsets = [];
+      if (rule.due === 'today') offsets.push(0);
+      if (rule.due === 'overdue') offsets.push(-1);
+      if (rule.dueWithinDays !== null) offsets.push(rule.dueWithinDays);
+      offsets.forEach(offset => {
+        lastOffset = lastOffset === null ? offset : Math.max(lastOffset, offset);
+      });
+    }
+    if (lastOffset === null) return null;
+    const lastKey = ListNaming.addDays(todayKey, lastOffset);
+    if (lastKey < sinceKey) return null;
+    // Due dates are stored as midnight UTC of the due day.
+    return { dueMin: `${sinceKey}T00:00:00.000Z`, dueMax: `${lastKey}T23:59:59.999Z` };
+  },
+
+  /**
+   * Builds a short signature of the rules, to notice when they change.
+   * @param {Array<object>} rules The compiled Inbox rules.
+   * @returns {string}
+   */
+  getSignature(rules) {
+    const text = JSON.stringify(rules, (key, value) => (value instanceof RegExp ? value.source : value));
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return `${rules.length}:${(hash >>> 0).toString(36)}`;
+  },
+
+  /**
+   * Makes the next run read the whole Inbox, e.g. because a matched task could not be routed and
+   * would not be read again otherwise.
+   * @param {{state: object}} scan The result of scan().
+   */
+  requestFullScan(scan) {
+    scan.state.fullScanKey = null;
+  },
+
+  /**
+   * Stores the state of a read once its tasks have been processed. Nothing is stored in a dry run.
+   * @param {{state: object}} scan The result of scan().
+   */
+  complete(scan) {
+    if (DryRunRecorder.isActive()) {
+      return;
+    }
+    setProperty(this.PROPERTY_KEY, JSON.stringify(scan.state));
+  },
+};
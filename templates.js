@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Templates of standing tasks for new daily lists.
+ * When a run creates a daily list (today's, or one of the LOOKAHEAD_DAYS lists), the templates
+ * for its date are inserted into it. A template applies on every day, on weekdays or the weekend,
+ * on named weekdays or on specific dates, and holds tasks with optional notes, subtasks and a due
+ * date or time. Lists that already exist are never seeded again, so reruns do not duplicate tasks.
+ * Templates come from the DAILY_TEMPLATES script property or, if that is unset, from a
+ * "Templates" tab in the log sheet.
+ * @see /@documentation/design.md#52-rolloverprocesstodaytitle-starttime-stats
+ */
+
+/**
+ * A utility object for loading the templates and seeding daily lists with them.
+ */
+const DailyTemplates = {
+  SHEET_NAME: 'Templates',
+  // The columns of the "Templates" tab, one task per row. Rows with the same Template name form a
+  // template, and a row with Subtask set to TRUE is a subtask of the task above it.
+  SHEET_COLUMNS: {
+    Template: 'template',
+    On: 'on',
+    Title: 'title',
+    Notes: 'notes',
+    Due: 'due',
+    Subtask: 'subtask',
+  },
+  WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  DAY_GROUPS: {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6],
+  },
+
+  /**
+   * Loads and validates the templates.
+   * @returns {Array<{name: string, weekdays: Array<number>, dates: Array<string>, tasks: Array<object>}>}
+   * @throws {Error} If a template is not valid.
+   */
+  getTemplates() {
+    const value = getProperty('DAILY_TEMPLATES');
+    let templates;
+    if (value) {
+      try {
+        templates = JSON.parse(value);
+      } catch (e) {
+        throw new Error(`DAILY_TEMPLATES is not valid JSON. Error: ${e.message}`);
+      }
+      if (!Array.isArray(templates)) {
+        throw new Error('DAILY_TEMPLATES must be a JSON array of templates.');
+      }
+    } else {
+      templates = this.readSheet();
+    }
+    return templates.map((template, i) => this.compile(template, i));
+  },
+
+  /**
+   * Loads the templates for a run. The run has validated them already (see ConfigProfiles), so a
+   * failure here is a sheet that cannot be read; it is noted, and the lists are created without
+   * templates rather than failing the rollover.
+   * @param {object} stats The statistics object to be updated.
+   * @returns {Array<object>} The compiled templates; empty if they could not be loaded.
+   */
+  load(stats) {
+    try {
+      return this.getTemplates();
+    } catch (e) {
+      console.error(`Failed to load the daily templates. Error: ${e.message}`);
+      addRunNote(stats, `Created the new daily list(s) without templates: ${e.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Reads the templates from the "Templates" tab of the log sheet.
+   * @returns {Array<object>} The templates, in the order of their first row; empty if there is no such tab.
+   */
+  readSheet() {
+    const sheetId = getLogSheetId();
+    if (!sheetId) return [];
+    const sheet = SpreadsheetApp.openById(sheetId).getSheetByName(this.SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    const [header, ...rows] = sheet.getDataRange().getValues();
+    const fields = header.map(column => this.SHEET_COLUMNS[String(column).trim()]);
+    const templates = [];
+    rows.filter(row => row.some(cell => cell !== '')).forEach(row => {
+      const values = {};
+      row.forEach((cell, i) => {
+        if (fields[i] && cell !== '' && cell !== null) values[fields[i]] = cell;
+      });
+      const name = String(values.template || `Template ${templates.length + 1}`);
+      let template = templates.find(entry => entry.name === name);
+      if (!template) {
+        template = { name: name, tasks: [] };
+        templates.push(template);
+      }
+      if (values.on !== undefined && template.on === undefined) template.on = values.on;
+      // A time typed into a cell is read back as a Date.
+      const due = values.due instanceof Date ? Utilities.formatDate(values.due, getLocalTimeZone(), 'HH:mm') : values.due;
+      const task = { title: values.title, notes: values.notes, due: due };
+      const parent = template.tasks[template.tasks.length - 1];
+      if ((values.subtask === true || String(values.subtask).toLowerCase() === 'true') && parent) {
+        parent.subtasks = (parent.subtasks || []).concat(task);
+      } else {
+        template.tasks.push(task);
+      }
+    });
+    return templates;
+  },
+
+  /**
+   * Validates a template and normalises its fields.
+   * @param {object} template The template as configured: `{name, on, tasks}`, where `on` is a
+   *     comma-separated string or an array of "daily", "weekdays", "weekends", weekday names
+   *     ("mon", "Tuesday") and dates (yyyy-MM-dd), and each task is `{title, notes, due, subtasks}`.
+   * @param {number} index The position of the template, for its default name and error messages.
+   * @returns {{name: string, weekdays: Array<number>, dates: Array<string>, tasks: Array<object>}}
+   * @throws {Error} If the template is not valid.
+   */
+  compile(template, index) {
+    const name = String(template.name || `Template ${index + 1}`);
+    const fail = (message) => {
+      throw new Error(`Template "${name}": ${message}`);
+    };
+
+    const on = Array.isArray(template.on) ? template.on : String(template.on || '').split(',');
+    const weekdays = new Set();
+    const dates = [];
+    for (const entry of on.map(value => String(value).trim().toLowerCase()).filter(value => value)) {
+      const group = this.DAY_GROUPS[entry] || this.DAY_GROUPS[`${entry}s`];
+      const weekday = this.WEEKDAYS.findIndex(day => entry.length >= 3 && day.startsWith(entry));
+      if (group) {
+        group.forEach(day => weekdays.add(day));
+      } else if (/^\d{4}-\d{2}-\d{2}$/.test(entry)) {
+        dates.push(entry);
+      } else if (weekday >= 0) {
+        weekdays.add(weekday);
+      } else {
+        fail(`"${entry}" in "on" is not "daily", "weekdays", "weekends", a weekday or a date (yyyy-MM-dd).`);
+      }
+    }
+    if (!weekdays.size && !dates.length) {
+      fail('"on" must name the days it applies to, e.g. "weekdays" or "mon, fri".');
+    }
+    if (!Array.isArray(template.tasks) || !template.tasks.length) {
+      fail('"tasks" must be a non-empty array.');
+    }
+
+    const toTask = (task) => {
+      if (!task || !String(task.title || '').trim()) fail('every task needs a "title".');
+      const due = task.due === undefined || task.due === null || task.due === '' ? null : String(task.due).trim().toLowerCase();
+      const time = due !== null && due !== 'today' ? due.match(/^(\d{1,2}):(\d{2})$/) : null;
+      if (due !== null && due !== 'today' && !(time && Number(time[1]) <= 23 && Number(time[2]) <= 59)) {
+        fail(`the "due" of "${task.title}" must be "today" or a time from "00:00" to "23:59", such as "09:30".`);
+      }
+      return {
+        title: String(task.title).trim(),
+        notes: task.notes ? String(task.notes) : '',
+        due: due,
+        subtasks: (task.subtasks || []).map(toTask),
+      };
+    };
+    return {
+      name: name,
+      weekdays: Array.from(weekdays).sort(),
+      dates: dates,
+      tasks: template.tasks.map(toTask),
+    };
+  },
+
+  /**
+   * Checks whether a template applies on a date.
+   * @param {object} template The compiled template.
+   * @param {string} dateKey The date as yyyy-MM-dd.
+   * @returns {boolean}
+   */
+  matches(template, dateKey) {
+    return template.dates.includes(dateKey) || template.weekdays.includes(ListNaming.toUtcNoon(dateKey).getUTCDay());
+  },
+
+  /**
+   * Builds the fields of a task from a template task. The Tasks API only stores the due date, so
+   * a due time is written at the top of the notes.
+   * @param {object} task The template task.
+   * @param {string} dateKey The date of the list, as yyyy-MM-dd.
+   * @returns {{title: string, notes: string, due: (string|undefined)}}
+   */
+  toFields(task, dateKey) {
+    const fields = { title: task.title, notes: task.notes };
+    if (task.due) {
+      fields.due = `${dateKey}T00:00:00.000Z`; // The Tasks API stores due dates as midnight UTC.
+      if (task.due !== 'today') {
+        fields.notes = task.notes ? `Due at ${task.due}\n\n${task.notes}` : `Due at ${task.due}`;
+      }
+    }
+    return fields;
+  },
+
+  /**
+   * Seeds a newly created daily list with the templates for its date, in template order. Each
+   * task is logged as "templated", and the tasks are counted per template. A failure is noted,
+   * but does not fail the run.
+   * @param {Array<object>} templates The compiled templates.
+   * @param {string} listId The ID of the new list.
+   * @param {string} dateKey The date of the list, as yyyy-MM-dd.
+   * @param {object} stats The statistics object to be updated.
+   */
+  apply(templates, listId, dateKey, stats) {
+    const matching = templates.filter(template => this.matches(template, dateKey));
+    let previousId = null;
+    try {
+      for (const template of matching) {
+        for (const task of template.tasks) {
+          const created = TaskService.insert(listId, this.toFields(task, dateKey), previousId ? { previous: previousId } : {});
+          previousId = created.id;
+          let previousSubtaskId = null;
+          for (const subtask of task.subtasks) {
+            const options = { parent: created.id };
+            if (previousSubtaskId) options.previous = previousSubtaskId;
+            previousSubtaskId = TaskService.insert(listId, this.toFields(subtask, dateKey), options).id;
+          }
+          EventLog.record(stats, 'templated', { task: created, destListId: listId });
+        }
+        const counts = this.getStats(stats);
+        counts[template.name] = (counts[template.name] || 0) + template.tasks.length;
+      }
+    } catch (e) {
+      console.error(`Failed to seed the list for ${dateKey} from its templates. Error: ${e.message}`);
+      addRunNote(stats, `Could not add all template tasks to the list for ${dateKey}: ${e.message}`);
+    }
+  },
+
+  /**
+   * Returns the template statistics of the run, creating them on first use: the number of tasks
+   * each template added. They are logged as JSON in the "Templates" column of the "Runs" sheet.
+   * @param {object} stats The statistics object of the run.
+   * @returns {Object<string, number>}
+   */
+  getStats(stats) {
+    if (!stats.templates) {
+      stats.templates = {};
+    }
+    return stats.templates;
+  },
+};
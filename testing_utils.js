@@ -12,13 +12,8 @@
  */
 function createYesterdayListWithDummyData() {
   console.log('Starting dummy list creation for yesterday.');
-  const dailyListPrefix = getDailyListPrefix();
-  const tz = getLocalTimeZone();
-
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayTitle = Utilities.formatDate(yesterday, tz, 'MMMM d, yyyy');
-  const listTitle = `${dailyListPrefix} ${yesterdayTitle}`;
+  const yesterdayKey = ListNaming.addDays(ListNaming.getDateKey(new Date()), -1);
+  const listTitle = ListNaming.getListTitle(yesterdayKey);
 
   // Check if the list already exists to avoid duplicates.
   const existingList = ListService.getListByTitle(listTitle);
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { runHistory, withoutSummary } = require('./fixtures/scenarios');
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+const AGING = { AGING_TAG_AFTER: '2', AGING_ESCALATE_AFTER: '3', AGING_SOMEDAY_AFTER: '4' };
+
+/**
+ * A stale list with tasks that reach each aging threshold in the next rollover.
+ */
+function agingTasks(gas) {
+  gas.tasks.seedList('Inbox');
+  return gas.tasks.seedList('[Daily] July 9, 2025', [
+    { title: 'Fresh' },
+    { title: 'Second time', notes: 'Rollover Count: 1\nFirst Rollover: 2025-07-09' },
+    { title: 'Third time', notes: 'Rollover Count: 2\nFirst Rollover: 2025-07-05' },
+    { title: 'Gym', notes: 'Rollover Count: 3\nFirst Rollover: 2025-06-30' },
+  ]);
+}
+
+test('tasks are tagged, moved to Someday and escalated at their thresholds', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: AGING });
+  agingTasks(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Fresh', '[Aging] Second time', '[Aging] Third time']);
+  const [gym] = gas.tasks.tree('Someday');
+  assert.equal(gym.title, '[Aging] Gym');
+  assert.equal(gym.notes, 'Rollover Count: 4\nFirst Rollover: 2025-06-30');
+
+  const [email] = gas.gmail.sentWithSubject('2 task(s) to decide on');
+  assert.match(email.body, /- \[Aging\] Third time \(rolled over 3 times, for 5 days, now in "Inbox"\)\n- \[Aging\] Gym \(rolled over 4 times, for 10 days, now in "Someday"\)/);
+
+  const [run] = gas.rows('Runs');
+  assert.deepEqual(JSON.parse(run.Aging), { tagged: 3, someday: 1, escalated: 2 });
+  assert.equal(run.ListCreated, 2); // Today's list and Someday.
+  const events = gas.rows('Events');
+  const actions = (action) => events.filter(event => event.Action === action).map(event => event.TaskTitle);
+  assert.deepEqual(actions('tagged'), ['[Aging] Second time', '[Aging] Third time', '[Aging] Gym']);
+  assert.deepEqual(actions('moved-to-someday'), ['[Aging] Gym']);
+  assert.deepEqual(actions('escalated'), ['[Aging] Third time', '[Aging] Gym']);
+  assert.match(gas.tasks.tree('[Daily] July 10, 2025')[0].notes, /Aging tasks: 3 tagged, 1 moved to Someday, 2 escalated\./);
+});
+
+test('the escalation is emailed whatever the alert settings hold back, with a copy to the other channels', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { ...AGING, NOTIFY_CHANNELS: 'log', NOTIFY_MIN_SEVERITY: 'error', REPORT_RECIPIENT: 'team@example.com' },
+  });
+  agingTasks(gas);
+
+  gas.run('dailyRunner');
+
+  const [email] = gas.gmail.sentWithSubject('2 task(s) to decide on');
+  assert.equal(email.to, 'team@example.com');
+  const [logged] = gas.rows('Notifications');
+  assert.equal(logged.Source, 'aging');
+  assert.equal(logged.Severity, 'info');
+  assert.equal(JSON.parse(gas.rows('Runs')[0].Aging).escalated, 2);
+});
+
+test('without thresholds only the count and the first-rollover date are kept, and a dry run sends nothing', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  agingTasks(gas);
+  gas.run('dailyRunner');
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Fresh', 'Second time', 'Third time', 'Gym']);
+  assert.equal(gas.tasks.tree('Inbox')[0].notes, 'Rollover Count: 1\nFirst Rollover: 2025-07-10');
+  assert.equal(gas.tasks.findList('Someday'), undefined);
+  assert.equal(gas.rows('Runs')[0].Aging, '');
+
+  const dryRun = createSandbox({ now: '2025-07-10T02:00:00', properties: { ...AGING, DRY_RUN: 'true' } });
+  agingTasks(dryRun);
+  dryRun.run('dailyRunner');
+  assert.equal(dryRun.gmail.sentWithSubject('to decide on').length, 0);
+  const plan = dryRun.sheet('DryRun').dump().map(row => row[2]);
+  assert.ok(plan.includes('Would create list "Someday"'));
+  assert.ok(plan.includes('Would email "GTaskManager - 2 task(s) to decide on" listing "[Aging] Third time", "[Aging] Gym"'));
+});
+
+test('rules and the digest use the age of a task in days', () => {
+  const gas = createSandbox({
+    now: '2025-07-14T09:00:00',
+    properties: { INBOX_RULES: JSON.stringify([{ name: 'Old', minAgeDays: 10, action: 'list', list: 'Later' }]) },
+  });
+  runHistory(gas, { lastDay: '2025-07-14', inboxAdds: [1] });
+  gas.tasks.seedList('Inbox', [
+    { title: 'Ancient', notes: 'Rollover Count: 2\nFirst Rollover: 2025-06-30' },
+    { title: 'Recent', notes: 'Rollover Count: 2\nFirst Rollover: 2025-07-11' },
+  ]);
+  gas.tasks.seedList('Later');
+
+  gas.run('sendWeeklyDigest');
+  const [digest] = gas.gmail.sentWithSubject('Weekly Digest');
+  assert.match(digest.body, /1\. Ancient \(rolled over 2 times, for 14 days\)\n2\. Recent \(rolled over 2 times, for 3 days\)/);
+
+  gas.run('dailyRunner');
+  assert.deepEqual(titles(gas.tasks.tree('Later')), ['Ancient']);
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('Inbox'))), ['Recent']);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, standardRollover } = require('./fixtures/scenarios');
+
+const shape = (tree) => tree.map(task => ({
+  title: task.title,
+  status: task.status,
+  ...(task.children && task.children.length ? { children: shape(task.children) } : {}),
+}));
+
+test('the rollover snapshots each stale list before moving its tasks out', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const { staleListId } = standardRollover(gas);
+
+  gas.run('dailyRunner');
+
+  const [run] = gas.rows('Runs');
+  const [row] = gas.rows('Archive');
+  assert.deepEqual([row.RunId, row.ListId, row.ListTitle, row.TaskCount, row.Part], [run.RunId, staleListId, '[Daily] July 9, 2025', 8, 1]);
+  const snapshot = JSON.parse(row.Data);
+  assert.deepEqual(snapshot.tasks.map(task => [task.title, task.status]), [
+    ['Incomplete Task 1 (Simple)', 'needsAction'],
+    ['Incomplete Task 2 (With Notes)', 'needsAction'],
+    ['Completed Task', 'completed'],
+    ['Task with existing rollover', 'needsAction'],
+    ['Project with subtasks', 'needsAction'],
+    ['Step 1', 'completed'],
+    ['Step 2', 'needsAction'],
+    ['Step 3', 'needsAction'],
+  ]);
+  const project = snapshot.tasks.find(task => task.title === 'Project with subtasks');
+  assert.ok(snapshot.tasks.filter(task => task.title.startsWith('Step')).every(task => task.parent === project.id));
+});
+
+test('restoreList recreates a list and its task tree from a snapshot', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const listId = gas.tasks.seedList('Trip', [
+    { title: 'Book hotel', notes: 'Near the station.', due: due('2025-07-12') },
+    {
+      title: 'Pack',
+      children: [
+        { title: 'Passport', status: 'completed', completed: '2025-07-09T10:00:00.000Z' },
+        { title: 'Charger' },
+      ],
+    },
+    { title: 'Done already', status: 'completed', completed: '2025-07-08T10:00:00.000Z' },
+  ]);
+  const archive = gas.get('ListArchive');
+  archive.CHUNK_SIZE = 100; // Spread the snapshot over several rows.
+
+  assert.equal(archive.snapshot({ id: listId, title: 'Trip' }, { runId: 'run-1' }), true);
+  const rows = gas.rows('Archive');
+  assert.ok(rows.length > 1);
+  assert.deepEqual(rows.map(row => row.Part), rows.map((row, i) => i + 1));
+  gas.tasks.Tasklists.remove(listId);
+
+  const newListId = gas.run('restoreList', rows[0].SnapshotId);
+
+  assert.notEqual(newListId, listId);
+  const restored = gas.tasks.tree('Trip');
+  assert.deepEqual(shape(restored), [
+    { title: 'Book hotel', status: 'needsAction' },
+    {
+      title: 'Pack',
+      status: 'needsAction',
+      children: [{ title: 'Passport', status: 'completed' }, { title: 'Charger', status: 'needsAction' }],
+    },
+    { title: 'Done already', status: 'completed' },
+  ]);
+  assert.equal(restored[0].notes, 'Near the station.');
+  assert.equal(restored[0].due, due('2025-07-12'));
+  assert.throws(() => gas.run('restoreList', 'no-such-snapshot'), /There is no snapshot "no-such-snapshot"/);
+});
+
+test('a chunk that starts like a formula is stored and restored as text', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const listId = gas.tasks.seedList('Budget', [{ title: '=SUM(A1:A3)' }, { title: '-5 for coffee' }]);
+  const archive = gas.get('ListArchive');
+  archive.CHUNK_SIZE = 1; // Every character is a chunk of its own, "=" and "-" included.
+
+  assert.equal(archive.snapshot({ id: listId, title: 'Budget' }, { runId: 'run-1' }), true);
+  const rows = gas.rows('Archive');
+  assert.ok(rows.some(row => row.Data === '='));
+  gas.tasks.Tasklists.remove(listId);
+
+  gas.run('restoreList', rows[0].SnapshotId);
+
+  assert.deepEqual(gas.tasks.tree('Budget').map(task => task.title), ['=SUM(A1:A3)', '-5 for coffee']);
+});
+
+test('a list whose snapshot cannot be written is kept', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.get('ListArchive').getSheet = () => {
+    throw new Error('Service Spreadsheets failed');
+  };
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.tree('[Daily] July 9, 2025').length, 5); // Nothing was moved out.
+  assert.deepEqual(gas.tasks.tree('Inbox').map(task => task.title), ['Already in the Inbox']);
+  const [run] = gas.rows('Runs');
+  assert.equal(run.ListDeleted, 0);
+  assert.match(run.Notes, /Kept list "\[Daily\] July 9, 2025" because its snapshot could not be written: Service Spreadsheets failed/);
+});
+
+test('snapshots older than ARCHIVE_RETENTION_DAYS are pruned', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { ARCHIVE_RETENTION_DAYS: '7' } });
+  standardRollover(gas);
+  gas.run('dailyRunner');
+
+  gas.clock.set('2025-07-18T02:00:00');
+  gas.tasks.seedList('[Daily] July 17, 2025', [{ title: 'Later' }]);
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.rows('Archive').map(row => row.ListTitle), ['[Daily] July 10, 2025', '[Daily] July 17, 2025']);
+});
+
+test('a dry run and ARCHIVE_DELETED_LISTS=false write no snapshots', () => {
+  const dryRun = createSandbox({ now: '2025-07-10T02:00:00', properties: { DRY_RUN: 'true' } });
+  standardRollover(dryRun);
+  dryRun.run('dailyRunner');
+  assert.equal(dryRun.sheet('Archive'), null);
+  const plan = dryRun.sheet('DryRun').dump().map(row => row[2]);
+  assert.ok(plan.includes('Would snapshot list "[Daily] July 9, 2025" to the "Archive" sheet'));
+
+  const disabled = createSandbox({ now: '2025-07-10T02:00:00', properties: { ARCHIVE_DELETED_LISTS: 'false' } });
+  standardRollover(disabled);
+  disabled.run('dailyRunner');
+  assert.equal(disabled.sheet('Archive'), null);
+  assert.equal(disabled.rows('Runs')[0].ListDeleted, 1);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, withoutSummary } = require('./fixtures/scenarios');
+
+const CAPTURE = { CAPTURE_GMAIL_LABEL: 'To Task' };
+
+test('labeled threads become Inbox tasks once, and a due date in the subject is routed', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: CAPTURE });
+  gas.tasks.seedList('Inbox', [{ title: 'Already in the Inbox' }]);
+  const budget = gas.gmail.seedThread({
+    subject: 'Send the budget (due by Fri)',
+    body: 'Hi,\n\nplease send   the Q3 budget.',
+    from: 'Carol <carol@example.com>',
+    labels: ['To Task'],
+    date: '2025-07-09T10:00:00Z',
+  });
+  gas.gmail.seedThread({ subject: 'Call the plumber due today', labels: ['To Task'], date: '2025-07-09T12:00:00Z' });
+  gas.gmail.seedThread({ subject: 'Not labeled' });
+
+  gas.run('dailyRunner');
+
+  const inbox = withoutSummary(gas.tasks.tree('Inbox'));
+  assert.deepEqual(inbox.map(task => task.title), ['Send the budget', 'Already in the Inbox']);
+  assert.equal(inbox[0].due, due('2025-07-11'));
+  assert.equal(inbox[0].notes, 'Hi, please send the Q3 budget.\n\nFrom: Carol <carol@example.com>\n\n---\n' +
+    `Original Email: ${budget.getPermalink()}`);
+  assert.deepEqual(gas.tasks.tree('[Daily] July 10, 2025').map(task => task.title).filter(title => !title.startsWith('Run summary')),
+    ['Call the plumber']);
+  assert.deepEqual(budget.labelNames(), ['GTaskManager/Captured']);
+
+  const [run] = gas.rows('Runs');
+  assert.equal(run.Captured, 2);
+  assert.deepEqual(gas.rows('Events').filter(event => event.Action === 'captured').map(event => event.TaskTitle),
+    ['Send the budget', 'Call the plumber']);
+  assert.equal(gas.gmail.searches[0], 'label:to-task -label:gtaskmanager-captured');
+
+  gas.clock.set('2025-07-11T02:00:00');
+  budget.addLabel(gas.gmail.getUserLabelByName('To Task')); // Labeled again by mistake.
+  gas.run('dailyRunner');
+  assert.equal(gas.rows('Runs')[1].Captured, 0);
+});
+
+test('a thread whose task is already in the Inbox is only relabeled, and a dry run changes nothing', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { CAPTURE_GMAIL_QUERY: 'invoice' } });
+  const thread = gas.gmail.seedThread({ subject: 'Invoice 42 due 7/31' });
+  gas.tasks.seedList('Inbox', [{ title: 'Invoice 42', notes: `Original Email: ${thread.getPermalink()}` }]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(withoutSummary(gas.tasks.tree('Inbox')).map(task => task.title), ['Invoice 42']);
+  assert.deepEqual(thread.labelNames(), ['GTaskManager/Captured']);
+  assert.equal(gas.rows('Runs')[0].Captured, 0);
+
+  const dryRun = createSandbox({ now: '2025-07-10T02:00:00', properties: { CAPTURE_GMAIL_QUERY: 'invoice', DRY_RUN: 'true' } });
+  dryRun.tasks.seedList('Inbox');
+  const dryThread = dryRun.gmail.seedThread({ subject: 'Invoice 42 due 7/31' });
+  dryRun.run('dailyRunner');
+  const plan = dryRun.sheet('DryRun').dump().map(row => row[2]);
+  assert.ok(plan.includes('Would add task "Invoice 42" to "Inbox"'));
+  assert.ok(plan.includes('Would label the email "Invoice 42 due 7/31" as "GTaskManager/Captured"'));
+  assert.deepEqual(dryThread.labelNames(), []);
+  assert.equal(dryRun.gmail.getUserLabelByName('GTaskManager/Captured'), null);
+});
+
+test('a thread that could not be relabeled is not captured again once its task has left the Inbox', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: CAPTURE });
+  gas.tasks.seedList('Inbox');
+  const thread = gas.gmail.seedThread({ subject: 'Call the plumber due today', labels: ['To Task'] });
+  const addLabel = thread.addLabel;
+  thread.addLabel = () => { throw new Error('Service unavailable: Gmail'); };
+
+  const first = gas.run('runDailyRollover');
+
+  assert.ok(first.notes.includes('Could not capture the email "Call the plumber due today": Service unavailable: Gmail'));
+  assert.deepEqual(withoutSummary(gas.tasks.tree('Inbox')), []);
+  assert.deepEqual(gas.tasks.tree('[Daily] July 10, 2025').map(task => task.title).filter(title => !title.startsWith('Run summary')),
+    ['Call the plumber']);
+  assert.deepEqual(JSON.parse(gas.properties.getProperty('CAPTURE_PENDING_THREADS')), [thread.getId()]);
+
+  const today = gas.tasks.findList('[Daily] July 10, 2025');
+  const plumber = [...today.tasks.values()].find(task => task.title === 'Call the plumber');
+  gas.tasks.Tasks.patch({ status: 'completed' }, today.id, plumber.id); // Done, so it never comes back to the Inbox.
+  thread.addLabel = addLabel;
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+
+  assert.equal(gas.rows('Runs')[1].Captured, 0);
+  assert.deepEqual(withoutSummary(gas.tasks.tree('Inbox')), []);
+  assert.deepEqual(thread.labelNames(), ['GTaskManager/Captured']);
+  assert.equal(gas.properties.getProperty('CAPTURE_PENDING_THREADS'), null);
+});
+
+test('subjects name due dates in several ways', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' }); // A Thursday.
+  const parse = (subject) => {
+    const { title, dueKey } = gas.get('EmailCapture').parseSubject(subject, '2025-07-10');
+    return [title, dueKey];
+  };
+  assert.deepEqual(parse('Report due tomorrow'), ['Report', '2025-07-11']);
+  assert.deepEqual(parse('Due Thursday: team lunch'), ['team lunch', '2025-07-10']);
+  assert.deepEqual(parse('Taxes - due on Monday'), ['Taxes', '2025-07-14']);
+  assert.deepEqual(parse('Renew passport due 2025-09-01'), ['Renew passport', '2025-09-01']);
+  assert.deepEqual(parse('Dentist [due 1/15]'), ['Dentist', '2026-01-15']);
+  assert.deepEqual(parse('Party due July 20th, 2025'), ['Party', '2025-07-20']);
+  assert.deepEqual(parse('Bills due 2/30'), ['Bills due 2/30', null]);
+  assert.deepEqual(parse('Overdue invoices'), ['Overdue invoices', null]);
+  assert.deepEqual(parse(''), ['(no subject)', null]);
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { runHistory } = require('./fixtures/scenarios');
+
+/**
+ * Logs a completed task to the "Events" tab.
+ * @param {object} gas The sandbox.
+ * @param {string} title The task title.
+ * @param {string} completed The completion time, as an ISO timestamp.
+ */
+function logCompleted(gas, title, completed) {
+  const eventLog = gas.get('EventLog');
+  eventLog.append([eventLog.toRow({ action: 'completed', taskTitle: title, sourceList: '[Daily] July 9, 2025', timestamp: new Date(completed) })]);
+}
+
+test('the digest data counts rolled-over and completed tasks per day and compares with last week', () => {
+  // July 14, 2025 is a Monday, the default WEEKLY_DIGEST_DAY.
+  const gas = createSandbox({ now: '2025-07-14T09:00:00' });
+  runHistory(gas, { lastDay: '2025-07-14', inboxAdds: [50, 1, 1, 1, 1, 1, 1, 1, 1, 2, 3, 4, 5, 6] });
+  logCompleted(gas, 'Last week', '2025-07-05T18:00:00.000Z');
+  logCompleted(gas, 'Pay rent', '2025-07-08T18:00:00.000Z');
+  logCompleted(gas, 'Call Sam', '2025-07-08T20:00:00.000Z');
+  logCompleted(gas, 'Book flights', '2025-07-11T18:00:00.000Z');
+
+  const mailer = gas.get('DigestMailer');
+  const data = mailer.collectDigestData(mailer.getScheduledPeriod('weekly', new Date(gas.clock.now())));
+
+  assert.deepEqual([...data.days].map(day => [day.label, day.completed, day.rolledOver]), [
+    ['Tuesday, July 8', 2, 1],
+    ['Wednesday, July 9', 0, 2],
+    ['Thursday, July 10', 0, 3],
+    ['Friday, July 11', 1, 4],
+    ['Saturday, July 12', 0, 5],
+    ['Sunday, July 13', 0, 6],
+    ['Monday, July 14', 0, 0],
+  ]);
+  assert.deepEqual([...data.completedTasks].map(task => task.title), ['Pay rent', 'Call Sam', 'Book flights']);
+  assert.deepEqual({ ...data.totals }, { rolledOver: 21, completed: 3, inboxMoves: 0 });
+  assert.deepEqual({ ...data.previousTotals }, { rolledOver: 7, completed: 1, inboxMoves: 0 });
+});
+
+test('renderDigest renders HTML and plain-text bodies without touching Gmail', () => {
+  const gas = createSandbox();
+  const days = ['Tuesday, July 8', 'Wednesday, July 9'].map((label, i) => ({
+    dateKey: `2025-07-0${8 + i}`, label: label, rolledOver: i + 1, completed: 2 - i, inboxMoves: 0,
+  }));
+
+  const digest = gas.get('DigestMailer').renderDigest({
+    period: { title: 'Weekly Digest', startKey: '2025-07-08', endKey: '2025-07-09', previousLabel: 'last week' },
+    range: 'July 8, 2025 - July 9, 2025',
+    days: days,
+    completedTasks: [{ title: 'Fix <b>bug</b>', list: '[Daily] July 8, 2025', dateKey: '2025-07-08' }],
+    totals: { rolledOver: 3, completed: 3, inboxMoves: 2 },
+    previousTotals: { rolledOver: 5, completed: 0, inboxMoves: 2 },
+    leaderboard: [{ title: 'Taxes', count: 9 }],
+  });
+
+  assert.equal(digest.subject, 'GTaskManager - Weekly Digest');
+  assert.match(digest.htmlBody, /<li>Fix &lt;b&gt;bug&lt;\/b&gt; <span[^>]*>\(Tuesday, July 8, \[Daily\] July 8, 2025\)<\/span><\/li>/);
+  assert.match(digest.htmlBody, /<li>Taxes <span[^>]*>\(rolled over 9 times\)<\/span><\/li>/);
+  assert.equal(digest.textBody.split('\n').slice(0, 11).join('\n'), [
+    'GTaskManager Weekly Digest',
+    'July 8, 2025 - July 9, 2025',
+    '',
+    'Totals:',
+    '- Tasks completed: 3 (+3 vs. last week)',
+    '- Tasks rolled over: 3 (-2 vs. last week)',
+    '- Tasks moved from the Inbox: 2 (±0 vs. last week)',
+    '',
+    'Daily breakdown (completed / rolled over):',
+    '- Tuesday, July 8: 2 / 1',
+    '- Wednesday, July 9: 1 / 2',
+  ].join('\n'));
+  assert.match(digest.textBody, /Completed tasks:\n- Fix <b>bug<\/b> \(Tuesday, July 8, \[Daily\] July 8, 2025\)/);
+  assert.match(digest.textBody, /Most procrastinated \(in the Inbox\):\n1\. Taxes \(rolled over 9 times\)/);
+});
+
+test('the sent digest ranks the Inbox tasks by Rollover Count', () => {
+  const gas = createSandbox({ now: '2025-07-14T09:00:00' });
+  runHistory(gas, { lastDay: '2025-07-14', inboxAdds: [2] });
+  gas.tasks.seedList('Inbox', [
+    { title: 'Rolled once', notes: 'Rollover Count: 1' },
+    { title: 'Never rolled' },
+    { title: 'Rolled a lot', notes: 'Some notes.\n\nRollover Count: 12' },
+  ]);
+
+  gas.run('sendWeeklyDigest');
+
+  const [digest] = gas.gmail.sentWithSubject('Weekly Digest');
+  assert.equal(digest.to, 'owner@example.com');
+  assert.match(digest.body, /Most procrastinated \(in the Inbox\):\n1\. Rolled a lot \(rolled over 12 times\)\n2\. Rolled once \(rolled over 1 times\)\n\n/);
+  assert.match(digest.body, /Tasks rolled over: 2 \(n\/a vs\. last week\)/);
+  assert.match(digest.htmlBody, /<ol><li>Rolled a lot /);
+});
+
+test('scheduled reports get their own triggers, which follow REPORT_SCHEDULES', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { WEEKLY_DIGEST_DAY: '5', WEEKLY_DIGEST_HOUR: '8' } });
+  gas.tasks.seedList('Inbox');
+
+  gas.run('setup');
+  const [weekly] = gas.scriptApp.triggersFor('sendWeeklyDigest');
+  assert.deepEqual(weekly.config, { onWeekDay: 'FRIDAY', atHour: 8, timeZone: 'America/Los_Angeles' });
+  assert.equal(gas.scriptApp.triggersFor('sendDailyRecap').length, 0);
+
+  // dailyRunner no longer sends the digest itself, but picks up a changed schedule.
+  gas.properties.setProperty('REPORT_SCHEDULES', 'daily, monthly');
+  gas.run('dailyRunner');
+  assert.equal(gas.gmail.sentWithSubject('Digest').length, 0);
+  assert.equal(gas.scriptApp.triggersFor('sendWeeklyDigest').length, 0);
+  assert.deepEqual(gas.scriptApp.triggersFor('sendDailyRecap')[0].config, { everyDays: 1, atHour: 8, timeZone: 'America/Los_Angeles' });
+  assert.deepEqual(gas.scriptApp.triggersFor('sendMonthlyReport')[0].config, { onMonthDay: 1, atHour: 8, timeZone: 'America/Los_Angeles' });
+
+  gas.run('dailyRunner');
+  assert.equal(gas.scriptApp.triggers.length, 3);
+});
+
+test('the daily recap covers yesterday and the monthly report the previous month', () => {
+  const gas = createSandbox({ now: '2025-08-01T09:00:00' });
+  runHistory(gas, { lastDay: '2025-08-01', inboxAdds: [4, 3, 2] });
+  logCompleted(gas, 'July task', '2025-07-31T18:00:00.000Z');
+
+  gas.run('sendDailyRecap');
+  gas.run('sendMonthlyReport');
+
+  const [recap] = gas.gmail.sentWithSubject('Daily Recap');
+  assert.match(recap.body, /^GTaskManager Daily Recap\nJuly 31, 2025\n/);
+  assert.match(recap.body, /Tasks rolled over: 2 \(-1 vs\. the day before\)/);
+  assert.match(recap.body, /- Thursday, July 31: 1 \/ 2\n/);
+
+  const [monthly] = gas.gmail.sentWithSubject('Monthly Report');
+  assert.match(monthly.body, /^GTaskManager Monthly Report\nJuly 1, 2025 - July 31, 2025\n/);
+  assert.match(monthly.body, /Tasks rolled over: 9 \(n\/a vs\. last month\)/);
+  assert.match(monthly.body, /Tasks completed: 1 /);
+  assert.equal(monthly.body.match(/^- \w+day, July \d+:/gm).length, 31);
+});
+
+test('sendReport reports on any past range and rejects invalid ones', () => {
+  const gas = createSandbox({ now: '2025-07-20T09:00:00' });
+  runHistory(gas, { lastDay: '2025-07-14', inboxAdds: [1, 2, 3, 4] });
+
+  gas.run('sendReport', '2025-07-12', '2025-07-13');
+
+  const [report] = gas.gmail.sentWithSubject('Report July 12, 2025 - July 13, 2025');
+  assert.match(report.body, /Tasks rolled over: 7 \(\+4 vs\. the 2 day\(s\) before\)/);
+  assert.throws(() => gas.run('sendReport', '2025-07-13', '2025-07-12'), /ends \(2025-07-12\) before it starts/);
+  assert.throws(() => gas.run('sendReport', 'July 1', '2025-07-12'), /start "July 1" is not a date/);
+});
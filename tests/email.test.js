@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { emailLinkedTasks } = require('./fixtures/scenarios');
+
+test('email-linked tasks keep their link when they are moved natively', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  emailLinkedTasks(gas);
+
+  gas.run('dailyRunner');
+
+  const reply = gas.tasks.tree('Inbox').find(task => task.title === 'Reply to Alex');
+  assert.deepEqual(reply.links, [{ type: 'email', description: 'Re: Budget', link: 'https://mail.google.com/mail/#all/thread-1' }]);
+  assert.equal(reply.notes, 'Rollover Count: 1\nFirst Rollover: 2025-07-10');
+});
+
+test('a copied email-linked task gets the link in its notes and is reported as lossy', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  emailLinkedTasks(gas);
+
+  gas.run('dailyRunner');
+
+  const report = gas.tasks.tree('Inbox').find(task => task.title.startsWith('Weekly report'));
+  assert.equal(report.title, 'Weekly report [from email]');
+  // A recurring task is not counted as rolled over.
+  assert.equal(report.notes, 'Send before noon.\n\n---\nOriginal Email: https://mail.google.com/mail/#all/thread-2');
+  const notes = gas.rows('Runs')[0].Notes;
+  assert.match(notes, /Not migrated losslessly: "Weekly report" \(it was copied instead of moved/);
+  assert.match(notes, /the email link of "Weekly report" was copied into its notes/);
+});
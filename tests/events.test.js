@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, standardRollover } = require('./fixtures/scenarios');
+
+const byAction = (events, action) => events.filter(event => event.Action === action);
+
+test('every task action of a run is logged to "Events" under the run ID', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.seedTask(gas.tasks.findList('Inbox').id, { title: 'Due today', due: due('2025-07-10') });
+
+  gas.run('dailyRunner');
+
+  const [run] = gas.rows('Runs');
+  const events = gas.rows('Events');
+  assert.deepEqual(gas.sheet('Events').dump()[0], [
+    'RunId', 'Action', 'TaskTitle', 'TaskId', 'SourceList', 'DestinationList', 'RolloverCount', 'Timestamp',
+  ]);
+  assert.ok(events.every(event => event.RunId === run.RunId));
+
+  const completed = byAction(events, 'completed');
+  assert.deepEqual(completed.map(event => [event.TaskTitle, event.SourceList]), [['Completed Task', '[Daily] July 9, 2025']]);
+  assert.equal(completed[0].Timestamp.toISOString(), '2025-07-09T17:00:00.000Z');
+
+  const rolledOver = byAction(events, 'rolled-over');
+  assert.deepEqual(rolledOver.map(event => [event.TaskTitle, event.DestinationList, event.RolloverCount]), [
+    ['Incomplete Task 1 (Simple)', 'Inbox', 1],
+    ['Incomplete Task 2 (With Notes)', 'Inbox', 1],
+    ['Task with existing rollover', 'Inbox', 4],
+    ['Project with subtasks', 'Inbox', 1],
+  ]);
+  assert.ok(rolledOver.every(event => event.SourceList === '[Daily] July 9, 2025' && event.TaskId));
+
+  const moved = byAction(events, 'moved');
+  assert.deepEqual(moved.map(event => [event.TaskTitle, event.SourceList, event.DestinationList]), [
+    ['Due today', 'Inbox', '[Daily] July 10, 2025'],
+  ]);
+  assert.equal(run.InboxMoves, 1);
+
+  // The list title is kept even though the list no longer exists.
+  assert.deepEqual(byAction(events, 'deleted-list').map(event => event.SourceList), ['[Daily] July 9, 2025']);
+});
+
+test('a dry run logs no events', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { DRY_RUN: 'true' } });
+  standardRollover(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.rows('Events'), []);
+});
+
+test('a version 1 "Runs" sheet is migrated without losing history', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const sheet = gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Runs');
+  sheet.appendRow(['Timestamp', 'InboxAdds', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes', 'Retries']);
+  sheet.appendRow([
+    new Date('2025-07-08T02:00:00'), 2, 1, 1,
+    JSON.stringify([{ taskName: 'Old done', completed_timestamp: '2025-07-07T18:00:00.000Z' }]), '', 0,
+  ]);
+  sheet.appendRow([new Date('2025-07-09T02:00:00'), 3, 1, 1, 'not json', 'A note', 1]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.sheet('Runs').dump()[0], [...gas.get('LoggingSheetUtil').HEADER_ROW]);
+  const [first, second, current] = gas.rows('Runs');
+  assert.deepEqual([first.InboxAdds, first.InboxMoves, first.ListDeleted, first.CompletedTasks], [2, '', 1, 1]);
+  assert.deepEqual([second.CompletedTasks, second.Notes, second.Retries], ['not json', 'A note', 1]);
+  assert.ok(first.RunId && second.RunId && current.RunId);
+  assert.notEqual(first.RunId, second.RunId);
+
+  const [event] = gas.rows('Events');
+  assert.deepEqual([event.RunId, event.Action, event.TaskTitle], [first.RunId, 'completed', 'Old done']);
+  assert.equal(event.Timestamp.toISOString(), '2025-07-07T18:00:00.000Z');
+
+  // A second setup finds the new layout and leaves it alone.
+  gas.get('LoggingSheetUtil').setup();
+  assert.equal(gas.rows('Runs')[0].RunId, first.RunId);
+  assert.equal(gas.rows('Events').length, 1);
+});
+
+test('columns the user added keep their contents, and new columns are appended after them', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox');
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Rolls over' }]);
+  const sheet = gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Runs');
+  sheet.appendRow(['Timestamp', 'InboxAdds', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes', 'Retries', 'Mood']);
+  sheet.appendRow([new Date('2025-07-09T02:00:00'), 3, 1, 1, '[]', '', 0, 'Tired']);
+
+  gas.run('dailyRunner');
+
+  const header = gas.sheet('Runs').dump()[0];
+  const logging = gas.get('LoggingSheetUtil');
+  assert.deepEqual(header.slice(0, logging.HEADER_ROW.length), [...logging.HEADER_ROW]);
+  assert.equal(header[logging.HEADER_ROW.length], 'Mood');
+  assert.equal(gas.sheet('Runs').getDeveloperMetadata()[0].getValue(), '2');
+
+  // A column added to the layout later goes after the user's column.
+  logging.HEADER_ROW.push('Later');
+  gas.sheet('Runs').getRange(3, header.length, 1, 1).setValues([['Still tired']]);
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+  logging.HEADER_ROW.pop();
+
+  assert.deepEqual(gas.sheet('Runs').dump()[0].slice(-2), ['Mood', 'Later']);
+  const [first, second, third] = gas.rows('Runs');
+  assert.deepEqual([first.Mood, first.InboxAdds], ['Tired', 3]);
+  assert.deepEqual([second.Mood, second.InboxAdds, second.RunId.length > 0], ['Still tired', 1, true]);
+  assert.deepEqual([third.Mood, third.Later, third.InboxAdds, third.InboxScan], ['', '', 0, 'incremental']);
+});
+
+test('the weekly digest reads migrated runs', () => {
+  const gas = createSandbox({ now: '2025-07-14T09:00:00' });
+  const sheet = gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Runs');
+  sheet.appendRow(['Timestamp', 'InboxAdds', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes', 'Retries']);
+  sheet.appendRow([new Date('2025-07-12T02:00:00'), 7, 1, 1, '[]', '', 0]);
+  gas.get('LoggingSheetUtil').setup();
+
+  gas.run('sendWeeklyDigest');
+
+  const [digest] = gas.gmail.sentWithSubject('Weekly Digest');
+  assert.match(digest.body, /- Saturday, July 12: 0 \/ 7\n/);
+});
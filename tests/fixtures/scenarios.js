@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Scenario fixtures: account states that the tests seed into a sandbox.
+ * Each fixture takes a sandbox from createSandbox() and returns the IDs it created.
+ */
+
+'use strict';
+
+/**
+ * Due dates are stored by the Tasks API as midnight UTC of the due day.
+ * @param {string} day A date as yyyy-MM-dd.
+ * @returns {string} The RFC 3339 due timestamp.
+ */
+function due(day) {
+  return `${day}T00:00:00.000Z`;
+}
+
+/**
+ * The standard rollover case: an Inbox, yesterday's daily list with a mix of complete and
+ * incomplete tasks (one with subtasks, one already rolled over), and an unrelated list.
+ * @param {object} gas The sandbox.
+ * @param {object} [options]
+ * @param {string} [options.yesterdayTitle='[Daily] July 9, 2025']
+ * @returns {{inboxId: string, staleListId: string, otherListId: string}}
+ */
+function standardRollover(gas, options = {}) {
+  const inboxId = gas.tasks.seedList('Inbox', [{ title: 'Already in the Inbox' }]);
+  const staleListId = gas.tasks.seedList(options.yesterdayTitle || '[Daily] July 9, 2025', [
+    { title: 'Incomplete Task 1 (Simple)' },
+    { title: 'Incomplete Task 2 (With Notes)', notes: 'This task has some notes.' },
+    { title: 'Completed Task', status: 'completed', completed: '2025-07-09T17:00:00.000Z' },
+    { title: 'Task with existing rollover', notes: 'This task has been rolled over before.\n\nRollover Count: 3' },
+    {
+      title: 'Project with subtasks',
+      children: [
+        { title: 'Step 1', status: 'completed', completed: '2025-07-09T15:00:00.000Z' },
+        { title: 'Step 2' },
+        { title: 'Step 3' },
+      ],
+    },
+  ]);
+  const otherListId = gas.tasks.seedList('Groceries', [{ title: 'Milk' }]);
+  return { inboxId, staleListId, otherListId };
+}
+
+/**
+ * An Inbox with every kind of task the Inbox processing has to tell apart, for a run on 2025-07-10.
+ * @param {object} gas The sandbox.
+ * @returns {{inboxId: string}}
+ */
+function inboxWithDueTasks(gas) {
+  const inboxId = gas.tasks.seedList('Inbox', [
+    { title: 'No due date' },
+    { title: 'Overdue', due: due('2025-07-08') },
+    { title: 'Due today', due: due('2025-07-10') },
+    { title: 'Due tomorrow', due: due('2025-07-11') },
+    { title: 'Recurring due today', due: due('2025-07-10'), recurrence: 'RRULE:FREQ=DAILY' },
+    { title: 'Completed due today', due: due('2025-07-10'), status: 'completed' },
+    {
+      title: 'Parent due today',
+      due: due('2025-07-10'),
+      children: [{ title: 'Child of due parent' }],
+    },
+    {
+      title: 'Parent without due date',
+      children: [{ title: 'Child due today', due: due('2025-07-10') }],
+    },
+  ]);
+  return { inboxId };
+}
+
+/**
+ * A backlog of several stale daily lists, large enough to hit a short execution timeout.
+ * @param {object} gas The sandbox.
+ * @param {object} [options]
+ * @param {Array<string>} [options.titles] The stale list titles.
+ * @param {number} [options.tasksPerList=5]
+ * @returns {{inboxId: string, staleListIds: Array<string>}}
+ */
+function largeBacklog(gas, options = {}) {
+  const titles = options.titles || ['[Daily] July 6, 2025', '[Daily] July 7, 2025', '[Daily] July 8, 2025', '[Daily] July 9, 2025'];
+  const tasksPerList = options.tasksPerList || 5;
+  const inboxId = gas.tasks.seedList('Inbox');
+  const staleListIds = titles.map((title, listIndex) => {
+    const tasks = [];
+    for (let i = 1; i <= tasksPerList; i++) {
+      tasks.push({ title: `List ${listIndex + 1} task ${i}` });
+    }
+    tasks.push({ title: `List ${listIndex + 1} done`, status: 'completed' });
+    return gas.tasks.seedList(title, tasks);
+  });
+  return { inboxId, staleListIds };
+}
+
+/**
+ * Tasks created from Gmail, which carry a read-only `links` entry of type "email".
+ * One of them is recurring, which the native move refuses, so it has to be copied.
+ * @param {object} gas The sandbox.
+ * @returns {{inboxId: string, staleListId: string}}
+ */
+function emailLinkedTasks(gas) {
+  const inboxId = gas.tasks.seedList('Inbox');
+  const staleListId = gas.tasks.seedList('[Daily] July 9, 2025', [
+    {
+      title: 'Reply to Alex',
+      links: [{ type: 'email', description: 'Re: Budget', link: 'https://mail.google.com/mail/#all/thread-1' }],
+    },
+    {
+      title: 'Weekly report',
+      recurrence: 'RRULE:FREQ=WEEKLY',
+      notes: 'Send before noon.',
+      links: [{ type: 'email', description: 'Report request', link: 'https://mail.google.com/mail/#all/thread-2' }],
+    },
+  ]);
+  return { inboxId, staleListId };
+}
+
+/**
+ * Seeds the "Runs" tab with one logged run per day, ending the day before `lastDay`.
+ * @param {object} gas The sandbox.
+ * @param {object} options
+ * @param {string} options.lastDay The day after the last logged run, as yyyy-MM-dd.
+ * @param {Array<number>} options.inboxAdds The rolled-over counts, oldest first.
+ */
+function runHistory(gas, options) {
+  const logger = gas.get('LoggingSheetUtil');
+  logger.setup();
+  const count = options.inboxAdds.length;
+  options.inboxAdds.forEach((inboxAdds, i) => {
+    const timestamp = new Date(`${options.lastDay}T02:00:00`);
+    timestamp.setDate(timestamp.getDate() - (count - i));
+    logger.logRun({ timestamp: timestamp, inboxAdds: inboxAdds, listDeleted: 1, listCreated: 1, completedTasks: 0, notes: '' });
+  });
+}
+
+/**
+ * Drops the run-summary task (ADD_SUMMARY_TASK) from a task tree, leaving the user's tasks.
+ * @param {Array<object>} tasks A tree from FakeTasks#tree.
+ * @returns {Array<object>}
+ */
+function withoutSummary(tasks) {
+  return tasks.filter(task => !(task.notes || '').includes('#gtaskmanager-summary'));
+}
+
+module.exports = { due, standardRollover, inboxWithDueTasks, largeBacklog, emailLinkedTasks, runHistory, withoutSummary };
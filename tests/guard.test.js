@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { standardRollover, largeBacklog } = require('./fixtures/scenarios');
+
+test('LIST_EXCLUSION_REGEX and LIST_INCLUDE_REGEX leave other lists alone', () => {
+  const excluded = createSandbox({ now: '2025-07-10T02:00:00', properties: { LIST_EXCLUSION_REGEX: 'Habits|July 8' } });
+  standardRollover(excluded);
+  excluded.tasks.seedList('[Daily] Habits', [{ title: 'Stretch' }]);
+  excluded.tasks.seedList('[Daily] July 8, 2025', [{ title: 'Pinned' }]);
+  excluded.run('dailyRunner');
+  assert.ok(excluded.tasks.findList('[Daily] Habits'));
+  assert.deepEqual(excluded.tasks.tree('[Daily] July 8, 2025').map(task => task.title), ['Pinned']);
+  assert.equal(excluded.tasks.findList('[Daily] July 9, 2025'), undefined);
+  assert.equal(excluded.rows('Runs')[0].Notes, '');
+
+  const included = createSandbox({ now: '2025-07-10T02:00:00', properties: { LIST_INCLUDE_REGEX: '^\\[Daily\\] July (9|10),' } });
+  standardRollover(included);
+  included.tasks.seedList('[Daily] July 8, 2025', [{ title: 'Not included' }]);
+  included.run('dailyRunner');
+  assert.ok(included.tasks.findList('[Daily] July 8, 2025'));
+  assert.equal(included.tasks.findList('[Daily] July 9, 2025'), undefined);
+  assert.equal(included.rows('Runs')[0].ListDeleted, 1);
+});
+
+test('an invalid pattern fails the run before anything changes', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { LIST_EXCLUSION_REGEX: '[Daily' } });
+  standardRollover(gas);
+
+  const result = gas.run('runDailyRollover');
+
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(result.notes, /FATAL: LIST_EXCLUSION_REGEX is not a valid regular expression/);
+});
+
+test('the Inbox is never rolled over, even if its title looks like a stale daily list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { INBOX_LIST_NAME: '[Daily] July 8, 2025' } });
+  gas.tasks.seedList('[Daily] July 8, 2025', [{ title: 'In the Inbox' }]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.tree('[Daily] July 8, 2025').map(task => task.title), ['In the Inbox']);
+  assert.match(gas.rows('Runs')[0].Notes, /Did not roll over "\[Daily\] July 8, 2025": it is the Inbox or a current list\./);
+});
+
+test('a list that still has incomplete tasks after its migration is kept', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  // A move that reports success without moving anything.
+  gas.get('TaskService').move = (task) => ({ task: task, issues: [] });
+
+  gas.run('dailyRunner');
+
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  const [run] = gas.rows('Runs');
+  assert.equal(run.ListDeleted, 0);
+  assert.match(run.Notes, /Kept list "\[Daily\] July 9, 2025": 4 task\(s\) were read for the rollover and 4 handled, but 4 incomplete task\(s\) are still in it\./);
+  // The snapshot was taken before the migration, so the list can be restored as it was.
+  assert.equal(JSON.parse(gas.rows('Archive')[0].Data).tasks.length, 8);
+});
+
+test('more stale lists than MAX_STALE_LISTS stops the run before it changes anything', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { MAX_STALE_LISTS: '3' } });
+  largeBacklog(gas);
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.listTitles().filter(title => title.startsWith('[Daily] July ') && title !== '[Daily] July 10, 2025').length, 4);
+  assert.equal(gas.tasks.tree('Inbox').length, 0);
+  assert.match(gas.rows('Runs')[0].Notes, /FATAL: Found 4 stale lists, more than MAX_STALE_LISTS \(3\)\. Nothing was rolled over or deleted\./);
+});
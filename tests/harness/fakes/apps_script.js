@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Fakes of the smaller Apps Script globals: LockService, ScriptApp, Session,
+ * HtmlService, UrlFetchApp and Utilities. Utilities.formatDate implements the SimpleDateFormat patterns the scripts use,
+ * in any IANA time zone, and Utilities.sleep advances the harness clock instead of blocking.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+/**
+ * A fake of the `LockService` global with a single shared script lock.
+ */
+class FakeLockService {
+  constructor() {
+    this.heldByOther = false;
+    this.held = false;
+    this.acquisitions = 0;
+  }
+
+  getScriptLock() {
+    const service = this;
+    return {
+      tryLock() {
+        if (service.heldByOther || service.held) return false;
+        service.held = true;
+        service.acquisitions++;
+        return true;
+      },
+      waitLock(timeout) {
+        if (!this.tryLock(timeout)) throw new Error('Lock timeout: another process was holding the lock for too long.');
+      },
+      hasLock() {
+        return service.held;
+      },
+      releaseLock() {
+        service.held = false;
+      },
+    };
+  }
+
+  getUserLock() {
+    return this.getScriptLock();
+  }
+}
+
+/**
+ * A fake installable trigger.
+ */
+class FakeTrigger {
+  constructor(id, handler, config) {
+    this.id = id;
+    this.handler = handler;
+    this.config = config;
+  }
+
+  getUniqueId() {
+    return this.id;
+  }
+
+  getHandlerFunction() {
+    return this.handler;
+  }
+
+  getEventType() {
+    return 'CLOCK';
+  }
+
+  getTriggerSource() {
+    return 'CLOCK';
+  }
+}
+
+/**
+ * A fake of the `ScriptApp` global covering time-driven triggers.
+ */
+class FakeScriptApp {
+  constructor(clock) {
+    this.clock = clock;
+    this.triggers = [];
+    this.nextId = 1;
+    this.EventType = { CLOCK: 'CLOCK' };
+    this.TriggerSource = { CLOCK: 'CLOCK' };
+    this.WeekDay = {};
+    for (const day of WEEKDAYS) this.WeekDay[day] = day;
+    this.serviceUrl = 'https://script.google.com/macros/s/fake-deployment/exec';
+  }
+
+  newTrigger(handler) {
+    const app = this;
+    const config = {};
+    const clockBuilder = {
+      everyMinutes(n) { config.everyMinutes = n; return clockBuilder; },
+      everyHours(n) { config.everyHours = n; return clockBuilder; },
+      everyDays(n) { config.everyDays = n; return clockBuilder; },
+      everyWeeks(n) { config.everyWeeks = n; return clockBuilder; },
+      onWeekDay(day) { config.onWeekDay = day; return clockBuilder; },
+      onMonthDay(day) { config.onMonthDay = day; return clockBuilder; },
+      atHour(hour) { config.atHour = hour; return clockBuilder; },
+      nearMinute(minute) { config.nearMinute = minute; return clockBuilder; },
+      inTimezone(tz) { config.timeZone = tz; return clockBuilder; },
+      after(ms) { config.runAt = new Date(app.clock.now() + ms); return clockBuilder; },
+      at(date) { config.runAt = new Date(date.getTime()); return clockBuilder; },
+      create() {
+        const trigger = new FakeTrigger(`trigger-${app.nextId++}`, handler, config);
+        app.triggers.push(trigger);
+        return trigger;
+      },
+    };
+    return { timeBased: () => clockBuilder };
+  }
+
+  getProjectTriggers() {
+    return this.triggers.slice();
+  }
+
+  getUserTriggers() {
+    return this.triggers.slice();
+  }
+
+  deleteTrigger(trigger) {
+    this.triggers = this.triggers.filter(t => t.getUniqueId() !== trigger.getUniqueId());
+  }
+
+  getService() {
+    return { getUrl: () => this.serviceUrl };
+  }
+
+  /**
+   * Harness helper: returns the triggers for a handler function.
+   * @param {string} handler
+   * @returns {Array<FakeTrigger>}
+   */
+  triggersFor(handler) {
+    return this.triggers.filter(trigger => trigger.handler === handler);
+  }
+}
+
+/**
+ * A fake of the `Session` global.
+ */
+class FakeSession {
+  constructor(options) {
+    this.email = options.email;
+    this.timeZone = options.timeZone;
+  }
+
+  getEffectiveUser() {
+    return { getEmail: () => this.email };
+  }
+
+  getActiveUser() {
+    return this.getEffectiveUser();
+  }
+
+  getScriptTimeZone() {
+    return this.timeZone;
+  }
+}
+
+/**
+ * A fake `HtmlOutput`, recording what the script set on it.
+ */
+class FakeHtmlOutput {
+  constructor(fileName, content) {
+    this.fileName = fileName;
+    this.content = content;
+    this.title = '';
+    this.metaTags = {};
+  }
+
+  getContent() {
+    return this.content;
+  }
+
+  setTitle(title) {
+    this.title = title;
+    return this;
+  }
+
+  getTitle() {
+    return this.title;
+  }
+
+  addMetaTag(name, content) {
+    this.metaTags[name] = content;
+    return this;
+  }
+}
+
+/**
+ * A fake of the `HtmlService` global that serves the project's .html files.
+ */
+class FakeHtmlService {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+  }
+
+  createHtmlOutputFromFile(fileName) {
+    const file = path.join(this.projectRoot, `${fileName}.html`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No HTML file named ${fileName} was found.`);
+    }
+    return new FakeHtmlOutput(fileName, fs.readFileSync(file, 'utf8'));
+  }
+}
+
+/**
+ * Reads the wall-clock fields of a date in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone An IANA time zone. Unknown zones fall back to GMT, like Apps Script.
+ * @returns {object}
+ */
+function wallClock(date, timeZone) {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone, hourCycle: 'h23', weekday: 'long',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+  } catch (e) {
+    return wallClock(date, 'UTC');
+  }
+  const parts = {};
+  for (const part of format.formatToParts(date)) parts[part.type] = part.value;
+  const fields = {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    millisecond: date.getUTCMilliseconds(),
+    weekday: parts.weekday,
+  };
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond);
+  fields.offsetMinutes = Math.round((asUtc - date.getTime()) / 60000);
+  return fields;
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Formats a date like `Utilities.formatDate` (java.text.SimpleDateFormat patterns).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {string} pattern
+ * @returns {string}
+ */
+function formatDate(date, timeZone, pattern) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    throw new Error('Invalid argument: date');
+  }
+  const f = wallClock(date, timeZone);
+  const pad = (value, width) => String(value).padStart(width, '0');
+  const offset = (separator) => {
+    const sign = f.offsetMinutes < 0 ? '-' : '+';
+    const minutes = Math.abs(f.offsetMinutes);
+    return `${sign}${pad(Math.floor(minutes / 60), 2)}${separator}${pad(minutes % 60, 2)}`;
+  };
+
+  return pattern.replace(/'((?:[^']|'')*)'|([A-Za-z])\2*/g, (token, quoted) => {
+    if (quoted !== undefined) return quoted ? quoted.replace(/''/g, "'") : "'";
+    const n = token.length;
+    switch (token[0]) {
+      case 'y': return n === 2 ? pad(f.year % 100, 2) : pad(f.year, n);
+      case 'M': return n >= 4 ? MONTH_NAMES[f.month - 1] : n === 3 ? MONTH_NAMES[f.month - 1].slice(0, 3) : pad(f.month, n);
+      case 'd': return pad(f.day, n);
+      case 'E': return n >= 4 ? f.weekday : f.weekday.slice(0, 3);
+      case 'u': return String(((['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].indexOf(f.weekday) + 6) % 7) + 1);
+      case 'H': return pad(f.hour, n);
+      case 'h': return pad(f.hour % 12 || 12, n);
+      case 'a': return f.hour < 12 ? 'AM' : 'PM';
+      case 'm': return pad(f.minute, n);
+      case 's': return pad(f.second, n);
+      case 'S': return pad(f.millisecond, 3).slice(0, Math.max(n, 3));
+      case 'Z': return offset('');
+      case 'X': return f.offsetMinutes === 0 ? 'Z' : offset(n >= 3 ? ':' : '');
+      case 'z': return `GMT${offset(':')}`;
+      default: throw new Error(`Illegal pattern character '${token[0]}'`);
+    }
+  });
+}
+
+/**
+ * A fake of the `UrlFetchApp` global. Requests are recorded instead of sent, and answered with
+ * the queued responses or, once those run out, with an empty 200.
+ */
+class FakeUrlFetchApp {
+  constructor() {
+    this.requests = [];
+    this.responses = [];
+  }
+
+  fetch(url, params = {}) {
+    this.requests.push({ url: url, params: params });
+    const { code, body } = this.responses.shift() || { code: 200, body: '' };
+    if (code >= 400 && !params.muteHttpExceptions) {
+      throw new Error(`Request failed for ${url} returned code ${code}. Truncated server response: ${body}`);
+    }
+    return {
+      getResponseCode: () => code,
+      getContentText: () => body,
+    };
+  }
+
+  /**
+   * Harness helper: queues the responses of the next requests.
+   * @param {number} code The HTTP status.
+   * @param {string} [body='']
+   * @param {number} [times=1]
+   */
+  respondWith(code, body = '', times = 1) {
+    for (let i = 0; i < times; i++) this.responses.push({ code: code, body: body });
+  }
+
+  /**
+   * Harness helper: the JSON payloads posted to a URL.
+   * @param {string} url
+   * @returns {Array<object>}
+   */
+  payloads(url) {
+    return this.requests.filter(request => request.url === url).map(request => JSON.parse(request.params.payload));
+  }
+}
+
+/**
+ * A fake of the `Utilities` global.
+ */
+class FakeUtilities {
+  constructor(clock) {
+    this.clock = clock;
+    this.uuidCount = 0;
+    this.sleeps = [];
+  }
+
+  formatDate(date, timeZone, pattern) {
+    return formatDate(date, timeZone, pattern);
+  }
+
+  sleep(ms) {
+    this.sleeps.push(ms);
+    this.clock.advance(ms);
+  }
+
+  getUuid() {
+    this.uuidCount++;
+    return `00000000-0000-4000-8000-${String(this.uuidCount).padStart(12, '0')}`;
+  }
+}
+
+module.exports = {
+  FakeLockService, FakeScriptApp, FakeSession, FakeHtmlService, FakeUrlFetchApp, FakeUtilities, FakeTrigger, formatDate, wallClock,
+};
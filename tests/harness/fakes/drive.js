@@ -0,0 +1,126 @@
+/**
+ * @fileoverview In-memory fake of DriveApp: plain-text files in folders, enough for exports and
+ * imports.
+ */
+
+'use strict';
+
+/**
+ * A fake `File` holding a string.
+ */
+class FakeDriveFile {
+  constructor(id, name, content, mimeType, folder) {
+    this.id = id;
+    this.name = name;
+    this.content = content;
+    this.mimeType = mimeType;
+    this.folder = folder;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getMimeType() {
+    return this.mimeType;
+  }
+
+  getUrl() {
+    return `https://drive.google.com/file/d/${this.id}/view`;
+  }
+
+  getBlob() {
+    const file = this;
+    return {
+      getDataAsString() {
+        return file.content;
+      },
+      getContentType() {
+        return file.mimeType;
+      },
+    };
+  }
+}
+
+/**
+ * A fake `Folder`.
+ */
+class FakeDriveFolder {
+  constructor(drive, id, name) {
+    this.drive = drive;
+    this.id = id;
+    this.name = name;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  createFile(name, content, mimeType) {
+    return this.drive.addFile(name, content, mimeType, this);
+  }
+}
+
+/**
+ * A fake of the `DriveApp` global.
+ */
+class FakeDriveApp {
+  constructor() {
+    this.files = new Map();
+    this.folders = new Map();
+    this.root = new FakeDriveFolder(this, 'root', 'My Drive');
+  }
+
+  createFile(name, content, mimeType) {
+    return this.addFile(name, content, mimeType, this.root);
+  }
+
+  getFileById(id) {
+    const file = this.files.get(id);
+    if (!file) throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+    return file;
+  }
+
+  getFolderById(id) {
+    const folder = this.folders.get(id);
+    if (!folder) throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+    return folder;
+  }
+
+  addFile(name, content, mimeType, folder) {
+    const file = new FakeDriveFile(`file-${this.files.size + 1}`, name, String(content), mimeType || 'text/plain', folder);
+    this.files.set(file.id, file);
+    return file;
+  }
+
+  /**
+   * Harness helper: creates a folder.
+   * @param {string} name
+   * @returns {FakeDriveFolder}
+   */
+  seedFolder(name) {
+    const folder = new FakeDriveFolder(this, `folder-${this.folders.size + 1}`, name);
+    this.folders.set(folder.id, folder);
+    return folder;
+  }
+
+  /**
+   * Harness helper: creates a file in My Drive.
+   * @param {string} name
+   * @param {string} content
+   * @returns {FakeDriveFile}
+   */
+  seedFile(name, content) {
+    return this.createFile(name, content, 'text/plain');
+  }
+}
+
+module.exports = { FakeDriveApp };
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview In-memory fake of GmailApp. Sent messages are kept in an outbox for assertions,
+ * and seeded threads can be searched by label and relabeled.
+ */
+
+'use strict';
+
+/**
+ * A fake of the `GmailApp` global.
+ */
+class FakeGmailApp {
+  constructor(clock) {
+    this.clock = clock;
+    this.outbox = [];
+    this.threads = [];
+    this.labels = new Map();
+    this.searches = [];
+  }
+
+  sendEmail(recipient, subject, body, options = {}) {
+    this.outbox.push({
+      to: recipient,
+      subject: subject,
+      body: body,
+      htmlBody: options.htmlBody || null,
+      options: options,
+      sentAt: new Date(this.clock.now()),
+    });
+    return this;
+  }
+
+  /**
+   * Searches the seeded threads, newest first. Only `label:name` and `-label:name` terms are
+   * understood (with the spaces and slashes of label names written as hyphens, like Gmail);
+   * any other word must occur in the subject.
+   */
+  search(query, start = 0, max = 500) {
+    this.searches.push(query);
+    const terms = query.replace(/[()]/g, ' ').split(/\s+/).filter(term => term);
+    const searchName = (name) => name.toLowerCase().replace(/[\s/]+/g, '-');
+    return this.threads
+      .filter(thread => terms.every(term => {
+        const label = term.match(/^(-?)label:(.+)$/i);
+        if (label) {
+          const hasLabel = thread.labelNames().some(name => searchName(name) === label[2].toLowerCase());
+          return label[1] ? !hasLabel : hasLabel;
+        }
+        return thread.subject.toLowerCase().includes(term.toLowerCase());
+      }))
+      .sort((a, b) => b.date - a.date)
+      .slice(start, start + max);
+  }
+
+  getUserLabelByName(name) {
+    return this.labels.get(name) || null;
+  }
+
+  createLabel(name) {
+    if (!this.labels.has(name)) {
+      this.labels.set(name, new FakeGmailLabel(name));
+    }
+    return this.labels.get(name);
+  }
+
+  /**
+   * Harness helper: adds a thread with one message.
+   * @param {object} thread
+   * @param {string} thread.subject
+   * @param {string} [thread.body='']
+   * @param {string} [thread.from='sender@example.com']
+   * @param {Array<string>} [thread.labels] Label names; missing labels are created.
+   * @param {string} [thread.date] When the message arrived; defaults to now.
+   * @returns {FakeGmailThread}
+   */
+  seedThread(thread) {
+    const seeded = new FakeGmailThread(`thread-${this.threads.length + 1}`, {
+      subject: thread.subject,
+      body: thread.body || '',
+      from: thread.from || 'sender@example.com',
+      date: thread.date ? new Date(thread.date) : new Date(this.clock.now()),
+    });
+    (thread.labels || []).forEach(name => seeded.addLabel(this.createLabel(name)));
+    this.threads.push(seeded);
+    return seeded;
+  }
+
+  /**
+   * Harness helper: returns the sent messages whose subject contains the given text.
+   * @param {string} text
+   * @returns {Array<object>}
+   */
+  sentWithSubject(text) {
+    return this.outbox.filter(message => message.subject.includes(text));
+  }
+}
+
+/**
+ * A fake `GmailLabel`.
+ */
+class FakeGmailLabel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  getName() {
+    return this.name;
+  }
+}
+
+/**
+ * A fake `GmailThread` with a single message.
+ */
+class FakeGmailThread {
+  constructor(id, message) {
+    this.id = id;
+    this.subject = message.subject;
+    this.date = message.date;
+    this.message = message;
+    this.labels = [];
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getFirstMessageSubject() {
+    return this.subject;
+  }
+
+  getLastMessageDate() {
+    return this.date;
+  }
+
+  getPermalink() {
+    return `https://mail.google.com/mail/u/0/#all/${this.id}`;
+  }
+
+  getMessages() {
+    const message = this.message;
+    return [{
+      getSubject: () => message.subject,
+      getPlainBody: () => message.body,
+      getFrom: () => message.from,
+      getDate: () => message.date,
+    }];
+  }
+
+  getLabels() {
+    return this.labels.slice();
+  }
+
+  addLabel(label) {
+    if (!this.labels.includes(label)) this.labels.push(label);
+    return this;
+  }
+
+  removeLabel(label) {
+    this.labels = this.labels.filter(existing => existing !== label);
+    return this;
+  }
+
+  /** Harness helper: the names of the thread's labels. */
+  labelNames() {
+    return this.labels.map(label => label.getName());
+  }
+}
+
+module.exports = { FakeGmailApp };
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview In-memory fake of PropertiesService.
+ */
+
+'use strict';
+
+/**
+ * A fake `Properties` store. Values are always stored as strings, like the real service.
+ */
+class FakeProperties {
+  constructor(initial = {}) {
+    this.values = {};
+    this.reads = 0; // The getProperty and getProperties calls, for tests that count them.
+    this.setProperties(initial);
+  }
+
+  getProperty(key) {
+    this.reads++;
+    return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+  }
+
+  setProperty(key, value) {
+    this.values[key] = String(value);
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.values[key];
+    return this;
+  }
+
+  getProperties() {
+    this.reads++;
+    return Object.assign({}, this.values);
+  }
+
+  setProperties(properties, deleteAllOthers) {
+    if (deleteAllOthers) this.values = {};
+    for (const key of Object.keys(properties)) {
+      this.setProperty(key, properties[key]);
+    }
+    return this;
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+
+  deleteAllProperties() {
+    this.values = {};
+    return this;
+  }
+}
+
+/**
+ * A fake of the `PropertiesService` global.
+ */
+class FakePropertiesService {
+  constructor(options = {}) {
+    this.script = new FakeProperties(options.script);
+    this.user = new FakeProperties(options.user);
+    this.document = new FakeProperties();
+  }
+
+  getScriptProperties() {
+    return this.script;
+  }
+
+  getUserProperties() {
+    return this.user;
+  }
+
+  getDocumentProperties() {
+    return this.document;
+  }
+}
+
+module.exports = { FakePropertiesService, FakeProperties };
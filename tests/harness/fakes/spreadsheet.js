@@ -0,0 +1,341 @@
+/**
+ * @fileoverview In-memory fake of SpreadsheetApp.
+ * Sheets are plain 2D arrays of cell values; Date values stay Date objects, like the real service.
+ */
+
+'use strict';
+
+/**
+ * A rectangular range of a fake sheet. Rows and columns are 1-based.
+ */
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getColumn() {
+    return this.column;
+  }
+
+  getNumRows() {
+    return this.numRows;
+  }
+
+  getNumColumns() {
+    return this.numColumns;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.cell(this.row + r, this.column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => (value instanceof Date ? value.toISOString() : String(value))));
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns}).`);
+    }
+    values.forEach((row, r) => row.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value)));
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.setCell(this.row + r, this.column + c, '');
+      }
+    }
+    return this;
+  }
+
+  setFontWeight() {
+    return this;
+  }
+
+  setNumberFormat(format) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.setFormat(this.row + r, this.column + c, format);
+      }
+    }
+    return this;
+  }
+}
+
+/**
+ * A fake developer metadata entry, a key-value pair attached to a sheet.
+ */
+class FakeDeveloperMetadata {
+  constructor(sheet, key, value) {
+    this.sheet = sheet;
+    this.key = key;
+    this.value = value;
+  }
+
+  getKey() {
+    return this.key;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  setValue(value) {
+    this.value = value;
+    return this;
+  }
+
+  remove() {
+    this.sheet.metadata = this.sheet.metadata.filter(entry => entry !== this);
+  }
+}
+
+/**
+ * A fake sheet (tab).
+ */
+class FakeSheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.rows = [];
+    this.formats = []; // Number formats by row and column, where one was set.
+    this.frozenRows = 0;
+    this.metadata = [];
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setName(name) {
+    this.name = name;
+    return this;
+  }
+
+  cell(row, column) {
+    const value = (this.rows[row - 1] || [])[column - 1];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  /**
+   * Stores a value like Sheets does: a string starting with "=" is a formula, which this fake
+   * cannot evaluate, unless the cell is formatted as plain text ("@").
+   */
+  setCell(row, column, value) {
+    if (typeof value === 'string' && value.startsWith('=') && (this.formats[row - 1] || [])[column - 1] !== '@') {
+      value = '#ERROR!';
+    }
+    while (this.rows.length < row) this.rows.push([]);
+    const cells = this.rows[row - 1];
+    while (cells.length < column) cells.push('');
+    cells[column - 1] = value instanceof Date ? new Date(value.getTime()) : value;
+  }
+
+  setFormat(row, column, format) {
+    while (this.formats.length < row) this.formats.push([]);
+    this.formats[row - 1][column - 1] = format;
+  }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if (this.rows[r - 1].some(value => value !== '')) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => {
+      for (let c = row.length; c > max; c--) {
+        if (row[c - 1] !== '') return c;
+      }
+      return max;
+    }, 0);
+  }
+
+  getMaxRows() {
+    return Math.max(this.rows.length, 1000);
+  }
+
+  getMaxColumns() {
+    return Math.max(this.getLastColumn(), 26);
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, c) => this.setCell(row, c + 1, value));
+    return this;
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (typeof row === 'string') {
+      throw new Error('A1 notation is not supported by the fake sheet.');
+    }
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this.rows.splice(rowPosition - 1, howMany);
+    this.formats.splice(rowPosition - 1, howMany);
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    return this.deleteRows(rowPosition, 1);
+  }
+
+  insertColumnsAfter(columnPosition, howMany) {
+    for (const row of this.rows) {
+      while (row.length < columnPosition) row.push('');
+      row.splice(columnPosition, 0, ...new Array(howMany).fill(''));
+    }
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+
+  clearContents() {
+    return this.clear();
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+    return this;
+  }
+
+  getFrozenRows() {
+    return this.frozenRows;
+  }
+
+  addDeveloperMetadata(key, value) {
+    this.metadata.push(new FakeDeveloperMetadata(this, key, value === undefined ? null : String(value)));
+    return this;
+  }
+
+  getDeveloperMetadata() {
+    return this.metadata.slice();
+  }
+
+  /**
+   * Harness helper: returns all values as a 2D array.
+   * @returns {Array<Array<*>>}
+   */
+  dump() {
+    const width = this.getLastColumn();
+    return this.rows.slice(0, this.getLastRow()).map(row => {
+      const cells = row.slice(0, width);
+      while (cells.length < width) cells.push('');
+      return cells;
+    });
+  }
+}
+
+/**
+ * A fake spreadsheet.
+ */
+class FakeSpreadsheet {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.sheets = [new FakeSheet(this, 'Sheet1')];
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getUrl() {
+    return `https://docs.google.com/spreadsheets/d/${this.id}/edit`;
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.name === name) || null;
+  }
+
+  insertSheet(name, index) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, name);
+    if (index === undefined) {
+      this.sheets.push(sheet);
+    } else {
+      this.sheets.splice(index, 0, sheet);
+    }
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+}
+
+/**
+ * A fake of the `SpreadsheetApp` global.
+ */
+class FakeSpreadsheetApp {
+  constructor() {
+    this.spreadsheets = new Map();
+    this.nextId = 1;
+  }
+
+  create(name) {
+    const spreadsheet = new FakeSpreadsheet(`sheet-${this.nextId++}`, name);
+    this.spreadsheets.set(spreadsheet.id, spreadsheet);
+    return spreadsheet;
+  }
+
+  openById(id) {
+    const spreadsheet = this.spreadsheets.get(id);
+    if (!spreadsheet) {
+      throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp.`);
+    }
+    return spreadsheet;
+  }
+}
+
+module.exports = { FakeSpreadsheetApp, FakeSpreadsheet, FakeSheet, FakeRange, FakeDeveloperMetadata };
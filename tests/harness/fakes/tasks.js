@@ -0,0 +1,420 @@
+/**
+ * @fileoverview In-memory fake of the Tasks advanced service (Tasks API v1).
+ * It models what the scripts rely on: paging with maxResults/pageToken, the show* and
+ * due/completed/updated filters, subtasks with sibling order, native moves between lists
+ * and the error messages the advanced service throws.
+ */
+
+'use strict';
+
+const WRITABLE_FIELDS = ['title', 'notes', 'status', 'due', 'completed', 'recurrence'];
+
+/**
+ * Builds an error shaped like the ones thrown by Apps Script advanced services.
+ * @param {string} method The API method, e.g. "tasks.tasks.get".
+ * @param {number} code The HTTP status code.
+ * @param {string} message The API error message.
+ * @returns {Error}
+ */
+function apiError(method, code, message) {
+  const error = new Error(`API call to ${method} failed with error: ${message}`);
+  error.name = 'GoogleJsonResponseException';
+  error.details = { code: code, message: message };
+  return error;
+}
+
+/**
+ * A fake of the `Tasks` global.
+ */
+class FakeTasks {
+  /**
+   * @param {import('../clock').FakeClock} clock The harness clock.
+   * @param {object} [options]
+   * @param {number} [options.msPerCall=0] How far each API call advances the clock.
+   * @param {number} [options.maxTasklistPage=1000] The largest tasklists page the fake returns.
+   * @param {number} [options.maxTaskPage=100] The largest tasks page the fake returns.
+   */
+  constructor(clock, options = {}) {
+    this.clock = clock;
+    this.msPerCall = options.msPerCall || 0;
+    this.maxTasklistPage = options.maxTasklistPage || 1000;
+    this.maxTaskPage = options.maxTaskPage || 100;
+    this.lists = new Map();
+    this.nextId = 1;
+    this.calls = [];
+    this.faults = [];
+
+    this.Tasklists = {
+      list: (options) => this.call('tasks.tasklists.list', () => this.listTasklists(options || {})),
+      get: (listId) => this.call('tasks.tasklists.get', () => this.describeList(this.requireList('tasks.tasklists.get', listId))),
+      insert: (resource) => this.call('tasks.tasklists.insert', () => this.insertTasklist(resource)),
+      patch: (resource, listId) => this.call('tasks.tasklists.patch', () => this.patchTasklist(resource, listId)),
+      update: (resource, listId) => this.call('tasks.tasklists.update', () => this.patchTasklist(resource, listId)),
+      remove: (listId) => this.call('tasks.tasklists.delete', () => this.removeTasklist(listId)),
+    };
+
+    this.Tasks = {
+      list: (listId, options) => this.call('tasks.tasks.list', () => this.listTasks(listId, options || {})),
+      get: (listId, taskId) => this.call('tasks.tasks.get', () => this.describeTask(this.requireTask('tasks.tasks.get', listId, taskId))),
+      insert: (resource, listId, options) => this.call('tasks.tasks.insert', () => this.insertTask(resource, listId, options || {})),
+      patch: (resource, listId, taskId) => this.call('tasks.tasks.patch', () => this.patchTask(resource, listId, taskId)),
+      update: (resource, listId, taskId) => this.call('tasks.tasks.update', () => this.patchTask(resource, listId, taskId)),
+      remove: (listId, taskId) => this.call('tasks.tasks.delete', () => this.removeTask(listId, taskId)),
+      move: (listId, taskId, options) => this.call('tasks.tasks.move', () => this.moveTask(listId, taskId, options || {})),
+      clear: (listId) => this.call('tasks.tasks.clear', () => this.clearTasks(listId)),
+    };
+  }
+
+  /** Mirrors `Tasks.newTask()`. */
+  newTask() {
+    return {};
+  }
+
+  /** Mirrors `Tasks.newTaskList()`. */
+  newTaskList() {
+    return {};
+  }
+
+  // --- Fault injection and bookkeeping ---
+
+  /**
+   * Makes the next calls to a method fail.
+   * @param {string} method The API method, e.g. "tasks.tasks.list".
+   * @param {{code: number, message: string}} error The error to throw.
+   * @param {number} [times=1] How many consecutive calls should fail.
+   * @param {object} [options]
+   * @param {boolean} [options.afterApplying=false] Apply the call before throwing, like a request
+   *     that went through but whose response was lost.
+   */
+  failNext(method, error, times = 1, options = {}) {
+    this.faults.push({ method: method, error: error, remaining: times, afterApplying: Boolean(options.afterApplying) });
+  }
+
+  /**
+   * Counts the recorded calls, optionally for a single method.
+   * @param {string} [method]
+   * @returns {number}
+   */
+  callCount(method) {
+    return method ? this.calls.filter(name => name === method).length : this.calls.length;
+  }
+
+  call(method, fn) {
+    this.calls.push(method);
+    this.clock.advance(this.msPerCall);
+    const fault = this.faults.find(f => f.method === method && f.remaining > 0);
+    if (fault) {
+      fault.remaining--;
+      if (fault.afterApplying) fn();
+      throw apiError(method, fault.error.code, fault.error.message);
+    }
+    return fn();
+  }
+
+  stamp() {
+    return new Date(this.clock.now()).toISOString();
+  }
+
+  // --- Seeding and inspection helpers for scenarios ---
+
+  /**
+   * Creates a list directly, bypassing call accounting.
+   * @param {string} title The list title.
+   * @param {Array<object>} [tasks] Tasks to add, in order. A task may carry `children`.
+   * @returns {string} The new list ID.
+   */
+  seedList(title, tasks = []) {
+    const list = this.createList(title);
+    for (const task of tasks) {
+      this.seedTask(list.id, task);
+    }
+    return list.id;
+  }
+
+  /**
+   * Appends a task (and its `children`) to the end of a list, bypassing call accounting.
+   * @param {string} listId The list ID.
+   * @param {object} task The task fields.
+   * @param {string} [parentId] The parent task ID.
+   * @returns {string} The new task ID.
+   */
+  seedTask(listId, task, parentId) {
+    const list = this.lists.get(listId);
+    const siblings = this.siblingsOf(list, parentId || null);
+    const record = this.createTask(list, task, parentId || null, siblings.length ? siblings[siblings.length - 1] : null);
+    if (task.links) record.links = task.links;
+    if (task.hidden !== undefined) record.hidden = task.hidden;
+    for (const child of task.children || []) {
+      this.seedTask(listId, child, record.id);
+    }
+    return record.id;
+  }
+
+  /**
+   * Finds a live list by title.
+   * @param {string} title
+   * @returns {object|undefined}
+   */
+  findList(title) {
+    return [...this.lists.values()].find(list => list.title === title);
+  }
+
+  /**
+   * Returns the titles of all live lists in creation order.
+   * @returns {Array<string>}
+   */
+  listTitles() {
+    return [...this.lists.values()].map(list => list.title);
+  }
+
+  /**
+   * Returns the live tasks of a list as a tree of plain objects, in sibling order.
+   * @param {string} title The list title.
+   * @returns {Array<object>}
+   */
+  tree(title) {
+    const list = this.findList(title);
+    if (!list) return null;
+    const build = (parentId) => this.siblingsOf(list, parentId).map(id => {
+      const task = this.describeTask(list.tasks.get(id));
+      const children = build(id);
+      if (children.length) task.children = children;
+      return task;
+    });
+    return build(null);
+  }
+
+  // --- Tasklists ---
+
+  createList(title) {
+    const list = {
+      id: `list-${this.nextId++}`,
+      title: title,
+      updated: this.stamp(),
+      tasks: new Map(),
+      order: new Map([[null, []]]),
+    };
+    this.lists.set(list.id, list);
+    return list;
+  }
+
+  describeList(list) {
+    return { kind: 'tasks#taskList', id: list.id, title: list.title, updated: list.updated };
+  }
+
+  requireList(method, listId) {
+    const list = this.lists.get(listId);
+    if (!list) throw apiError(method, 404, 'Not Found');
+    return list;
+  }
+
+  listTasklists(options) {
+    const all = [...this.lists.values()];
+    return this.page(all.map(list => this.describeList(list)), options, 1000, this.maxTasklistPage, 'tasks#taskLists');
+  }
+
+  insertTasklist(resource) {
+    if (!resource || !resource.title) throw apiError('tasks.tasklists.insert', 400, 'Invalid Value');
+    return this.describeList(this.createList(resource.title));
+  }
+
+  patchTasklist(resource, listId) {
+    const list = this.requireList('tasks.tasklists.patch', listId);
+    if (resource.title) list.title = resource.title;
+    list.updated = this.stamp();
+    return this.describeList(list);
+  }
+
+  removeTasklist(listId) {
+    this.requireList('tasks.tasklists.delete', listId);
+    this.lists.delete(listId);
+  }
+
+  // --- Tasks ---
+
+  siblingsOf(list, parentId) {
+    if (!list.order.has(parentId)) list.order.set(parentId, []);
+    return list.order.get(parentId);
+  }
+
+  createTask(list, resource, parentId, previousId) {
+    const record = {
+      id: `task-${this.nextId++}`,
+      status: 'needsAction',
+      parent: parentId,
+      updated: this.stamp(),
+      hidden: false,
+      deleted: false,
+    };
+    for (const field of WRITABLE_FIELDS) {
+      if (resource[field] !== undefined && resource[field] !== null) record[field] = resource[field];
+    }
+    if (record.status === 'completed') {
+      record.completed = record.completed || this.stamp();
+      record.hidden = true; // Tasks completed in the Google Tasks UI are hidden.
+    }
+    list.tasks.set(record.id, record);
+    this.place(list, record.id, parentId, previousId);
+    return record;
+  }
+
+  place(list, taskId, parentId, previousId) {
+    const siblings = this.siblingsOf(list, parentId);
+    const index = previousId ? siblings.indexOf(previousId) + 1 : 0;
+    siblings.splice(index, 0, taskId);
+  }
+
+  unplace(list, record) {
+    const siblings = this.siblingsOf(list, record.parent);
+    siblings.splice(siblings.indexOf(record.id), 1);
+  }
+
+  descendantsOf(list, taskId) {
+    const ids = [];
+    for (const childId of this.siblingsOf(list, taskId)) {
+      ids.push(childId, ...this.descendantsOf(list, childId));
+    }
+    return ids;
+  }
+
+  requireTask(method, listId, taskId) {
+    const list = this.requireList(method, listId);
+    const record = list.tasks.get(taskId);
+    if (!record || record.deleted) throw apiError(method, 404, 'Not Found');
+    return record;
+  }
+
+  describeTask(record) {
+    const list = [...this.lists.values()].find(l => l.tasks.get(record.id) === record);
+    const task = { kind: 'tasks#task', id: record.id, title: record.title || '', updated: record.updated, status: record.status };
+    if (record.parent) task.parent = record.parent;
+    if (list && !record.deleted) {
+      task.position = String(this.siblingsOf(list, record.parent).indexOf(record.id)).padStart(20, '0');
+    }
+    for (const field of ['notes', 'due', 'completed', 'recurrence', 'links']) {
+      if (record[field] !== undefined) task[field] = JSON.parse(JSON.stringify(record[field]));
+    }
+    if (record.hidden) task.hidden = true;
+    if (record.deleted) task.deleted = true;
+    task.webViewLink = `https://tasks.google.com/task/${record.id}`;
+    return task;
+  }
+
+  listTasks(listId, options) {
+    const list = this.requireList('tasks.tasks.list', listId);
+    const showCompleted = options.showCompleted !== false;
+    const showHidden = options.showHidden === true;
+    const showDeleted = options.showDeleted === true;
+
+    const ordered = [];
+    const walk = (parentId) => {
+      for (const id of this.siblingsOf(list, parentId)) {
+        ordered.push(list.tasks.get(id));
+        walk(id);
+      }
+    };
+    walk(null);
+    if (showDeleted) {
+      ordered.push(...[...list.tasks.values()].filter(record => record.deleted));
+    }
+
+    const items = ordered.filter(record => {
+      if (record.deleted && !showDeleted) return false;
+      if (record.hidden && !showHidden) return false;
+      if (record.status === 'completed' && !showCompleted) return false;
+      if (options.dueMin && (!record.due || record.due < options.dueMin)) return false;
+      if (options.dueMax && (!record.due || record.due > options.dueMax)) return false;
+      if (options.completedMin && (!record.completed || record.completed < options.completedMin)) return false;
+      if (options.completedMax && (!record.completed || record.completed > options.completedMax)) return false;
+      if (options.updatedMin && record.updated < options.updatedMin) return false;
+      return true;
+    }).map(record => this.describeTask(record));
+
+    return this.page(items, options, 20, this.maxTaskPage, 'tasks#tasks');
+  }
+
+  page(items, options, defaultSize, maxSize, kind) {
+    const size = Math.min(options.maxResults || defaultSize, maxSize);
+    const start = options.pageToken ? parseInt(options.pageToken, 10) : 0;
+    const result = { kind: kind };
+    const pageItems = items.slice(start, start + size);
+    if (pageItems.length) result.items = pageItems;
+    if (start + size < items.length) result.nextPageToken = String(start + size);
+    return result;
+  }
+
+  insertTask(resource, listId, options) {
+    const list = this.requireList('tasks.tasks.insert', listId);
+    const parentId = options.parent || null;
+    if (parentId) this.requireTask('tasks.tasks.insert', listId, parentId);
+    if (options.previous) this.requireTask('tasks.tasks.insert', listId, options.previous);
+    return this.describeTask(this.createTask(list, resource || {}, parentId, options.previous || null));
+  }
+
+  patchTask(resource, listId, taskId) {
+    const record = this.requireTask('tasks.tasks.patch', listId, taskId);
+    for (const field of WRITABLE_FIELDS) {
+      if (resource[field] !== undefined) record[field] = resource[field];
+    }
+    if (resource.status === 'needsAction') {
+      delete record.completed;
+      record.hidden = false;
+    } else if (resource.status === 'completed' && !record.completed) {
+      record.completed = this.stamp();
+    }
+    record.updated = this.stamp();
+    return this.describeTask(record);
+  }
+
+  removeTask(listId, taskId) {
+    const list = this.requireList('tasks.tasks.delete', listId);
+    const record = this.requireTask('tasks.tasks.delete', listId, taskId);
+    for (const id of [taskId, ...this.descendantsOf(list, taskId)]) {
+      const task = list.tasks.get(id);
+      task.deleted = true;
+      task.updated = this.stamp();
+    }
+    this.unplace(list, record);
+  }
+
+  moveTask(listId, taskId, options) {
+    const source = this.requireList('tasks.tasks.move', listId);
+    const record = this.requireTask('tasks.tasks.move', listId, taskId);
+    const dest = options.destinationTasklist ? this.requireList('tasks.tasks.move', options.destinationTasklist) : source;
+    if (dest !== source && record.recurrence) {
+      throw apiError('tasks.tasks.move', 400, 'Recurring tasks cannot be moved to another list.');
+    }
+    const parentId = options.parent || null;
+    if (parentId) this.requireTask('tasks.tasks.move', dest.id, parentId);
+    if (options.previous) this.requireTask('tasks.tasks.move', dest.id, options.previous);
+
+    this.unplace(source, record);
+    if (dest !== source) {
+      const moving = [taskId, ...this.descendantsOf(source, taskId)];
+      for (const id of moving) {
+        const task = source.tasks.get(id);
+        source.tasks.delete(id);
+        dest.tasks.set(id, task);
+        if (id !== taskId) {
+          dest.order.set(id, source.order.get(id) || []);
+          source.order.delete(id);
+        }
+      }
+      dest.order.set(taskId, source.order.get(taskId) || []);
+      source.order.delete(taskId);
+    }
+    record.parent = parentId;
+    record.updated = this.stamp();
+    this.place(dest, taskId, parentId, options.previous || null);
+    return this.describeTask(record);
+  }
+
+  clearTasks(listId) {
+    const list = this.requireList('tasks.tasks.clear', listId);
+    for (const record of list.tasks.values()) {
+      if (record.status === 'completed') record.hidden = true;
+    }
+  }
+}
+
+module.exports = { FakeTasks, apiError };
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Loads the Apps Script project files into a Node `vm` sandbox wired to the
+ * in-memory fakes, so entry points such as `dailyRunner` can run end to end without a Google
+ * account. All project files share one global scope, exactly like an Apps Script project.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { FakeClock } = require('./clock');
+const { FakeTasks } = require('./fakes/tasks');
+const { FakePropertiesService } = require('./fakes/properties');
+const { FakeSpreadsheetApp } = require('./fakes/spreadsheet');
+const { FakeGmailApp } = require('./fakes/gmail');
+const { FakeDriveApp } = require('./fakes/drive');
+const { FakeLockService, FakeScriptApp, FakeSession, FakeHtmlService, FakeUrlFetchApp, FakeUtilities } = require('./fakes/apps_script');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Lists the Apps Script source files of the project (every top-level .js file).
+ * @returns {Array<string>} Absolute paths, in the order clasp pushes them.
+ */
+function projectFiles() {
+  return fs.readdirSync(PROJECT_ROOT)
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => path.join(PROJECT_ROOT, name));
+}
+
+/**
+ * Builds a console that records every line and only prints when HARNESS_VERBOSE is set.
+ * @param {Array<{level: string, message: string}>} logs The array to record into.
+ * @returns {object}
+ */
+function createConsole(logs) {
+  const verbose = Boolean(process.env.HARNESS_VERBOSE);
+  const write = (level) => (...args) => {
+    const message = args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+    logs.push({ level: level, message: message });
+    if (verbose) process.stderr.write(`[${level}] ${message}\n`);
+  };
+  return { log: write('log'), info: write('info'), warn: write('warn'), error: write('error') };
+}
+
+/**
+ * Creates a sandbox with the project loaded.
+ * @param {object} [options]
+ * @param {string} [options.now='2025-07-10T02:00:00'] Wall-clock start time in `timeZone`.
+ * @param {string} [options.timeZone='America/Los_Angeles'] The script time zone.
+ * @param {object} [options.properties] Initial script properties.
+ * @param {object} [options.userProperties] Initial user properties.
+ * @param {boolean} [options.logSheet=true] Create a log spreadsheet and set LOG_SHEET_ID.
+ * @param {string} [options.email='owner@example.com'] The effective user's address.
+ * @param {object} [options.tasks] Options for the Tasks fake (msPerCall, page sizes).
+ * @returns {object} The sandbox handle.
+ */
+function createSandbox(options = {}) {
+  const timeZone = options.timeZone || 'America/Los_Angeles';
+  // Apps Script evaluates Date#getDay() and friends in the script time zone.
+  process.env.TZ = timeZone;
+
+  const clock = new FakeClock(options.now || '2025-07-10T02:00:00');
+  const logs = [];
+  const globals = {
+    Tasks: new FakeTasks(clock, options.tasks),
+    PropertiesService: new FakePropertiesService({ script: options.properties, user: options.userProperties }),
+    SpreadsheetApp: new FakeSpreadsheetApp(),
+    GmailApp: new FakeGmailApp(clock),
+    DriveApp: new FakeDriveApp(),
+    LockService: new FakeLockService(),
+    ScriptApp: new FakeScriptApp(clock),
+    Session: new FakeSession({ email: options.email || 'owner@example.com', timeZone: timeZone }),
+    HtmlService: new FakeHtmlService(PROJECT_ROOT),
+    UrlFetchApp: new FakeUrlFetchApp(),
+    Utilities: new FakeUtilities(clock),
+  };
+
+  let logSpreadsheet = null;
+  if (options.logSheet !== false) {
+    logSpreadsheet = globals.SpreadsheetApp.create('GTaskManager Log');
+    globals.PropertiesService.getScriptProperties().setProperty('LOG_SHEET_ID', logSpreadsheet.getId());
+  }
+
+  const context = vm.createContext(Object.assign({}, globals, {
+    Date: clock.createDateClass(),
+    console: createConsole(logs),
+  }));
+  for (const file of projectFiles()) {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+
+  return {
+    clock: clock,
+    logs: logs,
+    context: context,
+    tasks: globals.Tasks,
+    properties: globals.PropertiesService.getScriptProperties(),
+    userProperties: globals.PropertiesService.getUserProperties(),
+    spreadsheets: globals.SpreadsheetApp,
+    gmail: globals.GmailApp,
+    drive: globals.DriveApp,
+    lock: globals.LockService,
+    scriptApp: globals.ScriptApp,
+    urlFetch: globals.UrlFetchApp,
+    utilities: globals.Utilities,
+
+    /**
+     * Calls a global function of the project.
+     * @param {string} name The function name, e.g. "dailyRunner".
+     * @param {...*} args Arguments to pass.
+     * @returns {*} The function's return value.
+     */
+    run(name, ...args) {
+      if (typeof context[name] !== 'function') {
+        throw new Error(`The project does not define a global function named ${name}.`);
+      }
+      return context[name](...args);
+    },
+
+    /**
+     * Reads any global binding of the project, including top-level `const` modules.
+     * @param {string} name The binding name, e.g. "ListService".
+     * @returns {*}
+     */
+    get(name) {
+      return vm.runInContext(name, context);
+    },
+
+    /**
+     * Returns a tab of the log spreadsheet (or of the spreadsheet LOG_SHEET_ID points to).
+     * @param {string} name The tab name.
+     * @returns {import('./fakes/spreadsheet').FakeSheet|null}
+     */
+    sheet(name) {
+      const id = globals.PropertiesService.getScriptProperties().getProperty('LOG_SHEET_ID');
+      const spreadsheet = id ? globals.SpreadsheetApp.spreadsheets.get(id) : logSpreadsheet;
+      return spreadsheet ? spreadsheet.getSheetByName(name) : null;
+    },
+
+    /**
+     * Reads a tab of the log spreadsheet as objects keyed by its header row.
+     * @param {string} name The tab name, e.g. "Runs" or "Events".
+     * @returns {Array<object>} One object per row below the header; empty if the tab does not exist.
+     */
+    rows(name) {
+      const sheet = this.sheet(name);
+      if (!sheet) return [];
+      const [header, ...rows] = sheet.dump();
+      return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+    },
+
+    /**
+     * Returns the recorded console lines of a level that contain the given text.
+     * @param {string} level "log", "warn" or "error".
+     * @param {string} [text]
+     * @returns {Array<string>}
+     */
+    logged(level, text = '') {
+      return logs.filter(line => line.level === level && line.message.includes(text)).map(line => line.message);
+    },
+  };
+}
+
+module.exports = { createSandbox, projectFiles, PROJECT_ROOT };
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { inboxWithDueTasks, withoutSummary } = require('./fixtures/scenarios');
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+test('only incomplete, top-level, non-recurring tasks due today move from the Inbox to today\'s list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  inboxWithDueTasks(gas);
+
+  gas.run('dailyRunner');
+
+  const today = withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'));
+  assert.deepEqual(titles(today), ['Due today', 'Parent due today']);
+  assert.deepEqual(titles(today[1].children), ['Child of due parent']);
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), [
+    'No due date',
+    'Overdue',
+    'Due tomorrow',
+    'Recurring due today',
+    'Completed due today',
+    'Parent without due date',
+  ]);
+});
+
+test('the due date is compared in the configured time zone', () => {
+  // 23:30 on July 9 in Los Angeles is already July 10 in Berlin.
+  const gas = createSandbox({ now: '2025-07-09T23:30:00', properties: { LOCAL_TIME_ZONE: 'Europe/Berlin' } });
+  inboxWithDueTasks(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'))), ['Due today', 'Parent due today']);
+});
+
+test('AUTO_MOVE_DUE_TASKS=false leaves the Inbox alone', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { AUTO_MOVE_DUE_TASKS: 'false' } });
+  inboxWithDueTasks(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025')), []);
+});
+
+test('Inboxes larger than one result page are processed completely', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const tasks = [];
+  for (let i = 1; i <= 250; i++) {
+    tasks.push({ title: `Task ${i}`, due: i % 50 === 0 ? '2025-07-10T00:00:00.000Z' : '2025-07-20T00:00:00.000Z' });
+  }
+  gas.tasks.seedList('Inbox', tasks);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'))), ['Task 50', 'Task 100', 'Task 150', 'Task 200', 'Task 250']);
+});
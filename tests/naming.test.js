@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { standardRollover } = require('./fixtures/scenarios');
+
+test('list titles are parsed back into dates for every supported format', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const naming = gas.get('ListNaming');
+
+  assert.equal(naming.parseDate('July 9, 2025', 'MMMM d, yyyy', '2025-07-10'), '2025-07-09');
+  assert.equal(naming.parseDate('2025-07-09', 'yyyy-MM-dd', '2025-07-10'), '2025-07-09');
+  assert.equal(naming.parseDate('Wed, Jul 9 \'25', 'EEE, MMM d \'\'yy', '2025-07-10'), '2025-07-09');
+  assert.equal(naming.parseDate('09.07.', 'dd.MM.', '2025-07-10'), '2025-07-09');
+  // Without a year, the nearest date wins, so a late-December list is read as last year's.
+  assert.equal(naming.parseDate('Dec 30', 'MMM d', '2026-01-02'), '2025-12-30');
+  assert.equal(naming.parseDate('February 30, 2025', 'MMMM d, yyyy', '2025-07-10'), null);
+  assert.equal(naming.parseDate('Groceries', 'MMMM d, yyyy', '2025-07-10'), null);
+  assert.throws(() => naming.compile('yyyy-MM-dd HH:mm'), /contains "HH"/);
+  assert.throws(() => naming.compile('yyyy-MM'), /must contain a month \(M\) and a day \(d\)/);
+});
+
+test('a custom format names the lists and still recognises lists in the default format', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { DAILY_LIST_DATE_FORMAT: 'yyyy-MM-dd (EEE)' } });
+  standardRollover(gas);
+  gas.tasks.seedList('[Daily] 2025-07-08 (Tue)', [{ title: 'From the new format' }]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', 'Groceries', '[Daily] 2025-07-10 (Thu)']);
+  assert.equal(gas.tasks.tree('Inbox').length, 6);
+});
+
+test('lists dated today or later are kept, and LOOKAHEAD_DAYS creates the missing ones', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { LOOKAHEAD_DAYS: '2' } });
+  standardRollover(gas);
+  gas.tasks.seedList('[Daily] July 11, 2025', [{ title: 'Planned for tomorrow' }]);
+  gas.tasks.seedList('[Daily] August 1, 2025', [{ title: 'Far ahead' }]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.listTitles(), [
+    'Inbox',
+    'Groceries',
+    '[Daily] July 11, 2025',
+    '[Daily] August 1, 2025',
+    '[Daily] July 10, 2025',
+    '[Daily] July 12, 2025',
+  ]);
+  assert.equal(gas.tasks.tree('[Daily] July 11, 2025')[0].title, 'Planned for tomorrow');
+  assert.equal(gas.rows('Runs')[0].ListCreated, 2);
+});
+
+test('an existing list for today in another format is used instead of creating a new one', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { DAILY_LIST_DATE_FORMAT: 'yyyy-MM-dd' } });
+  standardRollover(gas);
+  gas.tasks.seedList('[Daily] July 10, 2025');
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', 'Groceries', '[Daily] July 10, 2025']);
+});
+
+test('daily lists with an unreadable date are skipped and reported', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.seedList('[Daily] Someday', [{ title: 'Keep me' }]);
+
+  gas.run('dailyRunner');
+
+  assert.ok(gas.tasks.findList('[Daily] Someday'));
+  assert.match(gas.rows('Runs')[0].Notes, /Skipped list\(s\) with an unreadable date: "\[Daily\] Someday"\./);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { runHistory } = require('./fixtures/scenarios');
+
+const WEBHOOK = 'https://chat.example.com/v1/spaces/AAA/messages?key=k';
+
+test('a repeated failure alerts once per NOTIFY_DEDUPE_DAYS, and the next good run sends a recovery notice', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Stays put' }]);
+
+  gas.run('dailyRunner');
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+  gas.clock.set('2025-07-12T02:00:00');
+  gas.run('dailyRunner');
+
+  assert.equal(gas.gmail.sentWithSubject('has failed').length, 1);
+  assert.ok(gas.logs.some(line => /^Not repeating the alert "Google Tasks Script has failed!"/.test(line.message)));
+
+  gas.clock.set('2025-07-13T02:00:00');
+  gas.run('dailyRunner');
+  assert.equal(gas.gmail.sentWithSubject('has failed').length, 2);
+
+  gas.tasks.seedList('Inbox');
+  gas.clock.set('2025-07-14T02:00:00');
+  gas.run('dailyRunner');
+
+  const [recovery] = gas.gmail.sentWithSubject('Resolved: Google Tasks Script has failed!');
+  assert.equal(recovery.to, 'owner@example.com');
+  assert.match(recovery.body, /^This works again, after 4 failure\(s\) since July 10, 2025 02:00\./);
+  assert.equal(gas.properties.getProperty('NOTIFY_STATE'), null);
+
+  gas.clock.set('2025-07-15T02:00:00');
+  gas.run('dailyRunner');
+  assert.equal(gas.gmail.sentWithSubject('Resolved').length, 1);
+});
+
+test('the webhook and log channels replace email for alerts, and reports are emailed whatever NOTIFY_MIN_SEVERITY is', () => {
+  const gas = createSandbox({
+    now: '2025-07-14T02:00:00',
+    properties: { NOTIFY_CHANNELS: 'webhook, log', NOTIFY_WEBHOOK_URL: WEBHOOK, NOTIFY_DEDUPE_DAYS: '0' },
+  });
+  runHistory(gas, { lastDay: '2025-07-13', inboxAdds: [2] });
+  gas.urlFetch.respondWith(503, 'Service Unavailable');
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.gmail.outbox, []);
+  const [alert, ...others] = gas.urlFetch.payloads(WEBHOOK);
+  assert.equal(others.length, 1); // The 503 was retried.
+  assert.match(alert.text, /^\*Google Tasks Script has failed!\*\nThe daily task rollover script .*\n\nError: Inbox list "Inbox" not found\./s);
+  const [logged] = gas.rows('Notifications');
+  assert.equal(logged.Severity, 'error');
+  assert.equal(logged.Source, 'daily-run');
+  assert.equal(logged.Subject, 'Google Tasks Script has failed!');
+
+  gas.run('sendWeeklyDigest');
+  assert.equal(gas.gmail.sentWithSubject('Weekly Digest').length, 1);
+  assert.match(gas.urlFetch.payloads(WEBHOOK)[2].text, /^\*GTaskManager - Weekly Digest/);
+  assert.equal(gas.rows('Notifications')[1].Severity, 'info');
+
+  gas.properties.setProperty('NOTIFY_MIN_SEVERITY', 'warning');
+  gas.run('sendWeeklyDigest');
+  assert.equal(gas.gmail.sentWithSubject('Weekly Digest').length, 2);
+  assert.equal(gas.urlFetch.requests.length, 4);
+  assert.equal(gas.rows('Notifications').length, 3);
+});
+
+test('invalid notification settings are reported by validateConfig and fall back to email', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { NOTIFY_CHANNELS: 'webhook, pager' } });
+
+  const report = gas.run('validateConfig');
+  assert.deepEqual([...report.errors], [
+    'NOTIFY_CHANNELS: unknown channel(s) "pager". Use "email", "webhook", "log" or "none".',
+  ]);
+
+  gas.properties.setProperty('NOTIFY_CHANNELS', 'webhook');
+  assert.deepEqual([...gas.run('validateConfig').errors], [
+    'NOTIFY_WEBHOOK_URL must be an https:// URL when NOTIFY_CHANNELS includes "webhook".',
+  ]);
+
+  gas.run('dailyRunner');
+  assert.equal(gas.gmail.sentWithSubject('has failed').length, 1);
+  assert.deepEqual(gas.urlFetch.requests, []);
+});
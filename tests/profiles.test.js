@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { runHistory } = require('./fixtures/scenarios');
+
+const PROFILES = JSON.stringify({
+  alice: { DAILY_LIST_PREFIX: '[Day]', INBOX_LIST_NAME: 'Alice Inbox', REPORT_RECIPIENT: 'alice@example.com' },
+  bob: { DAILY_TRIGGER_HOUR: 6 },
+});
+
+test('the active profile of the user overrides the script properties, and cached values stay per user', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { CONFIG_PROFILES: PROFILES } });
+  gas.tasks.seedList('Alice Inbox');
+  gas.tasks.seedList('[Day] July 9, 2025', [{ title: 'Alice task' }]);
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Not managed by this profile' }]);
+
+  gas.run('useProfile', 'alice');
+  gas.run('setup');
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.tree('Alice Inbox').map(task => task.title), ['Alice task']);
+  assert.ok(gas.tasks.findList('[Day] July 10, 2025'));
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.equal(gas.userProperties.getProperty('ACTIVE_PROFILE'), 'alice');
+  assert.equal(gas.userProperties.getProperty('INBOX_LIST_ID'), gas.tasks.findList('Alice Inbox').id);
+  assert.equal(gas.properties.getProperty('INBOX_LIST_ID'), null);
+
+  runHistory(gas, { lastDay: '2025-07-14', inboxAdds: [1] });
+  gas.run('sendWeeklyDigest');
+  assert.equal(gas.gmail.sentWithSubject('Weekly Digest')[0].to, 'alice@example.com');
+
+  assert.throws(() => gas.run('useProfile', 'carol'), /There is no profile "carol" in CONFIG_PROFILES\./);
+});
+
+test('validateConfig reports bad values, and dailyRunner refuses to run with them', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: {
+      CONFIG_PROFILES: JSON.stringify({ bob: { DAILY_TRIGGER_HOUR: 24, ACTIVE_PROFILE: 'alice' } }),
+      LOCAL_TIME_ZONE: 'Mars/Olympus_Mons',
+      TRACK_ROLLOVER_COUNT: 'yes',
+    },
+    userProperties: { ACTIVE_PROFILE: 'bob' },
+  });
+  gas.tasks.seedList('Inbox');
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Stays' }]);
+
+  const report = gas.run('validateConfig');
+  assert.equal(report.profile, 'bob');
+  assert.deepEqual([...report.errors], [
+    'DAILY_TRIGGER_HOUR is "24". Use a whole number from 0 to 23.',
+    'TRACK_ROLLOVER_COUNT is "yes". Use true or false.',
+    'LOCAL_TIME_ZONE is "Mars/Olympus_Mons", which is not an IANA time zone such as "America/New_York".',
+  ]);
+  assert.deepEqual([...report.warnings], ['Profile "bob" sets ACTIVE_PROFILE, which is ignored in a profile.']);
+
+  gas.run('dailyRunner');
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(gas.gmail.sentWithSubject('has failed')[0].body, /Error: DAILY_TRIGGER_HOUR is "24"\./);
+  assert.throws(() => gas.run('setup'), /The configuration has 3 error\(s\)/);
+});
+
+test('an invalid setting fails the run before the checkpoint, the triggers or the log sheet change', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { MAX_RETRIES: '99' } });
+  gas.tasks.seedList('Inbox');
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Stays' }]);
+  const v1Header = ['Timestamp', 'InboxAdds', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes', 'Retries'];
+  gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Runs').appendRow(v1Header);
+  const checkpoint = JSON.stringify({ todayTitle: 'July 9, 2025', continuations: 1, pendingListIds: [], cursor: null, stats: {} });
+  gas.properties.setProperty('ROLLOVER_CHECKPOINT', checkpoint);
+  gas.scriptApp.newTrigger('resumeDailyRunner').timeBased().after(60 * 1000).create();
+
+  const result = gas.run('runDailyRollover');
+
+  assert.equal(result.status, 'failed');
+  assert.match(result.notes, /^FATAL: MAX_RETRIES is "99"\./);
+  assert.equal(gas.properties.getProperty('ROLLOVER_CHECKPOINT'), checkpoint);
+  assert.equal(gas.scriptApp.triggersFor('resumeDailyRunner').length, 1);
+  assert.deepEqual(gas.sheet('Runs').dump(), [v1Header]);
+  assert.equal(gas.sheet('Events'), null);
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.equal(gas.gmail.sentWithSubject('has failed').length, 1);
+});
+
+test('a missing active profile fails the run instead of falling back to the script properties', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { CONFIG_PROFILES: PROFILES },
+    userProperties: { ACTIVE_PROFILE: 'carol' },
+  });
+  gas.tasks.seedList('Inbox');
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Stays' }]);
+
+  const report = gas.run('validateConfig');
+  assert.deepEqual([...report.errors], ['ACTIVE_PROFILE is "carol", but CONFIG_PROFILES has no such profile.']);
+  gas.run('dailyRunner');
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(gas.gmail.sentWithSubject('has failed')[0].body, /Error: ACTIVE_PROFILE is "carol"/);
+});
+
+test('a run reads the properties once, however many tasks it rolls over', () => {
+  const reads = (taskCount) => {
+    const gas = createSandbox({
+      now: '2025-07-10T02:00:00',
+      properties: { CONFIG_PROFILES: PROFILES, TRACK_ROLLOVER_COUNT: 'true' },
+      userProperties: { ACTIVE_PROFILE: 'bob' },
+    });
+    gas.tasks.seedList('Inbox');
+    gas.tasks.seedList('[Daily] July 9, 2025', Array.from({ length: taskCount }, (_, i) => ({ title: `Task ${i + 1}` })));
+    gas.properties.reads = 0;
+    gas.userProperties.reads = 0;
+    gas.run('dailyRunner');
+    assert.equal(gas.tasks.tree('Inbox').length, taskCount);
+    return gas.properties.reads + gas.userProperties.reads;
+  };
+
+  assert.equal(reads(20), reads(1));
+  assert.ok(reads(1) <= 4);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { withoutSummary } = require('./fixtures/scenarios');
+
+/**
+ * A stale list with two missed recurring instances and a one-off task. A copy of "Water plants"
+ * is already waiting in the Inbox from an earlier rollover.
+ */
+function missedInstances(gas) {
+  const inboxId = gas.tasks.seedList('Inbox', [{ title: 'Water plants', recurrence: 'RRULE:FREQ=DAILY' }]);
+  const staleListId = gas.tasks.seedList('[Daily] July 9, 2025', [
+    { title: 'Water plants', recurrence: 'RRULE:FREQ=DAILY' },
+    { title: 'Call the bank' },
+    { title: 'Pay rent', recurrence: 'RRULE:FREQ=MONTHLY', notes: 'Standing order failed.' },
+  ]);
+  return { inboxId, staleListId };
+}
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+test('keep-one rolls a missed recurring instance over once and never counts it', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  missedInstances(gas);
+
+  gas.run('dailyRunner');
+
+  const inbox = gas.tasks.tree('Inbox');
+  assert.deepEqual(titles(inbox), ['Call the bank', 'Pay rent', 'Water plants']);
+  assert.equal(inbox.find(task => task.title === 'Call the bank').notes, 'Rollover Count: 1\nFirst Rollover: 2025-07-10');
+  assert.equal(inbox.find(task => task.title === 'Pay rent').notes, 'Standing order failed.');
+  assert.equal(gas.tasks.findList('[Daily] July 9, 2025'), undefined);
+
+  const [run] = gas.rows('Runs');
+  assert.equal(run.ListDeleted, 1);
+  assert.deepEqual(JSON.parse(run.Recurring), { rolledOver: 1, dropped: 1, movedToToday: 0 });
+  const events = gas.rows('Events');
+  assert.deepEqual(events.filter(event => event.Action === 'dropped').map(event => event.TaskTitle), ['Water plants']);
+  assert.equal(events.find(event => event.Action === 'rolled-over' && event.TaskTitle === 'Pay rent').RolloverCount, '');
+});
+
+test('drop leaves every missed recurring instance to be deleted with its list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { RECURRING_TASK_POLICY: 'drop' } });
+  missedInstances(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Call the bank', 'Water plants']);
+  assert.equal(gas.tasks.findList('[Daily] July 9, 2025'), undefined);
+  const [run] = gas.rows('Runs');
+  assert.deepEqual(JSON.parse(run.Recurring), { rolledOver: 0, dropped: 2, movedToToday: 0 });
+  // The dropped instances are still in the snapshot of the deleted list, taken before the rollover.
+  const snapshot = JSON.parse(gas.rows('Archive')[0].Data);
+  assert.deepEqual(titles(snapshot.tasks), ['Water plants', 'Call the bank', 'Pay rent']);
+});
+
+test('today moves missed recurring instances to today\'s list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { RECURRING_TASK_POLICY: 'Today' } });
+  missedInstances(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'))), ['Water plants', 'Pay rent']);
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Call the bank', 'Water plants']);
+  const [run] = gas.rows('Runs');
+  assert.deepEqual(JSON.parse(run.Recurring), { rolledOver: 0, dropped: 0, movedToToday: 2 });
+  const summary = gas.tasks.tree('[Daily] July 10, 2025')[0];
+  assert.match(summary.notes, /Missed recurring tasks: 0 rolled over, 2 moved to today, 0 dropped\./);
+});
+
+test('an unknown RECURRING_TASK_POLICY fails the run before any list is deleted', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { RECURRING_TASK_POLICY: 'skip' } });
+  missedInstances(gas);
+
+  const result = gas.run('runDailyRollover');
+
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(result.notes, /FATAL: RECURRING_TASK_POLICY is "skip"\. Use one of: drop, keep-one, today\./);
+});
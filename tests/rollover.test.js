@@ -0,0 +1,196 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { standardRollover, withoutSummary } = require('./fixtures/scenarios');
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+test('dailyRunner rolls incomplete task trees into the Inbox and replaces the stale list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', 'Groceries', '[Daily] July 10, 2025']);
+  const inbox = gas.tasks.tree('Inbox');
+  assert.deepEqual(titles(inbox), [
+    'Incomplete Task 1 (Simple)',
+    'Incomplete Task 2 (With Notes)',
+    'Task with existing rollover',
+    'Project with subtasks',
+    'Already in the Inbox',
+  ]);
+  assert.equal(inbox[0].notes, 'Rollover Count: 1\nFirst Rollover: 2025-07-10');
+  assert.equal(inbox[1].notes, 'This task has some notes.\n\nRollover Count: 1\nFirst Rollover: 2025-07-10');
+  assert.equal(inbox[2].notes, 'This task has been rolled over before.\n\nRollover Count: 4\nFirst Rollover: 2025-07-10');
+  assert.deepEqual(titles(inbox[3].children), ['Step 1', 'Step 2', 'Step 3']);
+  assert.equal(inbox[3].children[0].status, 'completed');
+  assert.deepEqual(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025')), []);
+});
+
+test('dailyRunner logs the run, including the completed tasks of the stale list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.sheet('Runs').dump()[0], [
+    'Timestamp', 'InboxAdds', 'InboxMoves', 'ListDeleted', 'ListCreated', 'CompletedTasks', 'Notes', 'Retries', 'Series', 'RuleMatches', 'RunId', 'Recurring', 'Aging', 'Captured', 'Templates', 'ApiCalls', 'InboxScan',
+  ]);
+  const runs = gas.rows('Runs');
+  assert.equal(runs.length, 1);
+  const run = runs[0];
+  assert.equal(run.Timestamp.toISOString(), '2025-07-10T09:00:00.000Z');
+  // Completed subtasks of an incomplete parent travel with their parent instead.
+  assert.deepEqual([run.InboxAdds, run.InboxMoves, run.ListDeleted, run.ListCreated, run.CompletedTasks, run.Notes], [4, 0, 1, 1, 1, '']);
+  assert.ok(run.RunId);
+  assert.equal(gas.gmail.outbox.length, 0);
+});
+
+test('a second run on the same day changes nothing', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.run('dailyRunner');
+  const inboxBefore = gas.tasks.tree('Inbox');
+
+  gas.clock.advance(60 * 60 * 1000);
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.tree('Inbox'), inboxBefore);
+  const secondRun = gas.rows('Runs')[1];
+  assert.deepEqual([secondRun.InboxAdds, secondRun.ListDeleted, secondRun.ListCreated], [0, 0, 0]);
+});
+
+test('the dummy data from testing_utils is rolled over like a real stale list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox');
+  gas.run('createYesterdayListWithDummyData');
+  const staleOrder = titles(gas.tasks.tree('[Daily] July 9, 2025')).filter(title => title !== 'Completed Task');
+
+  gas.run('dailyRunner');
+
+  // The tasks keep the order they had in the stale list.
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), staleOrder);
+  assert.equal(staleOrder.length, 4);
+});
+
+test('a missing Inbox fails the run, logs it and notifies the owner', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Stays put' }]);
+
+  gas.run('dailyRunner');
+
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(gas.rows('Runs')[0].Notes, /^FATAL: Inbox list "Inbox" not found\./);
+  assert.equal(gas.gmail.sentWithSubject('has failed').length, 1);
+});
+
+test('dailyRunner does nothing while another instance holds the lock', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.lock.heldByOther = true;
+
+  gas.run('dailyRunner');
+
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.equal(gas.sheet('Runs'), null);
+});
+
+test('a dry run records the plan without touching the lists', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { DRY_RUN: 'true', DRY_RUN_EMAIL_PLAN: 'true' } });
+  standardRollover(gas);
+  const inboxBefore = gas.tasks.tree('Inbox');
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', '[Daily] July 9, 2025', 'Groceries']);
+  assert.deepEqual(gas.tasks.tree('Inbox'), inboxBefore);
+  assert.equal(gas.sheet('Runs'), null);
+  assert.equal(gas.sheet('Events'), null);
+  const plan = gas.sheet('DryRun').dump().slice(1).map(row => row[2]);
+  assert.ok(plan.includes('Would create the "Runs" sheet'));
+  assert.ok(plan.includes('Would create the "Events" sheet'));
+  assert.ok(plan.includes('Would bump Rollover Count 3→4 on task "Task with existing rollover"'));
+  assert.ok(plan.includes('Would move task "Project with subtasks" from "[Daily] July 9, 2025" to "Inbox"'));
+  assert.ok(plan.includes('Would delete list "[Daily] July 9, 2025"'));
+  assert.ok(plan.includes('Would create list "[Daily] July 10, 2025"'));
+  assert.equal(gas.gmail.sentWithSubject('Dry Run Plan').length, 1);
+});
+
+test('a failed dry run records the alert in the plan instead of sending it', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { DRY_RUN: 'true' } });
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Stays put' }]);
+
+  assert.equal(gas.run('runDailyRollover').status, 'failed');
+
+  assert.deepEqual(gas.gmail.outbox, []);
+  assert.equal(gas.properties.getProperty('NOTIFY_STATE'), null);
+  const plan = gas.sheet('DryRun').dump().slice(1).map(row => row[2]);
+  assert.ok(plan.some(line => line.startsWith('Would send the error alert "Google Tasks Script has failed!"')));
+});
+
+test('transient API errors are retried and counted', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.failNext('tasks.tasks.move', { code: 503, message: 'Backend Error' }, 2);
+  gas.tasks.failNext('tasks.tasklists.list', { code: 429, message: 'Rate Limit Exceeded' });
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.tree('Inbox').length, 5);
+  assert.equal(gas.rows('Runs')[0].Retries, 3);
+  assert.equal(gas.utilities.sleeps.length, 3);
+});
+
+test('inserts are not retried after a backend error, and a retried removal that already went through succeeds', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.failNext('tasks.tasklists.delete', { code: 503, message: 'Backend Error' }, 1, { afterApplying: true });
+  gas.tasks.failNext('tasks.tasks.delete', { code: 500, message: 'Internal Error' }, 1, { afterApplying: true });
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.findList('[Daily] July 9, 2025'), undefined);
+  assert.equal(gas.tasks.callCount('tasks.tasklists.delete'), 2);
+  assert.equal(gas.rows('Runs')[0].ListDeleted, 1);
+  assert.equal(gas.tasks.tree('Inbox').length, 5);
+
+  const later = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(later);
+  later.tasks.failNext('tasks.tasks.insert', { code: 503, message: 'Backend Error' }, 1, { afterApplying: true });
+
+  later.run('dailyRunner');
+
+  // The summary task is the run's only insert: it was created once and not inserted again.
+  assert.equal(later.tasks.callCount('tasks.tasks.insert'), 1);
+  assert.equal(later.tasks.tree('[Daily] July 10, 2025').length, 1);
+  assert.match(later.rows('Runs')[0].Notes, /Could not write the summary task: API call to tasks.tasks.insert failed with error: Backend Error/);
+});
+
+test('a move that went through before a backend error is not copied a second time', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.failNext('tasks.tasks.move', { code: 503, message: 'Backend Error' }, 1, { afterApplying: true });
+
+  gas.run('dailyRunner');
+
+  const inbox = gas.tasks.tree('Inbox');
+  assert.equal(inbox.length, 5);
+  assert.equal(new Set(inbox.map(task => task.title)).size, 5);
+  assert.equal(gas.tasks.callCount('tasks.tasks.insert'), 1); // Only the summary task.
+  assert.doesNotMatch(gas.rows('Runs')[0].Notes, /copied instead of moved/);
+});
+
+test('permanent API errors are not retried', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.failNext('tasks.tasklists.delete', { code: 404, message: 'Not Found' });
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.callCount('tasks.tasklists.delete'), 1);
+  assert.match(gas.rows('Runs')[0].Notes, /FATAL: API call to tasks.tasklists.delete failed with error: Not Found/);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, inboxWithDueTasks, withoutSummary } = require('./fixtures/scenarios');
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+function rulesSandbox(rules) {
+  return createSandbox({ now: '2025-07-10T02:00:00', properties: { INBOX_RULES: JSON.stringify(rules) } });
+}
+
+test('without configured rules, the default rule moves tasks due today and reports its matches', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  inboxWithDueTasks(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(JSON.parse(gas.rows('Runs')[0].RuleMatches), { 'Due today': 2 });
+});
+
+test('rules match on due dates, title, notes, rollover count and email links; the first match wins', () => {
+  const gas = rulesSandbox([
+    { name: 'Keep email', hasEmailLink: true, action: 'keep' },
+    { name: 'Errands', title: '^buy ', action: 'list', list: 'Errands' },
+    { name: 'Stuck', minRolloverCount: 3, action: 'list', list: 'Someday' },
+    { name: 'Urgent notes', notes: '#urgent', action: 'today' },
+    { name: 'Overdue', due: 'overdue', action: 'today' },
+    { name: 'This week', dueWithinDays: 3, action: 'today' },
+    { name: 'Unused', due: 'none', title: 'nothing matches this', action: 'today' },
+  ]);
+  gas.tasks.seedList('Inbox', [
+    { title: 'Buy milk', due: due('2025-07-08'), links: [{ type: 'email', link: 'https://mail.google.com/mail/#all/1' }] },
+    { title: 'Buy bread' },
+    { title: 'Learn Italian', notes: 'Rollover Count: 5' },
+    { title: 'Call the bank', notes: 'Before noon #URGENT' },
+    { title: 'Pay rent', due: due('2025-07-01') },
+    { title: 'Dentist', due: due('2025-07-13') },
+    { title: 'Holiday', due: due('2025-07-20') },
+  ]);
+  gas.tasks.seedList('Errands');
+  gas.tasks.seedList('Someday');
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'))), ['Call the bank', 'Pay rent', 'Dentist']);
+  assert.deepEqual(titles(gas.tasks.tree('Errands')), ['Buy bread']);
+  assert.deepEqual(titles(gas.tasks.tree('Someday')), ['Learn Italian']);
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Buy milk', 'Holiday']);
+  assert.deepEqual(JSON.parse(gas.rows('Runs')[0].RuleMatches), {
+    'Keep email': 1, Errands: 1, Stuck: 1, 'Urgent notes': 1, Overdue: 1, 'This week': 1, Unused: 0,
+  });
+});
+
+test('recurring tasks only match rules that ask for them', () => {
+  const gas = rulesSandbox([{ name: 'Everything', action: 'today' }]);
+  gas.tasks.seedList('Inbox', [
+    { title: 'Plain' },
+    { title: 'Daily standup', recurrence: 'RRULE:FREQ=DAILY' },
+  ]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Daily standup']);
+});
+
+test('rules can be kept in a "Rules" tab of the log sheet', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox', [{ title: 'Pay rent', due: due('2025-07-01') }, { title: 'Later', due: due('2025-08-01') }]);
+  const sheet = gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Rules');
+  sheet.appendRow(['Name', 'Title', 'Due', 'DueWithinDays', 'HasEmailLink', 'Action', 'List']);
+  sheet.appendRow(['Overdue', '', 'overdue', '', false, 'today', '']);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'))), ['Pay rent']);
+  assert.deepEqual(JSON.parse(gas.rows('Runs')[0].RuleMatches), { Overdue: 1 });
+});
+
+test('a missing destination list keeps the tasks in the Inbox and is noted', () => {
+  const gas = rulesSandbox([{ name: 'Errands', title: '^buy ', action: 'list', list: 'Errands' }]);
+  gas.tasks.seedList('Inbox', [{ title: 'Buy milk' }]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Buy milk']);
+  assert.match(gas.rows('Runs')[0].Notes, /Inbox rule "Errands": list "Errands" not found/);
+});
+
+test('invalid rules fail the run with a message naming the rule', () => {
+  const gas = rulesSandbox([{ name: 'Broken', title: '(unclosed', action: 'today' }]);
+  gas.tasks.seedList('Inbox', [{ title: 'Stays' }]);
+
+  const result = gas.run('runDailyRollover');
+
+  assert.match(result.notes, /FATAL: Inbox rule "Broken": "title" is not a valid regular expression/);
+});
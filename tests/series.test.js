@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { standardRollover } = require('./fixtures/scenarios');
+
+const WEEK_AND_MONTH = JSON.stringify([
+  { name: 'week', prefix: '[Week]', period: 'week', rolloverTo: 'next' },
+  { name: 'month', prefix: '[Month]', period: 'month' },
+]);
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+test('weeks are keyed by ISO 8601 week, including at year boundaries', () => {
+  const gas = createSandbox();
+  const week = gas.get('ListSeries').PERIODS.week;
+
+  assert.equal(week.getKey('2025-07-10'), '2025-W28');
+  assert.equal(week.getKey('2025-07-07'), '2025-W28');
+  assert.equal(week.getKey('2025-07-06'), '2025-W27');
+  assert.equal(week.getKey('2024-12-30'), '2025-W01');
+  assert.equal(week.getKey('2021-01-03'), '2020-W53');
+});
+
+test('the current week and month lists are created next to the daily list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { LIST_SERIES: WEEK_AND_MONTH } });
+  standardRollover(gas);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', 'Groceries', '[Week] 2025-W28', '[Month] July 2025', '[Daily] July 10, 2025']);
+  assert.deepEqual(JSON.parse(gas.rows('Runs')[0].Series), {
+    week: { listCreated: 1, listDeleted: 0, rolledOver: 0, dailyAdds: 0 },
+    month: { listCreated: 1, listDeleted: 0, rolledOver: 0, dailyAdds: 0 },
+  });
+});
+
+test('past weeks roll into the current week and past months into the Inbox', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { LIST_SERIES: WEEK_AND_MONTH } });
+  gas.tasks.seedList('Inbox');
+  gas.tasks.seedList('[Week] 2025-W27', [{ title: 'Weekly goal' }, { title: 'Done', status: 'completed' }]);
+  gas.tasks.seedList('[Week] 2025-W28', [{ title: 'This week' }]);
+  gas.tasks.seedList('[Month] June 2025', [{ title: 'Monthly goal' }]);
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(titles(gas.tasks.tree('[Week] 2025-W28')), ['Weekly goal', 'This week']);
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Monthly goal']);
+  const run = gas.rows('Runs')[0];
+  assert.deepEqual([run.InboxAdds, run.CompletedTasks], [1, 1]);
+  assert.deepEqual(JSON.parse(run.Series), {
+    week: { listCreated: 0, listDeleted: 1, rolledOver: 1, dailyAdds: 0 },
+    month: { listCreated: 1, listDeleted: 1, rolledOver: 1, dailyAdds: 0 },
+  });
+});
+
+test('DAILY_ROLLOVER_DESTINATION sends unfinished daily tasks to the current week', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { LIST_SERIES: WEEK_AND_MONTH, DAILY_ROLLOVER_DESTINATION: 'week' },
+  });
+  standardRollover(gas);
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.tree('[Week] 2025-W28').length, 4);
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Already in the Inbox']);
+  const run = gas.rows('Runs')[0];
+  assert.equal(run.InboxAdds, 0);
+  assert.equal(JSON.parse(run.Series).week.dailyAdds, 4);
+});
+
+test('an invalid series configuration fails the run before anything is changed', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { LIST_SERIES: JSON.stringify([{ prefix: '[Quarter]', period: 'quarter' }]) },
+  });
+  standardRollover(gas);
+
+  const result = gas.run('runDailyRollover');
+
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(result.notes, /FATAL: LIST_SERIES: series "quarter" has the unknown period "quarter"/);
+});
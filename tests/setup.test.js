@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+
+test('setup creates the log sheet, caches the Inbox ID and installs one daily trigger', () => {
+  const gas = createSandbox({ logSheet: false, properties: { DAILY_TRIGGER_HOUR: '2' } });
+  const inboxId = gas.tasks.seedList('Inbox');
+
+  gas.run('setup');
+  gas.run('setup');
+
+  assert.ok(gas.properties.getProperty('LOG_SHEET_ID'));
+  assert.ok(gas.sheet('Runs'));
+  assert.equal(gas.properties.getProperty('INBOX_LIST_ID'), inboxId);
+  const triggers = gas.scriptApp.triggersFor('dailyRunner');
+  assert.equal(triggers.length, 1);
+  assert.deepEqual(triggers[0].config, { everyDays: 1, atHour: 2, timeZone: 'America/Los_Angeles' });
+});
+
+test('a changed DAILY_TRIGGER_HOUR moves the trigger on the next run', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox');
+  gas.run('setup');
+
+  gas.properties.setProperty('DAILY_TRIGGER_HOUR', '6');
+  gas.run('dailyRunner');
+
+  const triggers = gas.scriptApp.triggersFor('dailyRunner');
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0].config.atHour, 6);
+});
+
+test('uninstall removes the triggers and cached properties but keeps the log sheet', () => {
+  const gas = createSandbox({ logSheet: false });
+  gas.run('setup');
+
+  gas.run('uninstall');
+
+  assert.equal(gas.scriptApp.triggers.length, 0);
+  assert.equal(gas.properties.getProperty('INBOX_LIST_ID'), null);
+  assert.ok(gas.properties.getProperty('LOG_SHEET_ID'));
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox']);
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, standardRollover, largeBacklog } = require('./fixtures/scenarios');
+
+const summaries = (tasks) => tasks.filter(task => (task.notes || '').includes('#gtaskmanager-summary'));
+
+test('the summary task is pinned to the top of today\'s list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.tasks.seedTask(gas.tasks.findList('Inbox').id, { title: 'Due today', due: due('2025-07-10') });
+
+  gas.run('dailyRunner');
+
+  const [summary, ...rest] = gas.tasks.tree('[Daily] July 10, 2025');
+  assert.equal(summary.title, 'Run summary: 4 rolled over, 1 from Inbox');
+  assert.deepEqual(rest.map(task => task.title), ['Due today']);
+  assert.equal(summary.notes, [
+    'Run started July 10, 2025 02:00, updated 02:00.',
+    'Rolled over: 4 task(s) from 1 list(s), 4 of them to the Inbox.',
+    'Moved from the Inbox: 1 task(s).',
+    '',
+    'Most procrastinated:',
+    '- Task with existing rollover (4)',
+    '- Incomplete Task 1 (Simple) (1)',
+    '- Incomplete Task 2 (With Notes) (1)',
+    '- Project with subtasks (1)',
+    '',
+    '#gtaskmanager-summary',
+  ].join('\n'));
+});
+
+test('a rerun updates the summary in place and keeps it on top', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.run('dailyRunner');
+  const firstId = gas.tasks.tree('[Daily] July 10, 2025')[0].id;
+
+  gas.tasks.seedTask(gas.tasks.findList('Inbox').id, { title: 'Added later', due: due('2025-07-10') });
+  gas.clock.advance(60 * 60 * 1000);
+  gas.run('dailyRunner');
+
+  const today = gas.tasks.tree('[Daily] July 10, 2025');
+  assert.equal(summaries(today).length, 1);
+  assert.equal(today[0].id, firstId);
+  assert.equal(today[0].title, 'Run summary: 0 rolled over, 1 from Inbox');
+  assert.deepEqual(today.slice(1).map(task => task.title), ['Added later']);
+});
+
+test('a checked-off summary is reopened by the next update, and counts tasks rolled over to any list', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: {
+      LIST_SERIES: JSON.stringify([{ name: 'week', prefix: '[Week]', period: 'week' }]),
+      DAILY_ROLLOVER_DESTINATION: 'week',
+    },
+  });
+  standardRollover(gas);
+  gas.run('dailyRunner');
+  const todayId = gas.tasks.findList('[Daily] July 10, 2025').id;
+  const [summary] = gas.tasks.tree('[Daily] July 10, 2025');
+  assert.equal(summary.title, 'Run summary: 4 rolled over, 0 from Inbox');
+  assert.match(summary.notes, /\nRolled over: 4 task\(s\) from 1 list\(s\), 0 of them to the Inbox\.\n/);
+
+  gas.tasks.Tasks.patch({ status: 'completed', completed: '2025-07-10T03:00:00.000Z' }, todayId, summary.id);
+  gas.clock.advance(2 * 60 * 60 * 1000);
+  gas.run('dailyRunner');
+
+  const [updated] = gas.tasks.tree('[Daily] July 10, 2025');
+  assert.equal(updated.id, summary.id);
+  assert.equal(updated.status, 'needsAction');
+  assert.equal(updated.completed, undefined);
+  assert.match(updated.notes, /updated 04:00\./);
+});
+
+test('the summary task is neither rolled over nor logged as completed', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.run('dailyRunner');
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+  const summaryCount = summaries(gas.tasks.tree('Inbox')).length;
+
+  gas.clock.set('2025-07-12T02:00:00');
+  const todaySummary = gas.tasks.tree('[Daily] July 11, 2025')[0];
+  gas.tasks.Tasks.patch({ status: 'completed', completed: '2025-07-11T20:00:00.000Z' }, gas.tasks.findList('[Daily] July 11, 2025').id, todaySummary.id);
+  gas.run('dailyRunner');
+
+  assert.equal(summaryCount, 0);
+  assert.equal(summaries(gas.tasks.tree('Inbox')).length, 0);
+  assert.equal(gas.rows('Runs')[2].CompletedTasks, 0);
+});
+
+test('a paused run shows the pause and its continuation updates the same task', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { EXECUTION_TIMEOUT_SECONDS: '10' },
+    tasks: { msPerCall: 1000 },
+  });
+  largeBacklog(gas);
+
+  gas.run('dailyRunner');
+  const paused = summaries(gas.tasks.tree('[Daily] July 10, 2025'));
+  assert.equal(paused.length, 1);
+  assert.match(paused[0].title, /\(paused\)$/);
+  assert.match(paused[0].notes, /Notes: Run paused during rollover due to execution timeout/);
+
+  while (gas.properties.getProperty('ROLLOVER_CHECKPOINT')) {
+    gas.clock.advance(60 * 1000);
+    gas.run('resumeDailyRunner');
+  }
+
+  const done = summaries(gas.tasks.tree('[Daily] July 10, 2025'));
+  assert.equal(done.length, 1);
+  assert.equal(done[0].id, paused[0].id);
+  assert.equal(done[0].title, 'Run summary: 20 rolled over, 0 from Inbox');
+  assert.match(done[0].notes, /Notes: Completed after \d+ continuation\(s\)\./);
+});
+
+test('a failed run marks the summary as failed', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.get('InboxRules').getRules = () => {
+    throw new Error('Service Spreadsheets failed');
+  };
+
+  gas.run('dailyRunner');
+
+  const [summary] = gas.tasks.tree('[Daily] July 10, 2025');
+  assert.equal(summary.title, 'Run summary: 4 rolled over, 0 from Inbox (failed)');
+  assert.match(summary.notes, /Notes: FATAL: Service Spreadsheets failed/);
+});
+
+test('ADD_SUMMARY_TASK=false adds no summary, and a dry run only plans it', () => {
+  const disabled = createSandbox({ now: '2025-07-10T02:00:00', properties: { ADD_SUMMARY_TASK: 'false' } });
+  standardRollover(disabled);
+  disabled.run('dailyRunner');
+  assert.deepEqual(disabled.tasks.tree('[Daily] July 10, 2025'), []);
+
+  const dryRun = createSandbox({ now: '2025-07-10T02:00:00', properties: { DRY_RUN: 'true' } });
+  standardRollover(dryRun);
+  dryRun.run('dailyRunner');
+  const plan = dryRun.sheet('DryRun').dump().map(row => row[2]);
+  assert.ok(plan.includes('Would add task "Run summary: 4 rolled over, 0 from Inbox" to "[Daily] July 10, 2025"'));
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, standardRollover, withoutSummary } = require('./fixtures/scenarios');
+
+const titles = (tasks) => tasks.map(task => task.title);
+
+test('a run reads the task lists once, and lookups outside a run use the stored IDs', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { INBOX_RULES: JSON.stringify([{ name: 'Groceries', title: '^buy ', action: 'list', list: 'Groceries' }]) },
+  });
+  const { inboxId, otherListId } = standardRollover(gas);
+  gas.tasks.seedTask(inboxId, { title: 'Buy bread' });
+
+  gas.run('dailyRunner');
+
+  assert.equal(gas.tasks.callCount('tasks.tasklists.list'), 1);
+  assert.deepEqual(titles(gas.tasks.tree('Groceries')), ['Buy bread', 'Milk']);
+  assert.equal(gas.properties.getProperty('INBOX_LIST_ID'), inboxId);
+  assert.deepEqual(JSON.parse(gas.properties.getProperty('LIST_INDEX')), { Groceries: otherListId });
+  const apiCalls = JSON.parse(gas.rows('Runs')[0].ApiCalls);
+  assert.equal(apiCalls['Tasks.Tasklists.list'], 1);
+  assert.equal(apiCalls.total, Object.keys(apiCalls).filter(key => key !== 'total').reduce((sum, key) => sum + apiCalls[key], 0));
+
+  gas.run('getDashboardData');
+  const listed = gas.tasks.callCount('tasks.tasklists.list');
+  gas.run('getDashboardData');
+  assert.equal(gas.tasks.callCount('tasks.tasklists.list'), listed);
+
+  // A stored ID that no longer fits is replaced.
+  gas.tasks.Tasklists.remove(inboxId);
+  const newInboxId = gas.tasks.seedList('Inbox', [{ title: 'Fresh start' }]);
+  assert.equal(gas.run('getDashboardData').backlog.length, 1);
+  assert.equal(gas.properties.getProperty('INBOX_LIST_ID'), newInboxId);
+});
+
+test('after a full read, the Inbox is read incrementally until the next full read is due', () => {
+  const gas = createSandbox({ now: '2025-07-09T18:00:00', properties: { INBOX_FULL_SCAN_DAYS: '2' } });
+  const inboxId = gas.tasks.seedList('Inbox', [
+    { title: 'Due Friday', due: due('2025-07-11') },
+    { title: 'Buy milk' },
+    { title: 'Someday maybe' },
+    { title: 'Due next week', due: due('2025-07-14') },
+  ]);
+
+  gas.clock.set('2025-07-10T02:00:00');
+  gas.run('dailyRunner');
+  assert.equal(gas.rows('Runs')[0].InboxScan, 'full');
+
+  gas.clock.set('2025-07-11T01:00:00');
+  const milk = gas.tasks.tree('Inbox').find(task => task.title === 'Buy milk');
+  gas.tasks.Tasks.patch({ due: due('2025-07-11') }, inboxId, milk.id);
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+
+  assert.equal(gas.rows('Runs')[1].InboxScan, 'incremental');
+  assert.deepEqual(titles(withoutSummary(gas.tasks.tree('[Daily] July 11, 2025'))), ['Due Friday', 'Buy milk']);
+  assert.ok(gas.logs.some(line => /^Read 2 Inbox task\(s\) changed or coming due since 2025-07-10T08:59:00.000Z/.test(line.message)));
+
+  gas.clock.set('2025-07-12T02:00:00');
+  gas.run('dailyRunner');
+  assert.equal(gas.rows('Runs')[2].InboxScan, 'full');
+});
+
+test('a task left in the Inbox for a missing list is read again by the next run', () => {
+  const rules = [{ name: 'Errands', title: '^buy ', action: 'list', list: 'Errands' }];
+  const gas = createSandbox({ now: '2025-07-10T02:00:00', properties: { INBOX_RULES: JSON.stringify(rules) } });
+  gas.tasks.seedList('Inbox', [{ title: 'Buy stamps' }]);
+
+  gas.run('dailyRunner');
+  assert.deepEqual(titles(gas.tasks.tree('Inbox')), ['Buy stamps']);
+
+  gas.tasks.seedList('Errands');
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+
+  assert.equal(gas.rows('Runs')[1].InboxScan, 'full');
+  assert.deepEqual(titles(gas.tasks.tree('Errands')), ['Buy stamps']);
+
+  gas.properties.setProperty('INBOX_RULES', JSON.stringify(rules.concat({ name: 'Overdue', due: 'overdue', action: 'today' })));
+  gas.clock.set('2025-07-12T02:00:00');
+  gas.run('dailyRunner');
+  assert.equal(gas.rows('Runs')[2].InboxScan, 'full');
+
+  gas.clock.set('2025-07-13T02:00:00');
+  gas.run('dailyRunner');
+  assert.equal(gas.rows('Runs')[3].InboxScan, 'incremental');
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, withoutSummary } = require('./fixtures/scenarios');
+
+const TEMPLATES = [
+  {
+    name: 'Morning',
+    on: 'weekdays',
+    tasks: [
+      { title: 'Plan the day', due: '08:30', notes: 'Top three first.' },
+      { title: 'Check email', subtasks: [{ title: 'Inbox zero' }, { title: 'Reply to flagged' }] },
+    ],
+  },
+  { name: 'Weekly report', on: ['fri'], tasks: [{ title: 'Send the weekly report', due: 'today' }] },
+  { name: 'Weekend', on: 'weekends, 2025-07-10', tasks: [{ title: 'Water the plants' }] },
+];
+
+/**
+ * Reduces a task tree to titles, with subtasks as nested arrays.
+ */
+function outline(tasks) {
+  return withoutSummary(tasks).map(task => (task.children && task.children.length ? [task.title, outline(task.children)] : task.title));
+}
+
+test('new daily lists get the templates of their weekday or date, and reruns add nothing', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00', // A Thursday.
+    properties: { DAILY_TEMPLATES: JSON.stringify(TEMPLATES), LOOKAHEAD_DAYS: '2' },
+  });
+  gas.tasks.seedList('Inbox');
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(outline(gas.tasks.tree('[Daily] July 10, 2025')), [
+    'Plan the day', ['Check email', ['Inbox zero', 'Reply to flagged']], 'Water the plants',
+  ]);
+  assert.deepEqual(outline(gas.tasks.tree('[Daily] July 11, 2025')), [
+    'Plan the day', ['Check email', ['Inbox zero', 'Reply to flagged']], 'Send the weekly report',
+  ]);
+  assert.deepEqual(outline(gas.tasks.tree('[Daily] July 12, 2025')), ['Water the plants']);
+
+  const [plan] = gas.tasks.tree('[Daily] July 11, 2025');
+  assert.equal(plan.due, due('2025-07-11'));
+  assert.equal(plan.notes, 'Due at 08:30\n\nTop three first.');
+  const report = gas.tasks.tree('[Daily] July 11, 2025')[2];
+  assert.equal(report.due, due('2025-07-11'));
+  assert.equal(report.notes || '', '');
+
+  const [run] = gas.rows('Runs');
+  assert.deepEqual(JSON.parse(run.Templates), { Morning: 4, Weekend: 2, 'Weekly report': 1 });
+  assert.equal(gas.rows('Events').filter(event => event.Action === 'templated').length, 7);
+
+  gas.run('dailyRunner');
+
+  assert.equal(outline(gas.tasks.tree('[Daily] July 10, 2025')).length, 3);
+  assert.equal(gas.rows('Runs')[1].Templates, '');
+
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+
+  assert.equal(outline(gas.tasks.tree('[Daily] July 11, 2025')).length, 3);
+  assert.deepEqual(outline(gas.tasks.tree('[Daily] July 13, 2025')), ['Water the plants']);
+  assert.deepEqual(JSON.parse(gas.rows('Runs')[2].Templates), { Weekend: 1 });
+});
+
+test('templates can be kept in a "Templates" tab of the log sheet', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox');
+  const sheet = gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Templates');
+  sheet.appendRow(['Template', 'On', 'Title', 'Notes', 'Due', 'Subtask']);
+  sheet.appendRow(['Thursday', 'thu', 'Team sync', 'Room 4', '10:00', false]);
+  sheet.appendRow(['Thursday', '', 'Prepare the agenda', '', '', true]);
+  sheet.appendRow(['Thursday', '', 'Book the room', '', '', 'TRUE']);
+  sheet.appendRow(['Monday', 'mon', 'Weekly plan', '', '', false]);
+
+  gas.run('dailyRunner');
+
+  const tasks = withoutSummary(gas.tasks.tree('[Daily] July 10, 2025'));
+  assert.deepEqual(outline(tasks), [['Team sync', ['Prepare the agenda', 'Book the room']]]);
+  assert.equal(tasks[0].notes, 'Due at 10:00\n\nRoom 4');
+  assert.deepEqual(JSON.parse(gas.rows('Runs')[0].Templates), { Thursday: 1 });
+});
+
+test('invalid templates are reported by validateConfig and fail the run', () => {
+  const gas = createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { DAILY_TEMPLATES: JSON.stringify([{ name: 'Broken', on: 'someday', tasks: [{ title: 'Never' }] }]) },
+  });
+  gas.tasks.seedList('Inbox');
+
+  const report = gas.run('validateConfig');
+  assert.deepEqual([...report.errors], [
+    'Template "Broken": "someday" in "on" is not "daily", "weekdays", "weekends", a weekday or a date (yyyy-MM-dd).',
+  ]);
+
+  const result = gas.run('runDailyRollover');
+
+  assert.equal(gas.tasks.findList('[Daily] July 10, 2025'), undefined);
+  assert.match(result.notes, /FATAL: Template "Broken"/);
+});
+
+test('a due time must be a time of day', () => {
+  for (const [time, error] of [['24:00', true], ['9:60', true], ['99:99', true], ['0:00', false], ['23:59', false]]) {
+    const gas = createSandbox({
+      now: '2025-07-10T02:00:00',
+      properties: { DAILY_TEMPLATES: JSON.stringify([{ name: 'Late', on: 'daily', tasks: [{ title: 'Lock up', due: time }] }]) },
+    });
+    gas.tasks.seedList('Inbox');
+
+    const report = gas.run('validateConfig');
+    assert.deepEqual([...report.errors], error
+      ? ['Template "Late": the "due" of "Lock up" must be "today" or a time from "00:00" to "23:59", such as "09:30".']
+      : [], time);
+  }
+});
+
+test('a typo in the "Templates" tab fails the run before any list is created, so a rerun seeds the list', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox');
+  gas.tasks.seedList('[Daily] July 9, 2025', [{ title: 'Left over' }]);
+  const sheet = gas.spreadsheets.openById(gas.properties.getProperty('LOG_SHEET_ID')).insertSheet('Templates');
+  sheet.appendRow(['Template', 'On', 'Title', 'Notes', 'Due', 'Subtask']);
+  sheet.appendRow(['Thursday', 'thursdy', 'Team sync', '', '', false]);
+
+  const result = gas.run('runDailyRollover');
+
+  assert.equal(gas.tasks.findList('[Daily] July 10, 2025'), undefined);
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.match(result.notes, /FATAL: Template "Thursday": "thursdy" in "on"/);
+
+  sheet.getRange(2, 2).setValue('thu');
+  gas.run('dailyRunner');
+
+  assert.deepEqual(outline(gas.tasks.tree('[Daily] July 10, 2025')), ['Team sync']);
+  assert.equal(gas.tasks.findList('[Daily] July 9, 2025'), undefined);
+});
+
+test('templates that cannot be read are noted, and the lists are created without them', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox');
+  const templates = gas.get('DailyTemplates');
+  let reads = 0;
+  templates.readSheet = () => {
+    if (++reads > 1) throw new Error('Service Spreadsheets failed'); // Validation reads it first.
+    return [];
+  };
+
+  gas.run('dailyRunner');
+
+  assert.deepEqual(outline(gas.tasks.tree('[Daily] July 10, 2025')), []);
+  assert.match(gas.rows('Runs')[0].Notes, /Created the new daily list\(s\) without templates: Service Spreadsheets failed/);
+});
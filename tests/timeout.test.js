@@ -0,0 +1,167 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { largeBacklog } = require('./fixtures/scenarios');
+
+/**
+ * Each API call takes one simulated second, so a 10 second budget is exhausted mid-backlog.
+ */
+function slowSandbox() {
+  return createSandbox({
+    now: '2025-07-10T02:00:00',
+    properties: { EXECUTION_TIMEOUT_SECONDS: '10', AUTO_MOVE_DUE_TASKS: 'false' },
+    tasks: { msPerCall: 1000 },
+  });
+}
+
+test('a run that hits the timeout is checkpointed and a continuation is scheduled', () => {
+  const gas = slowSandbox();
+  largeBacklog(gas);
+
+  gas.run('dailyRunner');
+
+  const checkpoint = JSON.parse(gas.properties.getProperty('ROLLOVER_CHECKPOINT'));
+  assert.equal(checkpoint.todayTitle, 'July 10, 2025');
+  assert.ok(checkpoint.pendingListIds.length > 0);
+  // Moved tasks have left their list, so the cursor does not grow with them.
+  assert.deepEqual(checkpoint.cursor.keptTaskIds, []);
+  assert.equal(Object.keys(checkpoint.cursor.previousIds).length, 1);
+  const continuations = gas.scriptApp.triggersFor('resumeDailyRunner');
+  assert.equal(continuations.length, 1);
+  assert.equal(continuations[0].config.runAt.getTime() - gas.clock.now(), 60 * 1000);
+  const runs = gas.rows('Runs');
+  assert.equal(runs.length, 1);
+  assert.match(runs[0].Notes, /Run paused during rollover due to execution timeout\. A continuation is scheduled\./);
+  assert.ok(gas.tasks.findList('[Daily] July 10, 2025'));
+});
+
+test('continuations finish the backlog and merge into a single run row', () => {
+  const gas = slowSandbox();
+  largeBacklog(gas);
+
+  gas.run('dailyRunner');
+  let continuations = 0;
+  while (gas.properties.getProperty('ROLLOVER_CHECKPOINT')) {
+    assert.ok(++continuations < 20, 'the backlog should drain');
+    gas.clock.advance(60 * 1000);
+    gas.run('resumeDailyRunner');
+  }
+
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', '[Daily] July 10, 2025']);
+  assert.equal(gas.tasks.tree('Inbox').length, 20);
+  // A list resumed after a pause keeps its order in the Inbox.
+  const inboxTitles = gas.tasks.tree('Inbox').map(task => task.title);
+  for (let list = 1; list <= 4; list++) {
+    const own = inboxTitles.filter(title => title.startsWith(`List ${list} `));
+    assert.deepEqual(own, [1, 2, 3, 4, 5].map(i => `List ${list} task ${i}`));
+  }
+  assert.equal(gas.scriptApp.triggersFor('resumeDailyRunner').length, 0);
+  const runs = gas.rows('Runs');
+  assert.equal(runs.length, 1);
+  const run = runs[0];
+  assert.equal(run.Timestamp.toISOString(), '2025-07-10T09:00:00.000Z');
+  assert.deepEqual([run.InboxAdds, run.ListDeleted, run.ListCreated, run.CompletedTasks], [20, 4, 1, 4]);
+  assert.equal(run.Notes, `Completed after ${continuations} continuation(s).`);
+  // Every part of the run logs its events under the same run ID.
+  const events = gas.rows('Events');
+  assert.equal(events.filter(event => event.Action === 'rolled-over').length, 20);
+  assert.ok(events.every(event => event.RunId === run.RunId));
+  // A list resumed after a pause is not snapshotted a second time.
+  assert.equal(new Set(gas.rows('Archive').map(row => row.ListId)).size, gas.rows('Archive').length);
+  assert.equal(gas.rows('Archive').length, 4);
+});
+
+test('a checkpoint left over from another day is discarded', () => {
+  const gas = slowSandbox();
+  largeBacklog(gas);
+  gas.run('dailyRunner');
+
+  gas.properties.setProperty('EXECUTION_TIMEOUT_SECONDS', '270');
+  gas.clock.set('2025-07-11T02:00:00');
+  gas.run('dailyRunner');
+
+  assert.equal(gas.properties.getProperty('ROLLOVER_CHECKPOINT'), null);
+  assert.deepEqual(gas.tasks.listTitles(), ['Inbox', '[Daily] July 11, 2025']);
+  assert.equal(gas.rows('Runs').length, 2);
+});
+
+test('a stray continuation trigger without a checkpoint does not start a run', () => {
+  const gas = slowSandbox();
+  largeBacklog(gas);
+
+  gas.run('resumeDailyRunner');
+
+  assert.equal(gas.sheet('Runs'), null);
+  assert.equal(gas.tasks.listTitles().length, 5);
+});
+
+test('a checkpoint that would not fit is trimmed, or reduced to the cursor and the counts', () => {
+  const gas = slowSandbox();
+  const checkpoints = gas.get('RunCheckpoint');
+  const long = (label, i) => `${label} ${i} ${'x'.repeat(80)}`;
+  const checkpoint = {
+    todayTitle: 'July 10, 2025',
+    continuations: 0,
+    pendingListIds: ['list-1', 'list-2'],
+    cursor: { listId: 'list-1', keptTaskIds: ['task-1'], previousIds: {} },
+  };
+  const stats = {
+    runId: 'run-1',
+    timestamp: new Date('2025-07-10T09:00:00Z'),
+    inboxAdds: 7,
+    notes: 'y'.repeat(5000),
+    series: {},
+    lossyMoves: Array.from({ length: 40 }, (_, i) => ({ title: long('Lossy', i), issues: ['notes'] })),
+    escalations: Array.from({ length: 80 }, (_, i) => ({ id: `e${i}`, title: long('Escalated', i), count: 3 })),
+    procrastinated: [],
+  };
+
+  assert.equal(checkpoints.pause(checkpoint, stats), 'scheduled');
+  let stored = gas.properties.getProperty('ROLLOVER_CHECKPOINT');
+  assert.ok(stored.length <= checkpoints.MAX_PROPERTY_LENGTH);
+  let saved = JSON.parse(stored);
+  assert.equal(saved.stats.lossyMoves.length, 0);
+  assert.ok(saved.stats.escalations.length > 0 && saved.stats.escalations.length < 80);
+  assert.equal(saved.stats.escalations[saved.stats.escalations.length - 1].id, 'e79');
+  assert.match(saved.stats.notes, /^y{1999}… \| 40 lossy move\(s\) were left out of the notes to fit the checkpoint\. \| \d+ escalated task\(s\) were left out of the escalation email to fit the checkpoint\.$/);
+
+  // Per-series statistics cannot be trimmed, so only the counts are kept.
+  stats.notes = '';
+  for (let i = 0; i < 200; i++) {
+    stats.series[long('Series', i)] = { listCreated: 1, listDeleted: 1, rolledOver: i, dailyAdds: 0 };
+  }
+  assert.equal(checkpoints.pause(checkpoint, stats), 'scheduled');
+  saved = JSON.parse(gas.properties.getProperty('ROLLOVER_CHECKPOINT'));
+  assert.deepEqual(saved.cursor, checkpoint.cursor);
+  assert.deepEqual(saved.pendingListIds, ['list-1', 'list-2']);
+  assert.equal(saved.stats.inboxAdds, 7);
+  assert.equal(saved.stats.runId, 'run-1');
+  assert.equal(saved.stats.series, undefined);
+  assert.equal(saved.stats.notes, 'The details of the run before it paused were left out to fit the checkpoint.');
+});
+
+test('a continuation whose checkpoint cannot be written ends the run without another', () => {
+  const gas = slowSandbox();
+  largeBacklog(gas);
+  gas.run('dailyRunner');
+  assert.ok(gas.properties.getProperty('ROLLOVER_CHECKPOINT'));
+  const setProperty = gas.properties.setProperty.bind(gas.properties);
+  gas.properties.setProperty = (key, value) => {
+    if (key === 'ROLLOVER_CHECKPOINT') throw new Error('Argument too large: value');
+    return setProperty(key, value);
+  };
+
+  gas.clock.advance(60 * 1000);
+  const result = gas.run('runDailyRollover');
+
+  // The older checkpoint is deleted, so that the next daily run does not resume from it.
+  assert.equal(result.status, 'paused');
+  assert.equal(gas.properties.getProperty('ROLLOVER_CHECKPOINT'), null);
+  assert.equal(gas.scriptApp.triggersFor('resumeDailyRunner').length, 0);
+  const runs = gas.rows('Runs');
+  assert.equal(runs.length, 1);
+  assert.match(runs[0].Notes, /The checkpoint could not be stored, so the run is not continued\. The next daily run rolls over the remaining lists\.$/);
+});
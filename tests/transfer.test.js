@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { due, standardRollover } = require('./fixtures/scenarios');
+
+const shape = (tree) => tree.map(task => ({
+  title: task.title,
+  status: task.status,
+  ...(task.due ? { due: task.due } : {}),
+  ...(task.notes ? { notes: task.notes } : {}),
+  ...(task.children && task.children.length ? { children: shape(task.children) } : {}),
+}));
+
+test('every format round-trips the lists into another account', () => {
+  for (const format of ['json', 'csv', 'markdown']) {
+    const source = createSandbox({ now: '2025-07-10T02:00:00' });
+    standardRollover(source);
+    source.tasks.seedList('[Daily] July 11, 2025', [{ title: 'Plan, "carefully"', notes: 'Line 1\n\nLine 3', due: due('2025-07-11') }]);
+    const fileId = source.run('exportTasks', format);
+    const file = source.drive.getFileById(fileId);
+    assert.match(file.getName(), /^GTaskManager export 2025-07-10 0200\.(json|csv|md)$/);
+
+    const target = createSandbox({ now: '2025-07-10T02:00:00' });
+    const copy = target.drive.seedFile(file.getName(), file.getBlob().getDataAsString());
+    const summary = target.run('importTasks', copy.getId());
+
+    assert.equal(summary.lists, 3, format);
+    assert.deepEqual(target.tasks.listTitles(), ['Inbox', '[Daily] July 9, 2025', '[Daily] July 11, 2025'], format);
+    for (const title of ['Inbox', '[Daily] July 9, 2025', '[Daily] July 11, 2025']) {
+      assert.deepEqual(shape(target.tasks.tree(title)), shape(source.tasks.tree(title)), `${format}: ${title}`);
+    }
+  }
+});
+
+test('the merge mode skips tasks with the same title and due date', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  gas.tasks.seedList('Inbox', [{ title: 'Call the bank', due: due('2025-07-11') }, { title: 'Groceries' }]);
+  const file = gas.drive.seedFile('seed.md', [
+    '## Inbox',
+    '',
+    '- [ ] Call the bank (due 2025-07-11)',
+    '  - [ ] Find the account number',
+    '- [ ] Call the bank (due 2025-07-12)',
+    '',
+    '# [Daily] July 14, 2025',
+    '- [x] Book the flights',
+    '  Confirmation in the email.',
+  ].join('\n'));
+
+  assert.deepEqual({ ...gas.run('importTasks', file.getId()) }, { lists: 1, created: 3, skipped: 1 });
+  assert.deepEqual({ ...gas.run('importTasks', file.getId()) }, { lists: 0, created: 0, skipped: 4 });
+
+  assert.deepEqual(shape(gas.tasks.tree('Inbox')), [
+    { title: 'Call the bank', status: 'needsAction', due: due('2025-07-12') },
+    { title: 'Call the bank', status: 'needsAction', due: due('2025-07-11'), children: [{ title: 'Find the account number', status: 'needsAction' }] },
+    { title: 'Groceries', status: 'needsAction' },
+  ]);
+  assert.deepEqual(shape(gas.tasks.tree('[Daily] July 14, 2025')), [
+    { title: 'Book the flights', status: 'completed', notes: 'Confirmation in the email.' },
+  ]);
+
+  gas.run('importTasks', file.getId(), { mode: 'create' });
+  assert.equal(gas.tasks.listTitles().filter(title => title === 'Inbox').length, 2);
+});
+
+test('exports go to EXPORT_FOLDER_ID, and bad input is reported', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  const folder = gas.drive.seedFolder('Backups');
+  gas.properties.setProperty('EXPORT_FOLDER_ID', folder.getId());
+  gas.tasks.seedList('Groceries', [{ title: 'Milk' }]);
+
+  const file = gas.drive.getFileById(gas.run('exportTasks', 'csv', ['Groceries']));
+  assert.equal(file.folder, folder);
+  assert.equal(file.getBlob().getDataAsString(), 'List,Id,ParentId,Title,Notes,Status,Due,Completed\r\n' +
+    `Groceries,${gas.tasks.tree('Groceries')[0].id},,Milk,,needsAction,,\r\n`);
+
+  assert.throws(() => gas.run('exportTasks', 'xml'), /Unknown format "xml"/);
+  assert.throws(() => gas.run('exportTasks', 'json', ['Nope']), /There is no list "Nope"/);
+  assert.throws(() => gas.run('importTasks', gas.drive.seedFile('tasks.txt', '').getId()), /Cannot tell the format of "tasks.txt"/);
+  assert.throws(() => gas.run('importTasks', gas.drive.seedFile('a.md', '- [ ] Orphan').getId()), /Line 1: the task "Orphan" comes before the first list heading/);
+  assert.throws(() => gas.run('importTasks', gas.drive.seedFile('a.csv', 'Name\nMilk').getId()), /The CSV has no List or Title column/);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('./harness/sandbox');
+const { standardRollover } = require('./fixtures/scenarios');
+
+test('doGet serves the dashboard page', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+
+  const page = gas.run('doGet', {});
+
+  assert.equal(page.getTitle(), 'GTaskManager');
+  assert.match(page.getContent(), /google\.script\.run/);
+  assert.match(page.getContent(), /\.getDashboardData\(\)/);
+});
+
+test('getDashboardData returns the runs, the backlog, today\'s list and the snapshots', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.run('dailyRunner');
+  gas.tasks.seedTask(gas.tasks.findList('[Daily] July 10, 2025').id, { title: 'Call the bank', due: '2025-07-10T00:00:00.000Z' });
+
+  const data = gas.run('getDashboardData');
+
+  assert.equal(data.profile, null);
+  assert.equal(data.runs.length, 1);
+  assert.deepEqual({ ...data.runs[0] }, {
+    timestamp: '2025-07-10 02:00',
+    inboxAdds: 4,
+    inboxMoves: 0,
+    listDeleted: 1,
+    listCreated: 1,
+    completedTasks: 1,
+    notes: '',
+  });
+  assert.deepEqual([...data.backlog].map(entry => [entry.count, entry.tasks]), [[0, 1], [1, 3], [4, 1]]);
+  assert.equal(data.today.title, '[Daily] July 10, 2025');
+  assert.deepEqual([...data.today.tasks].map(task => ({ ...task })), [{ title: 'Call the bank', completed: false, due: '2025-07-10' }]);
+  assert.equal(data.snapshots.length, 1);
+  assert.equal(data.snapshots[0].listTitle, '[Daily] July 9, 2025');
+  assert.equal(data.snapshots[0].snapshotId, gas.rows('Archive')[0].SnapshotId);
+});
+
+test('runDailyRollover reports a run in progress instead of starting another', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+  gas.lock.heldByOther = true;
+
+  const result = gas.run('runDailyRollover');
+
+  assert.equal(result.status, 'busy');
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.equal(gas.sheet('Runs'), null);
+});
+
+test('runDailyRollover can do a single dry run without DRY_RUN', () => {
+  const gas = createSandbox({ now: '2025-07-10T02:00:00' });
+  standardRollover(gas);
+
+  const result = gas.run('runDailyRollover', { dryRun: true });
+
+  assert.equal(result.status, 'dry-run');
+  assert.ok(gas.tasks.findList('[Daily] July 9, 2025'));
+  assert.equal(gas.tasks.findList('[Daily] July 10, 2025'), undefined);
+  assert.ok(gas.sheet('DryRun').dump().some(row => row[2] === 'Would create list "[Daily] July 10, 2025"'));
+
+  assert.equal(gas.run('runDailyRollover').status, 'completed');
+  assert.equal(gas.tasks.findList('[Daily] July 9, 2025'), undefined);
+});
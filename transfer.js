@@ -0,0 +1,459 @@
+/**
+ * @fileoverview Export and import of task lists as JSON, CSV and Markdown checklists.
+ * `exportTasks` writes any lists (by default the Inbox and every daily list) to a file in Drive,
+ * and `importTasks` creates lists and tasks from such a file, e.g. to seed daily lists in bulk
+ * or to move tasks to another account. JSON keeps every field a list snapshot keeps (see
+ * ListArchive); CSV keeps the same fields but links and the hidden flag; a Markdown checklist
+ * keeps titles, notes, due dates, the completed state and subtasks.
+ * @see /@documentation/design.md#9-future-proof-hooks
+ */
+
+/**
+ * Exports task lists to a file in Drive (in EXPORT_FOLDER_ID, or My Drive). Run it from the
+ * Apps Script editor or with `clasp run`, e.g. `exportTasks('markdown', ['Inbox'])`.
+ * @param {string} [format='json'] "json", "csv" or "markdown".
+ * @param {string|Array<string>} [listTitles] The titles of the lists to export. Defaults to the
+ *     Inbox and every daily list.
+ * @returns {string} The ID of the new file.
+ * @throws {Error} If the format is unknown or a list does not exist.
+ */
+function exportTasks(format = 'json', listTitles = null) {
+  const type = TaskTransfer.getFormat(format);
+  const data = TaskTransfer.collect(listTitles);
+  const timestamp = Utilities.formatDate(new Date(), getLocalTimeZone(), 'yyyy-MM-dd HHmm');
+  const file = TaskTransfer.writeFile(`GTaskManager export ${timestamp}.${type.extension}`, TaskTransfer.serialize(data, format), type.mimeType);
+  const taskCount = data.lists.reduce((sum, list) => sum + list.tasks.length, 0);
+  console.log(`Exported ${data.lists.length} list(s) with ${taskCount} task(s) to ${file.getUrl()}`);
+  return file.getId();
+}
+
+/**
+ * Imports task lists from a file in Drive that exportTasks wrote, or that was written by hand in
+ * one of its formats. Run it from the Apps Script editor or with `clasp run`, e.g.
+ * `importTasks('1AbC…', {mode: 'merge'})`.
+ * @param {string} fileId The Drive ID of the file.
+ * @param {object} [options]
+ * @param {string} [options.format] "json", "csv" or "markdown". Defaults to the file's extension.
+ * @param {string} [options.mode='merge'] "merge" adds the tasks to a list of the same title, if
+ *     there is one, and skips tasks with the same title and due date as a task already there;
+ *     "create" always creates new lists with every task.
+ * @returns {{lists: number, created: number, skipped: number}} The lists created and the tasks
+ *     created and skipped.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+function importTasks(fileId, options = {}) {
+  const file = TaskTransfer.readFile(fileId);
+  const format = options.format || TaskTransfer.detectFormat(file.name);
+  const mode = options.mode || 'merge';
+  if (!TaskTransfer.MODES.includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}". Use one of: ${TaskTransfer.MODES.join(', ')}.`);
+  }
+  const data = TaskTransfer.parse(file.content, format);
+  const summary = TaskTransfer.importData(data, mode);
+  console.log(`Imported "${file.name}": ${summary.lists} list(s) created, ${summary.created} task(s) created, ${summary.skipped} duplicate(s) skipped.`);
+  return summary;
+}
+
+/**
+ * A utility object for serializing task lists and creating them back.
+ */
+const TaskTransfer = {
+  FORMATS: {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+  },
+  CSV_COLUMNS: ['List', 'Id', 'ParentId', 'Title', 'Notes', 'Status', 'Due', 'Completed'],
+  MODES: ['merge', 'create'],
+
+  /**
+   * @param {string} format The name of a format.
+   * @returns {{extension: string, mimeType: string}}
+   * @throws {Error} If the format is unknown.
+   */
+  getFormat(format) {
+    const type = this.FORMATS[String(format).toLowerCase()];
+    if (!type) {
+      throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(this.FORMATS).join(', ')}.`);
+    }
+    return type;
+  },
+
+  /**
+   * Detects the format of a file from its extension.
+   * @param {string} fileName The file name.
+   * @returns {string} The format.
+   * @throws {Error} If the extension is not one of the formats.
+   */
+  detectFormat(fileName) {
+    const extension = (fileName.match(/\.([a-z]+)$/i) || [])[1];
+    const format = { json: 'json', csv: 'csv', md: 'markdown', markdown: 'markdown' }[(extension || '').toLowerCase()];
+    if (!format) {
+      throw new Error(`Cannot tell the format of "${fileName}" from its extension. Pass {format: "json"}, "csv" or "markdown".`);
+    }
+    return format;
+  },
+
+  /**
+   * Reads the lists to export.
+   * @param {string|Array<string>|null} listTitles The list titles, or null for the Inbox and
+   *     every daily list.
+   * @returns {{exportedAt: string, lists: Array<{title: string, tasks: Array<object>}>}}
+   * @throws {Error} If a list does not exist.
+   */
+  collect(listTitles) {
+    let lists;
+    if (listTitles && listTitles.length) {
+      lists = [].concat(listTitles).map(title => {
+        const list = ListService.getListByTitle(title);
+        if (!list) throw new Error(`There is no list "${title}".`);
+        return list;
+      });
+    } else {
+      const inboxName = getInboxListName();
+      lists = ListService.listAll().filter(list => list.title === inboxName || ListNaming.isDailyList(list.title));
+    }
+    return {
+      exportedAt: new Date().toISOString(),
+      lists: lists.map(list => ({ title: list.title, tasks: ListArchive.readTasks(list.id) })),
+    };
+  },
+
+  /**
+   * @param {object} data The lists, as returned by collect().
+   * @param {string} format The format.
+   * @returns {string} The file content.
+   */
+  serialize(data, format) {
+    this.getFormat(format);
+    switch (format.toLowerCase()) {
+      case 'csv': return this.toCsv(data);
+      case 'markdown': return this.toMarkdown(data);
+      default: return JSON.stringify(data, null, 2);
+    }
+  },
+
+  /**
+   * @param {string} content The file content.
+   * @param {string} format The format.
+   * @returns {{lists: Array<{title: string, tasks: Array<object>}>}} The lists, with tasks in list
+   *     order and each subtask's `parent` set to the `id` of its parent in the file.
+   * @throws {Error} If the content is not valid in the format.
+   */
+  parse(content, format) {
+    this.getFormat(format);
+    switch (format.toLowerCase()) {
+      case 'csv': return this.fromCsv(content);
+      case 'markdown': return this.fromMarkdown(content);
+      default: return this.fromJson(content);
+    }
+  },
+
+  /**
+   * Parses a JSON export. A list snapshot copied from the "Archive" tab is accepted too.
+   * @param {string} content The JSON.
+   * @returns {{lists: Array<object>}}
+   * @throws {Error} If it is not an export.
+   */
+  fromJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw new Error(`The file is not valid JSON. Error: ${e.message}`);
+    }
+    if (data && data.listTitle && Array.isArray(data.tasks)) {
+      return { lists: [{ title: data.listTitle, tasks: data.tasks }] };
+    }
+    if (!data || !Array.isArray(data.lists) || !data.lists.every(list => list && list.title && Array.isArray(list.tasks))) {
+      throw new Error('The JSON must be an object with a "lists" array of {title, tasks}, as written by exportTasks.');
+    }
+    return data;
+  },
+
+  /**
+   * Writes one row per task, parents before their subtasks. Subtasks refer to their parent by
+   * its ID in the Id column.
+   * @param {object} data The lists.
+   * @returns {string}
+   */
+  toCsv(data) {
+    const rows = [this.CSV_COLUMNS];
+    for (const list of data.lists) {
+      for (const task of list.tasks) {
+        rows.push([list.title, task.id, task.parent, task.title, task.notes, task.status, task.due, task.completed]);
+      }
+    }
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Parses a CSV with a header row. Only the List and Title columns are required.
+   * @param {string} content The CSV.
+   * @returns {{lists: Array<object>}}
+   * @throws {Error} If a required column is missing.
+   */
+  fromCsv(content) {
+    const [header = [], ...rows] = this.parseCsvRows(content);
+    const columns = {};
+    header.forEach((name, i) => {
+      columns[name.trim().toLowerCase()] = i;
+    });
+    const missing = ['List', 'Title'].filter(name => !(name.toLowerCase() in columns));
+    if (missing.length) {
+      throw new Error(`The CSV has no ${missing.join(' or ')} column. The header must name the columns, e.g. ${this.CSV_COLUMNS.join(',')}.`);
+    }
+    const cell = (row, name) => {
+      const i = columns[name.toLowerCase()];
+      return i === undefined ? '' : (row[i] || '');
+    };
+
+    const lists = [];
+    for (const row of rows) {
+      if (row.every(value => !value.trim())) continue;
+      const title = cell(row, 'List').trim();
+      let list = lists.find(entry => entry.title === title);
+      if (!list) {
+        list = { title: title, tasks: [] };
+        lists.push(list);
+      }
+      list.tasks.push(this.toTask({
+        id: cell(row, 'Id'),
+        parent: cell(row, 'ParentId'),
+        title: cell(row, 'Title'),
+        notes: cell(row, 'Notes'),
+        status: cell(row, 'Status'),
+        due: cell(row, 'Due'),
+        completed: cell(row, 'Completed'),
+      }));
+    }
+    return { lists: lists.filter(list => list.title) };
+  },
+
+  /**
+   * Splits CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and line
+   * breaks).
+   * @param {string} content The CSV.
+   * @returns {Array<Array<string>>}
+   */
+  parseCsvRows(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          value += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(value);
+        value = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += c;
+      }
+    }
+    if (value || row.length) {
+      row.push(value);
+      rows.push(row);
+    }
+    return rows;
+  },
+
+  /**
+   * Writes each list as a heading followed by a checklist. Subtasks are indented below their
+   * parent, notes are indented below their task, and a due date follows the title.
+   * @param {object} data The lists.
+   * @returns {string} E.g. "## Inbox\n\n- [ ] Call the bank (due 2025-07-10)\n  - [x] Find the number\n".
+   */
+  toMarkdown(data) {
+    const lines = [];
+    for (const list of data.lists) {
+      lines.push(`## ${list.title}`, '');
+      for (const task of list.tasks) {
+        const indent = task.parent ? '  ' : '';
+        const due = task.due ? ` (due ${task.due.substring(0, 10)})` : '';
+        lines.push(`${indent}- [${task.status === 'completed' ? 'x' : ' '}] ${task.title || ''}${due}`);
+        if (task.notes) {
+          task.notes.split('\n').forEach(line => lines.push(`${indent}  ${line}`.trimEnd()));
+        }
+      }
+      lines.push('');
+    }
+    return lines.join('\n');
+  },
+
+  /**
+   * Parses a Markdown checklist: every heading starts a list, every "- [ ]" or "- [x]" item is a
+   * task, indented items are subtasks of the item above, and other indented lines are notes.
+   * @param {string} content The Markdown.
+   * @returns {{lists: Array<object>}}
+   * @throws {Error} If a task comes before the first heading.
+   */
+  fromMarkdown(content) {
+    const lists = [];
+    let list = null;
+    let current = null; // The last task, which following indented lines belong to.
+    let parentId = null;
+    let blankLines = 0;
+    let count = 0;
+    content.split(/\r?\n/).forEach((line, i) => {
+      const heading = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+      const item = line.match(/^(\s*)[-*+] \[( |x|X)\]\s?(.*)$/);
+      if (heading) {
+        list = { title: heading[1], tasks: [] };
+        lists.push(list);
+        current = null;
+        parentId = null;
+      } else if (item) {
+        if (!list) {
+          throw new Error(`Line ${i + 1}: the task "${item[3]}" comes before the first list heading ("## List title").`);
+        }
+        const due = item[3].match(/\s*\(due (\d{4}-\d{2}-\d{2})\)\s*$/);
+        const isSubtask = item[1].length > 0 && parentId !== null;
+        current = this.toTask({
+          id: `md-${++count}`,
+          parent: isSubtask ? parentId : '',
+          title: due ? item[3].substring(0, due.index) : item[3],
+          notes: '',
+          status: item[2] === ' ' ? 'needsAction' : 'completed',
+          due: due ? due[1] : '',
+          completed: '',
+        });
+        current.indent = item[1].length + 2;
+        if (!isSubtask) parentId = current.id;
+        list.tasks.push(current);
+        blankLines = 0;
+      } else if (!line.trim()) {
+        if (current && current.notes) blankLines++;
+      } else if (current && /^\s/.test(line)) {
+        const text = line.substring(Math.min(current.indent, line.match(/^\s*/)[0].length));
+        current.notes = current.notes ? `${current.notes}${'\n'.repeat(blankLines + 1)}${text}` : text;
+        blankLines = 0;
+      } else {
+        current = null; // Unindented prose ends the notes of a task.
+      }
+    });
+    lists.forEach(entry => entry.tasks.forEach(task => delete task.indent));
+    return { lists: lists };
+  },
+
+  /**
+   * Normalizes the fields of a parsed task: empty fields are dropped, the status is "completed"
+   * or "needsAction", and a due date written as yyyy-MM-dd becomes a timestamp.
+   * @param {object} fields The fields as read from the file.
+   * @returns {object} The task.
+   */
+  toTask(fields) {
+    const task = { title: fields.title.trim(), status: fields.status === 'completed' ? 'completed' : 'needsAction' };
+    if (fields.id) task.id = fields.id;
+    if (fields.parent) task.parent = fields.parent;
+    if (fields.notes) task.notes = fields.notes;
+    if (fields.due) {
+      task.due = /^\d{4}-\d{2}-\d{2}$/.test(fields.due.trim()) ? `${fields.due.trim()}T00:00:00.000Z` : fields.due.trim();
+    }
+    if (fields.completed) task.completed = fields.completed;
+    return task;
+  },
+
+  /**
+   * Identifies a task for the duplicate check of the merge mode.
+   * @param {object} task The task.
+   * @returns {string} Its title and due day.
+   */
+  getKey(task) {
+    return `${(task.title || '').trim()}\n${task.due ? task.due.substring(0, 10) : ''}`;
+  },
+
+  /**
+   * Creates the parsed lists and tasks, in file order and with their hierarchy. Tasks are
+   * inserted at the top of a merged list, ahead of the tasks already there.
+   * @param {{lists: Array<object>}} data The parsed lists.
+   * @param {string} mode "merge" or "create" (see importTasks).
+   * @returns {{lists: number, created: number, skipped: number}}
+   */
+  importData(data, mode) {
+    const summary = { lists: 0, created: 0, skipped: 0 };
+    for (const entry of data.lists) {
+      let list = mode === 'merge' ? ListService.getListByTitle(entry.title) : null;
+      const existingIds = new Map(); // The ID of the task with each key, for the duplicate check.
+      if (list) {
+        for (const task of TaskService.listAllTasks(list.id, { showHidden: true })) {
+          if (!existingIds.has(this.getKey(task))) existingIds.set(this.getKey(task), task.id);
+        }
+      } else {
+        list = ListService.createList(entry.title);
+        summary.lists++;
+      }
+
+      const newIds = {};
+      const lastChildIds = {}; // The last imported task under each parent ('' for the top level).
+      const issues = [];
+      for (const task of entry.tasks) {
+        const key = this.getKey(task);
+        if (mode === 'merge' && existingIds.has(key)) {
+          // A subtask of a skipped parent goes below the task that is already there.
+          if (task.id) newIds[task.id] = existingIds.get(key);
+          summary.skipped++;
+          continue;
+        }
+        const parentId = (task.parent && newIds[task.parent]) || '';
+        const options = {};
+        if (parentId) options.parent = parentId;
+        if (lastChildIds[parentId]) options.previous = lastChildIds[parentId];
+        const newTask = TaskService.insert(list.id, TaskService.copyFields(task, issues), options);
+        if (task.id) newIds[task.id] = newTask.id;
+        lastChildIds[parentId] = newTask.id;
+        existingIds.set(key, newTask.id);
+        summary.created++;
+      }
+      if (issues.length) {
+        console.warn(`Imported list "${entry.title}", but ${issues.join('; ')}.`);
+      }
+    }
+    return summary;
+  },
+
+  /**
+   * Writes a file to EXPORT_FOLDER_ID, or to My Drive if it is not set.
+   * @param {string} name The file name.
+   * @param {string} content The content.
+   * @param {string} mimeType The MIME type.
+   * @returns {GoogleAppsScript.Drive.File}
+   */
+  writeFile(name, content, mimeType) {
+    const folderId = getExportFolderId();
+    return folderId
+      ? DriveApp.getFolderById(folderId).createFile(name, content, mimeType)
+      : DriveApp.createFile(name, content, mimeType);
+  },
+
+  /**
+   * Reads a text file from Drive.
+   * @param {string} fileId The Drive ID of the file.
+   * @returns {{name: string, content: string}}
+   */
+  readFile(fileId) {
+    const file = DriveApp.getFileById(fileId);
+    return { name: file.getName(), content: file.getBlob().getDataAsString() };
+  },
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Shared helpers used by the service layer.
+ * Contains the retry logic that wraps every Google Tasks API call, so that transient
+ * failures (rate limits, backend errors) do not fail the whole run.
+ * @see /@documentation/design.md#7-error-handling--idempotency
+ */
+
+/**
+ * A utility object for retrying API calls with exponential back-off.
+ */
+const RetryUtil = {
+  RETRYABLE_CODES: [429, 500, 502, 503, 504],
+  RETRYABLE_MESSAGES: /rate limit|quota exceeded|backend error|internal error|service unavailable|temporarily unavailable|timed out|try again later/i,
+  PERMANENT_MESSAGES: /not found|invalid|bad request|forbidden|permission|required/i,
+  RATE_LIMIT_MESSAGES: /rate limit|quota exceeded/i,
+
+  retryCount: 0, // Retries performed since the last reset, reported in the run stats.
+  callCounts: {}, // Calls made since the last reset by description, retries included, reported in the run stats.
+
+  /**
+   * Resets the retry and call counters. Called at the start of every run.
+   * @param {number} [initialCount=0] The retries already counted by an earlier part of a resumed run.
+   * @param {Object<string, number>} [initialCalls] The calls already counted by an earlier part of a resumed run.
+   */
+  resetStats(initialCount = 0, initialCalls = {}) {
+    this.retryCount = initialCount;
+    this.callCounts = Object.assign({}, initialCalls);
+  },
+
+  /**
+   * Returns the calls made since the last reset.
+   * @returns {Object<string, number>} The number of calls by description, e.g.
+   *     `{total: 12, "Tasks.Tasks.list": 5, ...}`, with the total first.
+   */
+  getCallCounts() {
+    const counts = { total: 0 };
+    for (const description of Object.keys(this.callCounts).filter(key => key !== 'total').sort()) {
+      counts[description] = this.callCounts[description];
+      counts.total += this.callCounts[description];
+    }
+    return counts;
+  },
+
+  /**
+   * Classifies an error thrown by an Apps Script service call.
+   * Rate limits and backend errors are retryable; anything else (not found, invalid argument,
+   * permission errors, unknown failures) is permanent and is rethrown immediately.
+   * @param {Error} e The error to classify.
+   * @returns {boolean} True if the call should be retried.
+   */
+  isRetryable(e) {
+    const message = (e && e.message) || '';
+    const code = e && e.details && e.details.code;
+    if (code) {
+      // Google reports some rate limits as 403 "User Rate Limit Exceeded".
+      return this.RETRYABLE_CODES.includes(code) || (code === 403 && this.RETRYABLE_MESSAGES.test(message));
+    }
+    if (this.PERMANENT_MESSAGES.test(message) && !this.RETRYABLE_MESSAGES.test(message)) {
+      return false;
+    }
+    return this.RETRYABLE_MESSAGES.test(message);
+  },
+
+  /**
+   * Checks whether an error is a rate limit, which Google returns before doing any of the work.
+   * @param {Error} e The error to classify.
+   * @returns {boolean}
+   */
+  isRateLimit(e) {
+    const code = e && e.details && e.details.code;
+    return code === 429 || ((!code || code === 403) && this.RATE_LIMIT_MESSAGES.test((e && e.message) || ''));
+  },
+
+  /**
+   * Checks whether an error says the requested item does not exist.
+   * @param {Error} e The error to classify.
+   * @returns {boolean}
+   */
+  isNotFound(e) {
+    const code = e && e.details && e.details.code;
+    return code ? code === 404 : /not found/i.test((e && e.message) || '');
+  },
+
+  /**
+   * Computes the back-off delay before the next attempt.
+   * @param {number} attempt The zero-based number of the failed attempt.
+   * @returns {number} The delay in milliseconds, including random jitter.
+   */
+  getDelay(attempt) {
+    const base = getRetryBaseDelayMs();
+    const delay = base * Math.pow(2, attempt) + Math.floor(Math.random() * base);
+    return Math.min(delay, getRetryMaxDelayMs());
+  },
+
+  /**
+   * Runs a service call, retrying retryable failures with exponential back-off.
+   * A backend error or a timeout does not tell whether the call took effect. Calls that create
+   * something are therefore only retried after a rate limit, so that a retry cannot create a
+   * duplicate; and a removal that finds nothing to remove on a retry has already succeeded.
+   * @param {string} description A short name of the call for the logs, e.g. "Tasks.Tasks.list".
+   * @param {function(): *} fn The call to run.
+   * @param {object} [options]
+   * @param {boolean} [options.creates=false] The call creates something (an insert).
+   * @param {boolean} [options.removes=false] The call removes something.
+   * @returns {*} The call's return value, or undefined for a removal an earlier attempt did.
+   * @throws {Error} The last error, once it is permanent or the retries are exhausted.
+   */
+  call(description, fn, options = {}) {
+    const maxRetries = getMaxRetries();
+    for (let attempt = 0; ; attempt++) {
+      this.callCounts[description] = (this.callCounts[description] || 0) + 1;
+      try {
+        return fn();
+      } catch (e) {
+        if (options.removes && attempt > 0 && this.isNotFound(e)) {
+          console.warn(`${description} found nothing to remove on retry ${attempt}; the earlier attempt removed it.`);
+          return undefined;
+        }
+        if (!this.isRetryable(e) || (options.creates && !this.isRateLimit(e))) {
+          throw e;
+        }
+        if (attempt >= maxRetries) {
+          console.error(`${description} failed after ${maxRetries} retries. Error: ${e.message}`);
+          throw e;
+        }
+        const delay = this.getDelay(attempt);
+        console.warn(`${description} failed with a retryable error (${e.message}). Retrying in ${delay}ms (retry ${attempt + 1} of ${maxRetries}).`);
+        this.retryCount++;
+        Utilities.sleep(delay);
+      }
+    }
+  },
+};
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview The web app dashboard.
+ * `doGet` serves dashboard.html, which loads its data with `google.script.run` from
+ * `getDashboardData`: the recent runs from the log sheet, the Inbox backlog by Rollover Count,
+ * today's list and the snapshots that can be restored. Its buttons call the existing entry
+ * points the same way: `runDailyRollover` (which takes the script lock like every run, so a
+ * button press never overlaps a scheduled run), `sendWeeklyDigest` and `restoreList`.
+ * @see /@documentation/design.md#1-high-level-architecture
+ */
+
+/**
+ * Serves the dashboard. Deploy the script as a web app to use it (see the README).
+ * @param {object} e The request event; unused.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput}
+ */
+function doGet(e) {
+  return HtmlService.createHtmlOutputFromFile(Dashboard.FILE_NAME)
+    .setTitle('GTaskManager')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Collects everything the dashboard shows. Called from the page with `google.script.run`.
+ * @returns {object} See Dashboard.collect.
+ */
+function getDashboardData() {
+  return Dashboard.collect();
+}
+
+/**
+ * A utility object for the data of the dashboard.
+ */
+const Dashboard = {
+  FILE_NAME: 'dashboard',
+  RECENT_RUNS: 14,
+  RECENT_SNAPSHOTS: 20,
+
+  /**
+   * Collects the dashboard data. Dates are sent as formatted strings, since `google.script.run`
+   * cannot return Date objects.
+   * @returns {{
+   *   profile: (string|null),
+   *   generatedAt: string,
+   *   runs: Array<{timestamp: string, inboxAdds: number, inboxMoves: number, listDeleted: number, listCreated: number, completedTasks: number, notes: string}>,
+   *   backlog: Array<{count: number, tasks: number}>,
+   *   today: {title: string, exists: boolean, tasks: Array<{title: string, completed: boolean, due: string}>},
+   *   snapshots: Array<{snapshotId: string, listTitle: string, timestamp: string, taskCount: number}>
+   * }}
+   */
+  collect() {
+    const tz = getLocalTimeZone();
+    const format = (date) => Utilities.formatDate(new Date(date), tz, 'yyyy-MM-dd HH:mm');
+    return {
+      profile: ConfigProfiles.getActiveProfileName(),
+      generatedAt: format(new Date()),
+      runs: this.getRecentRuns(format),
+      backlog: this.getBacklog(),
+      today: this.getToday(),
+      snapshots: this.getSnapshots(format),
+    };
+  },
+
+  /**
+   * Reads the most recent runs, newest first.
+   * @param {function(Date): string} format Formats a timestamp.
+   * @returns {Array<object>}
+   */
+  getRecentRuns(format) {
+    return LoggingSheetUtil.readRuns().slice(-this.RECENT_RUNS).reverse().map(run => ({
+      timestamp: format(run.Timestamp),
+      inboxAdds: parseInt(run.InboxAdds, 10) || 0,
+      inboxMoves: parseInt(run.InboxMoves, 10) || 0,
+      listDeleted: parseInt(run.ListDeleted, 10) || 0,
+      listCreated: parseInt(run.ListCreated, 10) || 0,
+      completedTasks: parseInt(run.CompletedTasks, 10) || 0,
+      notes: String(run.Notes || ''),
+    }));
+  },
+
+  /**
+   * Counts the incomplete Inbox tasks by Rollover Count.
+   * @returns {Array<{count: number, tasks: number}>} One entry per Rollover Count that occurs, lowest first.
+   */
+  getBacklog() {
+    const inboxList = ListService.getListByTitle(getInboxListName());
+    if (!inboxList) return [];
+    const tasksByCount = {};
+    for (const task of TaskService.listIncompleteTasks(inboxList.id)) {
+      const count = InboxRules.getRolloverCount(task.notes);
+      tasksByCount[count] = (tasksByCount[count] || 0) + 1;
+    }
+    return Object.keys(tasksByCount)
+      .map(count => ({ count: Number(count), tasks: tasksByCount[count] }))
+      .sort((a, b) => a.count - b.count);
+  },
+
+  /**
+   * Reads today's list, without the run-summary task.
+   * @returns {{title: string, exists: boolean, tasks: Array<{title: string, completed: boolean, due: string}>}}
+   */
+  getToday() {
+    const title = ListNaming.getListTitle(ListNaming.getDateKey(new Date()));
+    const list = ListService.getListByTitle(title);
+    if (!list) return { title: title, exists: false, tasks: [] };
+    const tasks = TaskService.listAllTasks(list.id)
+      .filter(task => !task.parent && !SummaryTask.isSummaryTask(task))
+      .map(task => ({
+        title: task.title || '(untitled)',
+        completed: task.status === 'completed',
+        due: task.due ? task.due.substring(0, 10) : '',
+      }));
+    return { title: title, exists: true, tasks: tasks };
+  },
+
+  /**
+   * Reads the most recent snapshots in the "Archive" tab, newest first.
+   * @param {function(Date): string} format Formats a timestamp.
+   * @returns {Array<{snapshotId: string, listTitle: string, timestamp: string, taskCount: number}>}
+   */
+  getSnapshots(format) {
+    return LoggingSheetUtil.readRows(ListArchive.SHEET_NAME)
+      .filter(row => Number(row.Part) === 1)
+      .slice(-this.RECENT_SNAPSHOTS)
+      .reverse()
+      .map(row => ({
+        snapshotId: String(row.SnapshotId),
+        listTitle: String(row.ListTitle),
+        timestamp: format(row.Timestamp),
+        taskCount: parseInt(row.TaskCount, 10) || 0,
+      }));
+  },
+};